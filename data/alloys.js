@@ -0,0 +1,274 @@
+/**
+ * 常用铜合金牌号初始数据
+ * - 成分为质量分数（%），min/max 为 null 表示标准未规定下限/上限
+ * - balance: true 表示余量元素，范围在入库时根据其余元素自动推算
+ * - 性能为典型值，仅供选材参考，不能替代标准与供货商数据
+ */
+module.exports = [
+  {
+    grade: "H62",
+    family: "brass",
+    name: "62 黄铜",
+    standard: "GB/T 5231",
+    description:
+      "普通黄铜，含铜量约 62%，α+β 两相组织，热加工性能好，强度较高，切削性尚可，价格低廉。",
+    density: 8.43,
+    solidus: 899,
+    liquidus: 905,
+    thermal_conductivity: 109,
+    electrical_conductivity: 27,
+    thermal_expansion: 20.6,
+    elastic_modulus: 100,
+    composition: [
+      { element: "Cu", min: 60.5, max: 63.5 },
+      { element: "Pb", min: null, max: 0.08 },
+      { element: "Fe", min: null, max: 0.15 },
+      { element: "Zn", balance: true },
+    ],
+    tempers: [
+      {
+        temper: "M",
+        tensile_strength: 330,
+        yield_strength: 120,
+        elongation: 45,
+        hardness_hv: 80,
+        notes: "软态（退火）",
+      },
+      {
+        temper: "Y2",
+        tensile_strength: 410,
+        yield_strength: 300,
+        elongation: 25,
+        hardness_hv: 120,
+        notes: "半硬态",
+      },
+      {
+        temper: "Y",
+        tensile_strength: 480,
+        yield_strength: 390,
+        elongation: 10,
+        hardness_hv: 150,
+        notes: "硬态",
+      },
+    ],
+    applications: [
+      "散热器",
+      "垫片",
+      "螺钉与铆钉",
+      "冷凝器管",
+      "各种深冲与弯折零件",
+    ],
+  },
+  {
+    grade: "C26000",
+    family: "brass",
+    name: "弹壳黄铜（70/30 黄铜）",
+    standard: "ASTM B36",
+    description:
+      "单相 α 黄铜，冷加工塑性极好，适合深冲、拉伸与旋压成形，对应国标 H70。",
+    density: 8.53,
+    solidus: 915,
+    liquidus: 955,
+    thermal_conductivity: 120,
+    electrical_conductivity: 28,
+    thermal_expansion: 19.9,
+    elastic_modulus: 110,
+    composition: [
+      { element: "Cu", min: 68.5, max: 71.5 },
+      { element: "Pb", min: null, max: 0.07 },
+      { element: "Fe", min: null, max: 0.05 },
+      { element: "Zn", balance: true },
+    ],
+    tempers: [
+      {
+        temper: "O61",
+        tensile_strength: 330,
+        yield_strength: 105,
+        elongation: 55,
+        hardness_hv: 70,
+        notes: "退火态",
+      },
+      {
+        temper: "H02",
+        tensile_strength: 420,
+        yield_strength: 360,
+        elongation: 25,
+        hardness_hv: 130,
+        notes: "半硬态",
+      },
+      {
+        temper: "H04",
+        tensile_strength: 525,
+        yield_strength: 435,
+        elongation: 8,
+        hardness_hv: 160,
+        notes: "硬态",
+      },
+    ],
+    applications: ["弹壳", "散热器芯", "灯具与五金件", "深冲零件", "铆钉"],
+  },
+  {
+    grade: "QSn6.5-0.1",
+    family: "bronze",
+    name: "6.5-0.1 锡磷青铜",
+    standard: "GB/T 5231",
+    description:
+      "锡磷青铜，强度、弹性与耐磨性好，抗磁、耐腐蚀，广泛用于弹性元件与耐磨零件。",
+    density: 8.8,
+    solidus: 900,
+    liquidus: 1040,
+    thermal_conductivity: 59,
+    electrical_conductivity: 14,
+    thermal_expansion: 17.8,
+    elastic_modulus: 110,
+    composition: [
+      { element: "Sn", min: 6.0, max: 7.0 },
+      { element: "P", min: 0.1, max: 0.25 },
+      { element: "Zn", min: null, max: 0.3 },
+      { element: "Fe", min: null, max: 0.05 },
+      { element: "Pb", min: null, max: 0.02 },
+      { element: "Cu", balance: true },
+    ],
+    tempers: [
+      {
+        temper: "M",
+        tensile_strength: 370,
+        yield_strength: 160,
+        elongation: 55,
+        hardness_hv: 90,
+        notes: "软态（退火）",
+      },
+      {
+        temper: "Y",
+        tensile_strength: 600,
+        yield_strength: 540,
+        elongation: 10,
+        hardness_hv: 190,
+        notes: "硬态",
+      },
+      {
+        temper: "T",
+        tensile_strength: 700,
+        yield_strength: 620,
+        elongation: 4,
+        hardness_hv: 210,
+        notes: "特硬态",
+      },
+    ],
+    applications: [
+      "弹簧与弹性元件",
+      "电子连接器",
+      "耐磨零件",
+      "轴承衬套",
+      "抗磁零件",
+    ],
+  },
+  {
+    grade: "C17200",
+    family: "beryllium_copper",
+    name: "铍铜（25 合金）",
+    standard: "ASTM B194",
+    description:
+      "高强度时效硬化型铍铜，固溶 + 时效后强度可超过 1100 MPa，兼具良好导电性与抗应力松弛性能，对应国标 QBe2。",
+    density: 8.25,
+    solidus: 865,
+    liquidus: 980,
+    thermal_conductivity: 105,
+    electrical_conductivity: 22,
+    thermal_expansion: 17.0,
+    elastic_modulus: 128,
+    composition: [
+      { element: "Be", min: 1.8, max: 2.0 },
+      { element: "Co+Ni", min: 0.2, max: 0.6 },
+      { element: "Pb", min: null, max: 0.02 },
+      { element: "Cu", balance: true },
+    ],
+    tempers: [
+      {
+        temper: "TB00",
+        tensile_strength: 480,
+        yield_strength: 220,
+        elongation: 45,
+        hardness_hv: 110,
+        electrical_conductivity: 17,
+        notes: "固溶退火态",
+      },
+      {
+        temper: "TD04",
+        tensile_strength: 690,
+        yield_strength: 620,
+        elongation: 6,
+        hardness_hv: 210,
+        electrical_conductivity: 17,
+        notes: "固溶 + 冷加工硬态",
+      },
+      {
+        temper: "TF00",
+        tensile_strength: 1200,
+        yield_strength: 1100,
+        elongation: 5,
+        hardness_hv: 380,
+        electrical_conductivity: 22,
+        notes: "固溶 + 时效（约 315 ℃ × 3 h）",
+      },
+      {
+        temper: "TH04",
+        tensile_strength: 1380,
+        yield_strength: 1240,
+        elongation: 3,
+        hardness_hv: 410,
+        electrical_conductivity: 22,
+        notes: "冷加工硬态 + 时效（约 315 ℃ × 2 h）",
+      },
+    ],
+    applications: [
+      "精密弹簧",
+      "电子连接器与继电器簧片",
+      "无火花安全工具",
+      "塑料模具",
+      "轴承与衬套",
+    ],
+  },
+  {
+    grade: "C70600",
+    family: "cupronickel",
+    name: "90/10 铜镍合金",
+    standard: "ASTM B111",
+    description:
+      "铁锰强化的 90/10 白铜，耐海水腐蚀与抗生物污损能力优异，对应国标 BFe10-1-1。",
+    density: 8.94,
+    solidus: 1100,
+    liquidus: 1145,
+    thermal_conductivity: 40,
+    electrical_conductivity: 9,
+    thermal_expansion: 17.1,
+    elastic_modulus: 135,
+    composition: [
+      { element: "Ni", min: 9.0, max: 11.0 },
+      { element: "Fe", min: 1.0, max: 1.8 },
+      { element: "Mn", min: null, max: 1.0 },
+      { element: "Zn", min: null, max: 1.0 },
+      { element: "Pb", min: null, max: 0.05 },
+      { element: "Cu", balance: true },
+    ],
+    tempers: [
+      {
+        temper: "O61",
+        tensile_strength: 305,
+        yield_strength: 110,
+        elongation: 30,
+        hardness_hv: 85,
+        notes: "退火态",
+      },
+      {
+        temper: "H55",
+        tensile_strength: 415,
+        yield_strength: 395,
+        elongation: 10,
+        hardness_hv: 130,
+        notes: "轻拉态",
+      },
+    ],
+    applications: ["海水冷凝器管", "船舶管路", "热交换器", "海水淡化装置"],
+  },
+];
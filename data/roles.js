@@ -0,0 +1,45 @@
+/**
+ * 内置角色及其初始权限
+ * - 仅在角色首次写入时使用，之后可通过角色管理接口调整权限（admin 除外）
+ * - "*" 表示全部权限
+ */
+module.exports = [
+  {
+    name: "admin",
+    description: "管理员，拥有全部权限",
+    permissions: ["*"],
+  },
+  {
+    name: "user",
+    description: "普通用户，可使用对话与查询功能",
+    permissions: [],
+  },
+  {
+    name: "knowledge_editor",
+    description:
+      "知识编辑，维护合金牌号数据与参考资料，查看领域拒答日志，审核回答反馈",
+    permissions: [
+      "alloys:write",
+      "references:write",
+      "rejections:read",
+      "feedback:read",
+      "feedback:manage",
+    ],
+  },
+  {
+    name: "auditor",
+    description:
+      "审计员，只读查看用户、用量、配额、限流、审计日志、统计报表与回答反馈",
+    permissions: [
+      "users:read",
+      "roles:read",
+      "usage:read",
+      "quotas:read",
+      "rate_limits:read",
+      "audit:read",
+      "rejections:read",
+      "analytics:read",
+      "feedback:read",
+    ],
+  },
+];
@@ -1,416 +1,3493 @@
-const mysql = require("mysql2/promise");
-require("dotenv").config();
-const { randomUUID } = require("crypto");
-
-const {
-  DB_HOST = "localhost",
-  DB_USER = "root",
-  DB_PASSWORD = "123456",
-  DB_NAME = "orangeai",
-  DB_PORT = 3306,
-} = process.env;
-
-let pool;
-
-/**
- * 数据库初始化
- * - 创建数据库（如果不存在）
- * - 创建连接池
- * - 初始化表结构（users / conversations / messages）
- */
-const ready = (async () => {
-  // 1️⃣ 先连接 MySQL（不指定 database）
-  const conn = await mysql.createConnection({
-    host: DB_HOST,
-    user: DB_USER,
-    password: DB_PASSWORD,
-    port: Number(DB_PORT),
-  });
-
-  // 创建数据库
-  await conn.query(
-    `CREATE DATABASE IF NOT EXISTS \`${DB_NAME}\`
-     DEFAULT CHARACTER SET utf8mb4
-     COLLATE utf8mb4_unicode_ci;`,
-  );
-  await conn.end();
-
-  // 2️⃣ 创建连接池
-  pool = mysql.createPool({
-    host: DB_HOST,
-    user: DB_USER,
-    password: DB_PASSWORD,
-    database: DB_NAME,
-    port: Number(DB_PORT),
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-  });
-
-  // 3️⃣ 初始化 users 表
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      email VARCHAR(255) NOT NULL UNIQUE COMMENT '邮箱',
-      username VARCHAR(100) NOT NULL COMMENT '用户名',
-      password VARCHAR(255) NOT NULL COMMENT '密码（加密）',
-      role ENUM('user','admin') DEFAULT 'user' COMMENT '角色',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
-      last_login TIMESTAMP NULL DEFAULT NULL COMMENT '最后登录时间',
-      login_count INT DEFAULT 0 COMMENT '登录次数'
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  // 4️⃣ 初始化 conversations 表
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS conversations (
-      conversation_id CHAR(36) PRIMARY KEY COMMENT 'UUID 对话ID',
-      user_id INT NOT NULL COMMENT '用户ID，关联 users 表',
-      title VARCHAR(255) DEFAULT '新对话' COMMENT '对话标题',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
-      CONSTRAINT fk_user_conversation FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  // 5️⃣ 初始化 messages 表
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS messages (
-      message_id BIGINT AUTO_INCREMENT PRIMARY KEY COMMENT '消息ID',
-      conversation_id CHAR(36) NOT NULL COMMENT '关联对话ID',
-      role ENUM('user','assistant') NOT NULL COMMENT '消息角色',
-      content TEXT NOT NULL COMMENT '消息内容',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '消息创建时间',
-      CONSTRAINT fk_conversation_message FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-
-  console.log(
-    `✅ 数据库初始化成功: ${DB_USER}@${DB_HOST}:${DB_PORT}/${DB_NAME}`,
-  );
-})().catch((err) => {
-  console.error("❌ 数据库初始化失败:", err);
-  process.exit(1);
-});
-
-/**
- * 测试数据库连接池是否可用
- */
-async function testDbConnection() {
-  await ready;
-  try {
-    const [rows] = await pool.execute("SELECT VERSION() AS mysql_version");
-    console.log(`✅ 数据库连接池可用，MySQL版本: ${rows[0].mysql_version}`);
-    return true;
-  } catch (err) {
-    console.error("❌ 数据库连接池不可用:", err);
-    return false;
-  }
-}
-
-/**
- * 用户相关操作
- */
-async function getUserByEmail(email) {
-  await ready;
-  const [rows] = await pool.execute("SELECT * FROM users WHERE email = ?", [
-    email,
-  ]);
-  return rows[0];
-}
-
-async function createUser({ email, username, password }) {
-  await ready;
-  // 向 users 表插入新用户，返回插入后的整行记录
-  const role = arguments[0].role || "user";
-  const [result] = await pool.execute(
-    "INSERT INTO users (email, username, password, role) VALUES (?, ?, ?, ?)",
-    [email, username, password, role],
-  );
-  const [rows] = await pool.execute("SELECT * FROM users WHERE id = ?", [
-    result.insertId,
-  ]);
-  return rows[0];
-}
-
-// 获取单个用户（按 id）
-async function getUserById(id) {
-  await ready;
-  const [rows] = await pool.execute("SELECT * FROM users WHERE id = ?", [id]);
-  return rows[0];
-}
-
-// 更新用户最后登录信息（更新时间、次数自增）
-async function updateUserLoginInfo(userId) {
-  await ready;
-  await pool.execute(
-    "UPDATE users SET last_login = CURRENT_TIMESTAMP, login_count = login_count + 1 WHERE id = ?",
-    [userId],
-  );
-  return true;
-}
-
-// 列表查询用户，支持 search（用户名或邮箱模糊）、role、offset、limit
-async function getUsers({ search, role, offset = 0, limit = 10 } = {}) {
-  await ready;
-  const params = [];
-  let where = "WHERE 1=1";
-  if (search) {
-    where += " AND (username LIKE ? OR email LIKE ? )";
-    params.push(`%${search}%`, `%${search}%`);
-  }
-  if (role) {
-    where += " AND role = ?";
-    params.push(role);
-  }
-
-  const sql = `SELECT * FROM users ${where} ORDER BY created_at DESC LIMIT ${Number(
-    limit,
-  )} OFFSET ${Number(offset)}`;
-  const [rows] = await pool.execute(sql, params);
-  return rows;
-}
-
-async function getUsersCount({ search, role } = {}) {
-  await ready;
-  const params = [];
-  let where = "WHERE 1=1";
-  if (search) {
-    where += " AND (username LIKE ? OR email LIKE ? )";
-    params.push(`%${search}%`, `%${search}%`);
-  }
-  if (role) {
-    where += " AND role = ?";
-    params.push(role);
-  }
-  const sql = `SELECT COUNT(1) AS total FROM users ${where}`;
-  const [rows] = await pool.execute(sql, params);
-  return rows[0] ? rows[0].total : 0;
-}
-
-// 更新用户字段（支持 username, email, password, role）
-async function updateUser(userId, updates = {}) {
-  await ready;
-  const allowed = ["username", "email", "password", "role"];
-  const sets = [];
-  const params = [];
-  for (const k of Object.keys(updates)) {
-    if (!allowed.includes(k)) continue;
-    sets.push(`${k} = ?`);
-    params.push(updates[k]);
-  }
-  if (sets.length === 0) return null;
-  params.push(userId);
-  const sql = `UPDATE users SET ${sets.join(", ")} WHERE id = ?`;
-  await pool.execute(sql, params);
-  return getUserById(userId);
-}
-
-async function deleteUser(userId) {
-  await ready;
-  const [result] = await pool.execute("DELETE FROM users WHERE id = ?", [
-    userId,
-  ]);
-  return result.affectedRows > 0;
-}
-
-async function deleteUsers(userIds = []) {
-  await ready;
-  if (!Array.isArray(userIds) || userIds.length === 0) return 0;
-  const placeholders = userIds.map(() => "?").join(",");
-  const sql = `DELETE FROM users WHERE id IN (${placeholders})`;
-  const [result] = await pool.execute(sql, userIds);
-  return result.affectedRows || 0;
-}
-
-async function getUsersByIds(userIds = []) {
-  await ready;
-  if (!Array.isArray(userIds) || userIds.length === 0) return [];
-  const placeholders = userIds.map(() => "?").join(",");
-  const sql = `SELECT * FROM users WHERE id IN (${placeholders})`;
-  const [rows] = await pool.execute(sql, userIds);
-  return rows;
-}
-
-async function getUserStats() {
-  await ready;
-  const [[summary]] = await pool.execute(
-    `SELECT COUNT(1) AS total, SUM(role='admin') AS admins, SUM(role='user') AS users FROM users`,
-  );
-  const [[recent]] = await pool.execute(
-    `SELECT COUNT(1) AS new_users_7d FROM users WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)`,
-  );
-  return {
-    total: summary.total || 0,
-    admins: Number(summary.admins) || 0,
-    users: Number(summary.users) || 0,
-    new_users_7d: recent.new_users_7d || 0,
-  };
-}
-
-/**
- * 对话与消息操作
- */
-const createConversation = async (userId, title = "新对话") => {
-  await ready;
-  const conversationId = randomUUID();
-  await pool.execute(
-    "INSERT INTO conversations (conversation_id, user_id, title) VALUES (?, ?, ?)",
-    [conversationId, userId, title],
-  );
-  return { conversation_id: conversationId, user_id: userId, title };
-};
-
-const addMessage = async (conversationId, role, content) => {
-  await ready;
-  const [result] = await pool.execute(
-    "INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)",
-    [conversationId, role, content],
-  );
-  // 更新 conversations.updated_at
-  await pool.execute(
-    "UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE conversation_id = ?",
-    [conversationId],
-  );
-  return {
-    message_id: result.insertId,
-    conversation_id: conversationId,
-    role,
-    content,
-  };
-};
-
-/**
- * 获取用户对话列表（支持分页）
- */
-const listConversations = async (userId, page = 1, pageSize = 20) => {
-  await ready;
-  const offset = (page - 1) * pageSize;
-
-  const limit = Number(pageSize);
-  const off = Number(offset);
-
-  // 一些 MySQL 版本/配置对 LIMIT/OFFSET 使用预处理参数支持不一致，
-  // 因此在验证为数字后直接插入到 SQL 中以避免 ER_WRONG_ARGUMENTS 错误。
-  const sql = `
-    SELECT 
-      c.conversation_id, c.title, c.created_at, c.updated_at,
-      (SELECT content FROM messages m 
-       WHERE m.conversation_id = c.conversation_id 
-       ORDER BY m.created_at DESC LIMIT 1) AS last_message
-    FROM conversations c
-    WHERE c.user_id = ?
-    ORDER BY c.updated_at DESC
-    LIMIT ${limit} OFFSET ${off}
-  `;
-
-  const [rows] = await pool.execute(sql, [userId]);
-
-  const [countRows] = await pool.execute(
-    "SELECT COUNT(1) AS total FROM conversations WHERE user_id = ?",
-    [userId],
-  );
-  const total = countRows && countRows[0] ? countRows[0].total : 0;
-
-  return { items: rows, total };
-};
-
-/**
- * 获取单条对话消息列表
- */
-const getMessages = async (conversationId, limit = null) => {
-  await ready;
-  if (limit) {
-    const n = Number(limit);
-    if (Number.isNaN(n) || n < 1) {
-      const [rows] = await pool.execute(
-        "SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC",
-        [conversationId],
-      );
-      return rows;
-    }
-    const sql = `SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC LIMIT ${n}`;
-    const [rows] = await pool.execute(sql, [conversationId]);
-    return rows;
-  }
-  const [rows] = await pool.execute(
-    "SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC",
-    [conversationId],
-  );
-  return rows;
-};
-
-/**
- * 获取会话最近 N 条消息，按时间升序返回（如果未指定 limit 则返回全部）
- */
-const getConversationMessages = async (conversationId, limit = null) => {
-  await ready;
-  if (limit) {
-    // 先按时间倒序取最近 N 条，再在内存中反转为升序，保证返回时为时间顺序（老 -> 新）
-    const n = Number(limit);
-    if (Number.isNaN(n) || n < 1) {
-      const [rows] = await pool.execute(
-        "SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC",
-        [conversationId],
-      );
-      return rows;
-    }
-    const sql = `SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at DESC LIMIT ${n}`;
-    const [rows] = await pool.execute(sql, [conversationId]);
-    return rows.reverse();
-  }
-  const [rows] = await pool.execute(
-    "SELECT role, content, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC",
-    [conversationId],
-  );
-  return rows;
-};
-
-/**
- * 删除用户的某条对话（级联删除消息）
- */
-const deleteConversation = async (conversationId, userId) => {
-  await ready;
-  const [result] = await pool.execute(
-    "DELETE FROM conversations WHERE conversation_id = ? AND user_id = ?",
-    [conversationId, userId],
-  );
-  return result.affectedRows > 0;
-};
-
-// 启动时测试数据库连接
-testDbConnection();
-
-const userMethods = {
-  getUserByEmail,
-  createUser,
-  getUserById,
-  updateUserLoginInfo,
-  getUsers,
-  getUsersCount,
-  updateUser,
-  deleteUser,
-  deleteUsers,
-  getUsersByIds,
-  getUserStats,
-};
-
-const conversationMethods = {
-  createConversation,
-  addMessage,
-  listConversations,
-  getMessages,
-  deleteConversation,
-  getConversationMessages,
-};
-
-module.exports = {
-  // 兼容原有扁平导出
-  ...userMethods,
-  ...conversationMethods,
-  testDbConnection,
-  _pool: () => pool,
-  // 新增命名空间导出，便于按功能分组引用
-  user: userMethods,
-  conversation: conversationMethods,
-};
+const mysql = require("mysql2/promise");
+require("dotenv").config();
+const { randomUUID, randomBytes } = require("crypto");
+const alloySeeds = require("./data/alloys");
+const roleSeeds = require("./data/roles");
+
+const {
+  DB_HOST = "localhost",
+  DB_USER = "root",
+  DB_PASSWORD = "123456",
+  DB_NAME = "orangeai",
+  DB_PORT = 3306,
+} = process.env;
+
+let pool;
+
+/**
+ * 为已存在的表补充新列（CREATE TABLE IF NOT EXISTS 不会修改旧表结构）
+ * @returns {Promise<boolean>} 本次是否新增了该列
+ */
+async function ensureColumn(table, column, definition) {
+  const [rows] = await pool.execute(
+    "SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?",
+    [DB_NAME, table, column],
+  );
+  if (rows.length > 0) return false;
+  await pool.query(
+    `ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`,
+  );
+  return true;
+}
+
+// 为已存在的表补充索引
+async function ensureIndex(table, indexName, definition) {
+  const [rows] = await pool.execute(
+    "SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?",
+    [DB_NAME, table, indexName],
+  );
+  if (rows.length > 0) return false;
+  await pool.query(`ALTER TABLE \`${table}\` ADD ${definition}`);
+  return true;
+}
+
+// 执行一次性的数据迁移，执行记录保存在 schema_migrations 表中
+async function runMigration(name, fn) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(100) PRIMARY KEY COMMENT '迁移名称',
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '执行时间'
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  const [rows] = await pool.execute(
+    "SELECT 1 FROM schema_migrations WHERE name = ?",
+    [name],
+  );
+  if (rows.length > 0) return false;
+  await fn();
+  await pool.execute("INSERT INTO schema_migrations (name) VALUES (?)", [name]);
+  return true;
+}
+
+// JSON 列在 MySQL 中会被自动解析，在 MariaDB 等环境下则以字符串返回
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * 数据库初始化
+ * - 创建数据库（如果不存在）
+ * - 创建连接池
+ * - 初始化表结构（users / conversations / messages / 合金牌号相关表）
+ */
+const ready = (async () => {
+  // 1️⃣ 先连接 MySQL（不指定 database）
+  const conn = await mysql.createConnection({
+    host: DB_HOST,
+    user: DB_USER,
+    password: DB_PASSWORD,
+    port: Number(DB_PORT),
+  });
+
+  // 创建数据库
+  await conn.query(
+    `CREATE DATABASE IF NOT EXISTS \`${DB_NAME}\`
+     DEFAULT CHARACTER SET utf8mb4
+     COLLATE utf8mb4_unicode_ci;`,
+  );
+  await conn.end();
+
+  // 2️⃣ 创建连接池
+  pool = mysql.createPool({
+    host: DB_HOST,
+    user: DB_USER,
+    password: DB_PASSWORD,
+    database: DB_NAME,
+    port: Number(DB_PORT),
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+  });
+
+  // 3️⃣ 初始化 users 表
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      email VARCHAR(255) NOT NULL UNIQUE COMMENT '邮箱',
+      username VARCHAR(100) NOT NULL COMMENT '用户名',
+      password VARCHAR(255) NOT NULL COMMENT '密码（加密）',
+      role VARCHAR(50) NOT NULL DEFAULT 'user' COMMENT '角色（roles.name）',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      last_login TIMESTAMP NULL DEFAULT NULL COMMENT '最后登录时间',
+      login_count INT DEFAULT 0 COMMENT '登录次数'
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 邮箱是否已验证；新增该列时已有用户视为已验证
+  if (
+    await ensureColumn(
+      "users",
+      "email_verified",
+      "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '邮箱是否已验证' AFTER email",
+    )
+  ) {
+    await pool.query("UPDATE users SET email_verified = 1");
+  }
+
+  // 登录失败锁定：连续失败次数与锁定截止时间
+  await ensureColumn(
+    "users",
+    "failed_login_count",
+    "INT NOT NULL DEFAULT 0 COMMENT '连续登录失败次数' AFTER login_count",
+  );
+  await ensureColumn(
+    "users",
+    "locked_until",
+    "TIMESTAMP NULL DEFAULT NULL COMMENT '锁定截止时间' AFTER failed_login_count",
+  );
+
+  // 自助修改邮箱：新邮箱验证前保存在 pending_email
+  await ensureColumn(
+    "users",
+    "pending_email",
+    "VARCHAR(255) NULL DEFAULT NULL COMMENT '待验证的新邮箱' AFTER email_verified",
+  );
+  // 注销账号：宽限期结束后由定时任务彻底删除
+  await ensureColumn(
+    "users",
+    "deletion_scheduled_at",
+    "TIMESTAMP NULL DEFAULT NULL COMMENT '计划删除时间，NULL 表示未申请注销' AFTER locked_until",
+  );
+
+  // 初始化角色与角色权限表，写入内置角色（已存在的角色不覆盖其权限）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS roles (
+      name VARCHAR(50) PRIMARY KEY COMMENT '角色名',
+      description VARCHAR(255) NULL COMMENT '说明',
+      is_system TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否内置角色（不可删除）',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间'
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role VARCHAR(50) NOT NULL COMMENT '角色名',
+      permission VARCHAR(64) NOT NULL COMMENT '权限，如 users:delete，* 表示全部权限',
+      PRIMARY KEY (role, permission),
+      CONSTRAINT fk_role_permission FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  for (const seed of roleSeeds) {
+    const [result] = await pool.execute(
+      "INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)",
+      [seed.name, seed.description],
+    );
+    if (result.affectedRows === 0) continue;
+    for (const permission of seed.permissions) {
+      await pool.execute(
+        "INSERT INTO role_permissions (role, permission) VALUES (?, ?)",
+        [seed.name, permission],
+      );
+    }
+  }
+
+  // 新增的权限补充给已存在的内置角色
+  await runMigration("auditor_analytics_read", async () => {
+    await pool.query(
+      "INSERT IGNORE INTO role_permissions (role, permission) VALUES ('auditor', 'analytics:read')",
+    );
+  });
+
+  await runMigration("feedback_permissions", async () => {
+    await pool.query(
+      `INSERT IGNORE INTO role_permissions (role, permission) VALUES
+        ('knowledge_editor', 'feedback:read'),
+        ('knowledge_editor', 'feedback:manage'),
+        ('auditor', 'feedback:read')`,
+    );
+  });
+
+  // users.role 由固定的 ENUM 改为角色名，以支持自定义角色
+  await runMigration("users_role_varchar", async () => {
+    await pool.query(
+      "ALTER TABLE users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user' COMMENT '角色（roles.name）'",
+    );
+  });
+
+  // 初始化登录记录表（成功与失败的登录尝试，邮箱未注册时 user_id 为空）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS login_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NULL COMMENT '登录的用户',
+      email VARCHAR(255) NOT NULL COMMENT '尝试登录的邮箱',
+      success TINYINT(1) NOT NULL COMMENT '是否成功',
+      reason VARCHAR(50) NULL COMMENT '失败原因',
+      ip VARCHAR(64) NULL COMMENT '来源 IP',
+      user_agent VARCHAR(255) NULL COMMENT '登录设备',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+      INDEX idx_login_user_created (user_id, created_at),
+      CONSTRAINT fk_login_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化一次性令牌表（邮箱验证、重置密码），只保存令牌的 SHA-256
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL COMMENT '所属用户',
+      purpose ENUM('verify_email','reset_password','change_email') NOT NULL COMMENT '用途',
+      token_hash CHAR(64) NOT NULL UNIQUE COMMENT '令牌的 SHA-256',
+      expires_at TIMESTAMP NOT NULL COMMENT '过期时间',
+      used_at TIMESTAMP NULL DEFAULT NULL COMMENT '使用时间',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      INDEX idx_user_token_user (user_id, purpose),
+      CONSTRAINT fk_user_token_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // 已存在的表补充修改邮箱用途
+  await runMigration("user_tokens_change_email", async () => {
+    await pool.query(
+      "ALTER TABLE user_tokens MODIFY purpose ENUM('verify_email','reset_password','change_email') NOT NULL COMMENT '用途'",
+    );
+  });
+
+  // 初始化登录会话表：每次登录创建一个会话，刷新令牌只保存哈希，每次刷新轮换；
+  // 访问令牌携带会话ID，会话撤销或过期后立即失效。删除用户时会话随之删除
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id CHAR(36) PRIMARY KEY COMMENT '会话ID',
+      user_id INT NOT NULL COMMENT '所属用户',
+      refresh_token_hash CHAR(64) NOT NULL COMMENT '当前刷新令牌的 SHA-256',
+      previous_token_hash CHAR(64) NULL COMMENT '上一个刷新令牌的 SHA-256，用于发现令牌被重复使用',
+      user_agent VARCHAR(255) NULL COMMENT '登录设备',
+      ip VARCHAR(64) NULL COMMENT '最近使用的 IP',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '登录时间',
+      last_used_at TIMESTAMP NULL DEFAULT NULL COMMENT '最近刷新时间',
+      expires_at TIMESTAMP NOT NULL COMMENT '刷新令牌过期时间',
+      revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT '撤销时间',
+      INDEX idx_session_user (user_id),
+      CONSTRAINT fk_session_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 4️⃣ 初始化 conversations 表
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      conversation_id CHAR(36) PRIMARY KEY COMMENT 'UUID 对话ID',
+      user_id INT NOT NULL COMMENT '用户ID，关联 users 表',
+      title VARCHAR(255) DEFAULT '新对话' COMMENT '对话标题',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+      CONSTRAINT fk_user_conversation FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 标题来源：auto 为截取的问题前 60 个字符，generated 为模型生成，user 为用户指定（不会被自动覆盖）
+  await ensureColumn(
+    "conversations",
+    "title_source",
+    "ENUM('auto','generated','user') NOT NULL DEFAULT 'auto' COMMENT '标题来源' AFTER title",
+  );
+
+  // 对话置顶与归档
+  await ensureColumn(
+    "conversations",
+    "pinned",
+    "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否置顶' AFTER title",
+  );
+  await ensureColumn(
+    "conversations",
+    "archived",
+    "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否归档' AFTER pinned",
+  );
+  await ensureIndex(
+    "conversations",
+    "idx_conversation_user_list",
+    "INDEX idx_conversation_user_list (user_id, archived, pinned, updated_at)",
+  );
+
+  // 对话历史全文检索：ngram 解析器支持中文分词
+  await ensureIndex(
+    "conversations",
+    "ft_conversation_title",
+    "FULLTEXT INDEX ft_conversation_title (title) WITH PARSER ngram",
+  );
+
+  // 滚动摘要：较早的消息被压缩为摘要，summary_message_id 为摘要覆盖到的最后一条消息
+  await ensureColumn(
+    "conversations",
+    "context_summary",
+    "TEXT NULL COMMENT '较早对话内容的滚动摘要' AFTER archived",
+  );
+  await ensureColumn(
+    "conversations",
+    "summary_message_id",
+    "BIGINT NULL COMMENT '摘要覆盖到的最后一条消息' AFTER context_summary",
+  );
+
+  // 初始化对话固定信息表（每轮都会提供给模型的关键事实，如选定牌号与设计约束）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_facts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      conversation_id CHAR(36) NOT NULL COMMENT '关联对话ID',
+      content VARCHAR(500) NOT NULL COMMENT '固定信息内容',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      INDEX idx_fact_conversation (conversation_id),
+      CONSTRAINT fk_conversation_fact FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化对话标签表
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_tags (
+      conversation_id CHAR(36) NOT NULL COMMENT '关联对话ID',
+      tag VARCHAR(50) NOT NULL COMMENT '标签',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      PRIMARY KEY (conversation_id, tag),
+      INDEX idx_conversation_tag (tag),
+      CONSTRAINT fk_conversation_tag FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 5️⃣ 初始化 messages 表
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS messages (
+      message_id BIGINT AUTO_INCREMENT PRIMARY KEY COMMENT '消息ID',
+      conversation_id CHAR(36) NOT NULL COMMENT '关联对话ID',
+      role ENUM('user','assistant') NOT NULL COMMENT '消息角色',
+      content TEXT NOT NULL COMMENT '消息内容',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '消息创建时间',
+      CONSTRAINT fk_conversation_message FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 助理消息引用的参考资料（检索增强生成）
+  await ensureColumn(
+    "messages",
+    "citations",
+    "JSON NULL COMMENT '回答引用的参考资料' AFTER content",
+  );
+
+  // 消息树：parent_id 指向上一条消息，同一父消息下的消息互为兄弟
+  // （重新生成的回复版本、编辑问题产生的分支），is_selected 标记兄弟中当前选中的一条，
+  // 从根消息开始沿选中的子消息向下即为当前激活的对话路径
+  const parentAdded = await ensureColumn(
+    "messages",
+    "parent_id",
+    "BIGINT NULL COMMENT '父消息ID（对话树中的上一条消息）' AFTER conversation_id",
+  );
+  await ensureColumn(
+    "messages",
+    "is_selected",
+    "TINYINT(1) NOT NULL DEFAULT 1 COMMENT '是否为兄弟消息中当前选中的一条' AFTER parent_id",
+  );
+  await ensureIndex(
+    "messages",
+    "idx_message_parent",
+    "INDEX idx_message_parent (conversation_id, parent_id)",
+  );
+  await ensureIndex(
+    "messages",
+    "ft_message_content",
+    "FULLTEXT INDEX ft_message_content (content) WITH PARSER ngram",
+  );
+  if (parentAdded) {
+    // 旧数据：助理消息的父消息为其之前最近的一条用户消息
+    await pool.query(`
+      UPDATE messages m
+      JOIN (
+        SELECT a.message_id,
+          (SELECT MAX(u.message_id) FROM messages u
+           WHERE u.conversation_id = a.conversation_id AND u.role = 'user' AND u.message_id < a.message_id) AS prev_id
+        FROM messages a WHERE a.role = 'assistant'
+      ) x ON x.message_id = m.message_id
+      SET m.parent_id = x.prev_id
+    `);
+  }
+  await runMigration("messages_tree_user_parent", async () => {
+    // 旧数据：用户消息的父消息为上一个问题当前选中的回复（没有回复时为上一个问题）
+    const [convs] = await pool.query(
+      "SELECT DISTINCT conversation_id FROM messages WHERE role = 'user' AND parent_id IS NULL",
+    );
+    for (const { conversation_id } of convs) {
+      const [rows] = await pool.execute(
+        "SELECT message_id, parent_id, role, is_selected FROM messages WHERE conversation_id = ? ORDER BY message_id ASC",
+        [conversation_id],
+      );
+      let prevUser = null;
+      for (const r of rows) {
+        if (r.role !== "user") continue;
+        if (prevUser && r.parent_id === null) {
+          const replies = rows.filter(
+            (a) =>
+              a.role === "assistant" && a.parent_id === prevUser.message_id,
+          );
+          const reply =
+            replies.find((a) => a.is_selected) || replies[replies.length - 1];
+          await pool.execute(
+            "UPDATE messages SET parent_id = ? WHERE message_id = ?",
+            [reply ? reply.message_id : prevUser.message_id, r.message_id],
+          );
+        }
+        prevUser = r;
+      }
+    }
+  });
+
+  // 助理消息的生成状态：complete 完整生成 / stopped 被用户停止或连接断开 / error 生成出错
+  await ensureColumn(
+    "messages",
+    "status",
+    "ENUM('complete','stopped','error') NOT NULL DEFAULT 'complete' COMMENT '生成状态' AFTER citations",
+  );
+
+  // 助理消息的 token 用量（上游返回或本地估算）
+  await ensureColumn(
+    "messages",
+    "prompt_tokens",
+    "INT NULL COMMENT '输入 token 数' AFTER status",
+  );
+  await ensureColumn(
+    "messages",
+    "completion_tokens",
+    "INT NULL COMMENT '输出 token 数' AFTER prompt_tokens",
+  );
+  // 助理消息的生成耗时：从收到问题到首个字、到回复完成
+  await ensureColumn(
+    "messages",
+    "first_token_ms",
+    "INT NULL COMMENT '首字耗时（毫秒）' AFTER completion_tokens",
+  );
+  await ensureColumn(
+    "messages",
+    "latency_ms",
+    "INT NULL COMMENT '回复耗时（毫秒）' AFTER first_token_ms",
+  );
+  // 统计报表按时间范围汇总
+  await ensureIndex(
+    "messages",
+    "idx_message_created",
+    "INDEX idx_message_created (created_at)",
+  );
+
+  // 初始化 token 用量流水表（对话回复、标题生成、摘要更新的每次模型调用各一条）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS token_usage (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL COMMENT '计入用量的用户',
+      conversation_id CHAR(36) NULL COMMENT '所在对话',
+      message_id BIGINT NULL COMMENT '对应的助理消息',
+      kind ENUM('chat','title','summary','classifier') NOT NULL DEFAULT 'chat' COMMENT '调用类型',
+      provider VARCHAR(50) NULL COMMENT '模型服务',
+      model VARCHAR(100) NULL COMMENT '模型名称',
+      prompt_tokens INT NOT NULL DEFAULT 0 COMMENT '输入 token 数',
+      completion_tokens INT NOT NULL DEFAULT 0 COMMENT '输出 token 数',
+      estimated TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否为本地估算值',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '记录时间',
+      INDEX idx_usage_user_created (user_id, created_at),
+      INDEX idx_usage_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  // 已存在的表补充领域判断的调用类型
+  await runMigration("token_usage_classifier_kind", async () => {
+    await pool.query(
+      "ALTER TABLE token_usage MODIFY kind ENUM('chat','title','summary','classifier') NOT NULL DEFAULT 'chat' COMMENT '调用类型'",
+    );
+  });
+
+  // 初始化 token 配额表：scope 为 user 时 subject 为用户ID，为 role 时 subject 为角色名；
+  // 同一周期内用户配额优先于角色配额
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS token_quotas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('user','role') NOT NULL COMMENT '配额对象类型',
+      subject VARCHAR(100) NOT NULL COMMENT '用户ID或角色名',
+      period ENUM('day','month') NOT NULL COMMENT '统计周期',
+      token_limit BIGINT NOT NULL COMMENT '周期内 token 上限',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+      UNIQUE KEY uk_quota_subject_period (scope, subject, period)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化限流放行名单表（管理员维护，名单中的 IP 或用户不受接口限流限制）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_overrides (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      type ENUM('ip','user') NOT NULL COMMENT '放行对象类型',
+      value VARCHAR(100) NOT NULL COMMENT 'IP 地址或用户ID',
+      note VARCHAR(255) NULL COMMENT '备注',
+      expires_at TIMESTAMP NULL DEFAULT NULL COMMENT '过期时间，NULL 表示长期有效',
+      created_by INT NULL COMMENT '添加的管理员',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      UNIQUE KEY uk_override_type_value (type, value)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化审计日志表（只追加，记录管理员的每次修改与导出；不设外键，用户删除后记录仍保留）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL COMMENT '操作者用户ID',
+      action VARCHAR(64) NOT NULL COMMENT '操作，如 user.update',
+      target_type VARCHAR(32) NULL COMMENT '操作对象类型',
+      target_ids JSON NULL COMMENT '操作对象ID列表',
+      changes JSON NULL COMMENT '字段变更 { 字段: { before, after } }',
+      details JSON NULL COMMENT '其他信息（如导出数量）',
+      ip VARCHAR(64) NULL COMMENT '来源 IP',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '操作时间',
+      INDEX idx_audit_created (created_at),
+      INDEX idx_audit_actor (actor_id, created_at),
+      INDEX idx_audit_action (action, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化对话分享表（只读分享链接，可设置过期时间并随时撤销）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS conversation_shares (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      token VARCHAR(64) NOT NULL UNIQUE COMMENT '分享令牌',
+      conversation_id CHAR(36) NOT NULL COMMENT '被分享的对话',
+      user_id INT NOT NULL COMMENT '创建分享的用户',
+      snapshot_message_id BIGINT NULL COMMENT '创建分享时激活分支的最后一条消息',
+      include_later TINYINT(1) NOT NULL DEFAULT 0 COMMENT '是否展示分享之后新增的消息',
+      expires_at TIMESTAMP NULL DEFAULT NULL COMMENT '过期时间，NULL 表示不过期',
+      revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT '撤销时间',
+      view_count INT NOT NULL DEFAULT 0 COMMENT '查看次数',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      INDEX idx_share_conversation (conversation_id),
+      CONSTRAINT fk_share_conversation FOREIGN KEY (conversation_id) REFERENCES conversations(conversation_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化领域拒答日志表（记录被判定为非铜合金领域的问题，便于管理员调整分类规则）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS domain_rejections (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NULL COMMENT '提问用户',
+      conversation_id CHAR(36) NULL COMMENT '所在对话',
+      message_id BIGINT NULL COMMENT '被拒答的用户消息',
+      question TEXT NOT NULL COMMENT '问题内容',
+      confidence DECIMAL(4,3) NOT NULL COMMENT '领域置信度',
+      stage VARCHAR(50) NULL COMMENT '给出结论的分类阶段',
+      reason VARCHAR(500) NULL COMMENT '分类理由',
+      matches JSON NULL COMMENT '命中的领域词',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '记录时间',
+      INDEX idx_rejection_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await ensureIndex(
+    "domain_rejections",
+    "idx_rejection_message",
+    "INDEX idx_rejection_message (message_id)",
+  );
+
+  // 初始化合金牌号相关表（alloys / alloy_compositions / alloy_tempers / alloy_applications）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alloys (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      grade VARCHAR(50) NOT NULL UNIQUE COMMENT '牌号，如 H62、C17200',
+      family ENUM('copper','brass','bronze','cupronickel','beryllium_copper','other') NOT NULL COMMENT '合金系列',
+      name VARCHAR(255) NULL COMMENT '名称',
+      standard VARCHAR(100) NULL COMMENT '标准号',
+      description TEXT NULL COMMENT '简介',
+      density DECIMAL(6,3) NULL COMMENT '密度 g/cm³',
+      solidus DECIMAL(6,1) NULL COMMENT '固相线 ℃',
+      liquidus DECIMAL(6,1) NULL COMMENT '液相线 ℃',
+      thermal_conductivity DECIMAL(7,2) NULL COMMENT '热导率 W/(m·K)',
+      electrical_conductivity DECIMAL(5,1) NULL COMMENT '电导率 %IACS',
+      thermal_expansion DECIMAL(5,2) NULL COMMENT '线膨胀系数 10⁻⁶/K',
+      elastic_modulus DECIMAL(6,1) NULL COMMENT '弹性模量 GPa',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间'
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alloy_compositions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      alloy_id INT NOT NULL COMMENT '关联 alloys 表',
+      element VARCHAR(20) NOT NULL COMMENT '元素，如 Cu、Zn、Co+Ni',
+      min_pct DECIMAL(6,3) NULL COMMENT '质量分数下限 %',
+      max_pct DECIMAL(6,3) NULL COMMENT '质量分数上限 %',
+      is_balance TINYINT(1) DEFAULT 0 COMMENT '是否为余量元素',
+      UNIQUE KEY uk_alloy_element (alloy_id, element),
+      CONSTRAINT fk_alloy_composition FOREIGN KEY (alloy_id) REFERENCES alloys(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alloy_tempers (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      alloy_id INT NOT NULL COMMENT '关联 alloys 表',
+      temper VARCHAR(50) NOT NULL COMMENT '状态代号，如 M、Y2、H04、TF00',
+      tensile_strength DECIMAL(7,1) NULL COMMENT '抗拉强度 MPa',
+      yield_strength DECIMAL(7,1) NULL COMMENT '屈服强度 MPa',
+      elongation DECIMAL(5,1) NULL COMMENT '断后伸长率 %',
+      hardness_hv DECIMAL(6,1) NULL COMMENT '维氏硬度 HV',
+      electrical_conductivity DECIMAL(5,1) NULL COMMENT '该状态下电导率 %IACS',
+      notes VARCHAR(255) NULL COMMENT '备注',
+      UNIQUE KEY uk_alloy_temper (alloy_id, temper),
+      CONSTRAINT fk_alloy_temper FOREIGN KEY (alloy_id) REFERENCES alloys(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alloy_applications (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      alloy_id INT NOT NULL COMMENT '关联 alloys 表',
+      application VARCHAR(255) NOT NULL COMMENT '典型应用',
+      CONSTRAINT fk_alloy_application FOREIGN KEY (alloy_id) REFERENCES alloys(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化参考资料表（供检索增强生成使用的文本段落）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS reference_passages (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(255) NOT NULL COMMENT '标题',
+      source VARCHAR(255) NULL COMMENT '出处，如标准号、手册、文献',
+      content TEXT NOT NULL COMMENT '正文',
+      alloy_id INT NULL COMMENT '关联牌号（可选）',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+      CONSTRAINT fk_alloy_passage FOREIGN KEY (alloy_id) REFERENCES alloys(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 初始化回答反馈表：用户对助理回复的评价（每人每条回复一条），差评进入管理端审核队列，
+  // 审核后标记为已处理，或将更正整理为参考资料（curated）
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS message_feedback (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      message_id BIGINT NOT NULL COMMENT '被评价的助理消息',
+      conversation_id CHAR(36) NOT NULL COMMENT '所在对话',
+      user_id INT NOT NULL COMMENT '评价用户',
+      rating ENUM('up','down') NOT NULL COMMENT '评价：up 有帮助 / down 有问题',
+      categories JSON NULL COMMENT '问题类型：incorrect_data / off_topic / incomplete',
+      correction TEXT NULL COMMENT '用户给出的更正或补充',
+      status ENUM('open','resolved','curated') NOT NULL DEFAULT 'open' COMMENT '审核状态',
+      review_note VARCHAR(500) NULL COMMENT '审核备注',
+      reference_id INT NULL COMMENT '据此整理的参考资料',
+      reviewed_by INT NULL COMMENT '审核人',
+      reviewed_at TIMESTAMP NULL DEFAULT NULL COMMENT '审核时间',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '提交时间',
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+      UNIQUE KEY uk_feedback_message_user (message_id, user_id),
+      INDEX idx_feedback_queue (rating, status, created_at),
+      CONSTRAINT fk_feedback_message FOREIGN KEY (message_id) REFERENCES messages(message_id) ON DELETE CASCADE,
+      CONSTRAINT fk_feedback_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CONSTRAINT fk_feedback_reviewer FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      CONSTRAINT fk_feedback_reference FOREIGN KEY (reference_id) REFERENCES reference_passages(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+
+  // 合金表为空时写入常用牌号初始数据
+  const [[alloyCount]] = await pool.query(
+    "SELECT COUNT(1) AS total FROM alloys",
+  );
+  if (alloyCount.total === 0) {
+    for (const seed of alloySeeds) {
+      await insertAlloy(seed);
+    }
+  }
+
+  console.log(
+    `✅ 数据库初始化成功: ${DB_USER}@${DB_HOST}:${DB_PORT}/${DB_NAME}`,
+  );
+})().catch((err) => {
+  console.error("❌ 数据库初始化失败:", err);
+  process.exit(1);
+});
+
+/**
+ * 测试数据库连接池是否可用
+ */
+async function testDbConnection() {
+  await ready;
+  try {
+    const [rows] = await pool.execute("SELECT VERSION() AS mysql_version");
+    console.log(`✅ 数据库连接池可用，MySQL版本: ${rows[0].mysql_version}`);
+    return true;
+  } catch (err) {
+    console.error("❌ 数据库连接池不可用:", err);
+    return false;
+  }
+}
+
+/**
+ * 用户相关操作
+ */
+async function getUserByEmail(email) {
+  await ready;
+  const [rows] = await pool.execute("SELECT * FROM users WHERE email = ?", [
+    email,
+  ]);
+  return rows[0];
+}
+
+async function createUser({ email, username, password }) {
+  await ready;
+  // 向 users 表插入新用户，返回插入后的整行记录
+  const role = arguments[0].role || "user";
+  const emailVerified = arguments[0].emailVerified ? 1 : 0;
+  const [result] = await pool.execute(
+    "INSERT INTO users (email, username, password, role, email_verified) VALUES (?, ?, ?, ?, ?)",
+    [email, username, password, role, emailVerified],
+  );
+  const [rows] = await pool.execute("SELECT * FROM users WHERE id = ?", [
+    result.insertId,
+  ]);
+  return rows[0];
+}
+
+// 获取单个用户（按 id）
+async function getUserById(id) {
+  await ready;
+  const [rows] = await pool.execute("SELECT * FROM users WHERE id = ?", [id]);
+  return rows[0];
+}
+
+// 更新用户最后登录信息（更新时间、次数自增）
+async function updateUserLoginInfo(userId) {
+  await ready;
+  await pool.execute(
+    "UPDATE users SET last_login = CURRENT_TIMESTAMP, login_count = login_count + 1, failed_login_count = 0, locked_until = NULL WHERE id = ?",
+    [userId],
+  );
+  return true;
+}
+
+/**
+ * 记录一次登录失败，连续失败达到 maxFailures 次时锁定账号 lockMinutes 分钟并重新计数
+ * @returns {Promise<Date|null>} 本次触发锁定时返回锁定截止时间
+ */
+async function recordLoginFailure(userId, maxFailures, lockMinutes) {
+  await ready;
+  // MySQL 按顺序执行 SET，locked_until 需在 failed_login_count 更新之前计算
+  await pool.execute(
+    `UPDATE users SET
+       locked_until = IF(failed_login_count + 1 >= ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE), locked_until),
+       failed_login_count = IF(failed_login_count + 1 >= ?, 0, failed_login_count + 1)
+     WHERE id = ?`,
+    [maxFailures, lockMinutes, maxFailures, userId],
+  );
+  const [[row]] = await pool.execute(
+    "SELECT failed_login_count, locked_until FROM users WHERE id = ?",
+    [userId],
+  );
+  if (!row || row.failed_login_count !== 0 || !row.locked_until) return null;
+  return new Date(row.locked_until) > new Date() ? row.locked_until : null;
+}
+
+// 解除锁定并清零失败次数
+async function unlockUser(userId) {
+  await ready;
+  const [result] = await pool.execute(
+    "UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?",
+    [userId],
+  );
+  return result.affectedRows > 0;
+}
+
+async function recordLoginEvent({
+  userId,
+  email,
+  success,
+  reason,
+  ip,
+  userAgent,
+}) {
+  await ready;
+  await pool.execute(
+    "INSERT INTO login_events (user_id, email, success, reason, ip, user_agent) VALUES (?, ?, ?, ?, ?, ?)",
+    [
+      userId || null,
+      String(email).slice(0, 255),
+      success ? 1 : 0,
+      reason || null,
+      ip || null,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+    ],
+  );
+  return true;
+}
+
+// 用户的登录记录（新 -> 老），支持 success 过滤与分页
+async function getLoginEvents(
+  userId,
+  { success, offset = 0, limit = 20 } = {},
+) {
+  await ready;
+  const params = [userId];
+  let where = "WHERE user_id = ?";
+  if (success !== undefined) {
+    where += " AND success = ?";
+    params.push(success ? 1 : 0);
+  }
+  const [rows] = await pool.execute(
+    `SELECT * FROM login_events ${where} ORDER BY created_at DESC, id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params,
+  );
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM login_events ${where}`,
+    params,
+  );
+  return { items: rows, total: count ? count.total : 0 };
+}
+
+// 列表查询用户，支持 search（用户名或邮箱模糊）、role、offset、limit
+async function getUsers({ search, role, offset = 0, limit = 10 } = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (search) {
+    where += " AND (username LIKE ? OR email LIKE ? )";
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  if (role) {
+    where += " AND role = ?";
+    params.push(role);
+  }
+
+  const sql = `SELECT * FROM users ${where} ORDER BY created_at DESC LIMIT ${Number(
+    limit,
+  )} OFFSET ${Number(offset)}`;
+  const [rows] = await pool.execute(sql, params);
+  return rows;
+}
+
+async function getUsersCount({ search, role } = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (search) {
+    where += " AND (username LIKE ? OR email LIKE ? )";
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  if (role) {
+    where += " AND role = ?";
+    params.push(role);
+  }
+  const sql = `SELECT COUNT(1) AS total FROM users ${where}`;
+  const [rows] = await pool.execute(sql, params);
+  return rows[0] ? rows[0].total : 0;
+}
+
+// 更新用户字段（支持 username, email, password, role）
+async function updateUser(userId, updates = {}) {
+  await ready;
+  const allowed = ["username", "email", "password", "role"];
+  const sets = [];
+  const params = [];
+  for (const k of Object.keys(updates)) {
+    if (!allowed.includes(k)) continue;
+    sets.push(`${k} = ?`);
+    params.push(updates[k]);
+  }
+  if (sets.length === 0) return null;
+  params.push(userId);
+  const sql = `UPDATE users SET ${sets.join(", ")} WHERE id = ?`;
+  await pool.execute(sql, params);
+  return getUserById(userId);
+}
+
+async function setEmailVerified(userId) {
+  await ready;
+  await pool.execute("UPDATE users SET email_verified = 1 WHERE id = ?", [
+    userId,
+  ]);
+  return true;
+}
+
+// 保存待验证的新邮箱
+async function setPendingEmail(userId, email) {
+  await ready;
+  await pool.execute("UPDATE users SET pending_email = ? WHERE id = ?", [
+    email,
+    userId,
+  ]);
+  return true;
+}
+
+/**
+ * 将待验证的新邮箱设为账号邮箱并标记为已验证
+ * @returns {Promise<boolean>} 没有待验证邮箱时返回 false；新邮箱已被占用时抛出 ER_DUP_ENTRY
+ */
+async function confirmPendingEmail(userId) {
+  await ready;
+  const [result] = await pool.execute(
+    `UPDATE users SET email = pending_email, pending_email = NULL, email_verified = 1
+     WHERE id = ? AND pending_email IS NOT NULL`,
+    [userId],
+  );
+  return result.affectedRows > 0;
+}
+
+// 申请注销：记录计划删除时间
+async function scheduleUserDeletion(userId, deleteAt) {
+  await ready;
+  await pool.execute(
+    "UPDATE users SET deletion_scheduled_at = ? WHERE id = ?",
+    [deleteAt, userId],
+  );
+  return true;
+}
+
+// 撤销注销申请
+async function cancelUserDeletion(userId) {
+  await ready;
+  const [result] = await pool.execute(
+    "UPDATE users SET deletion_scheduled_at = NULL WHERE id = ? AND deletion_scheduled_at IS NOT NULL",
+    [userId],
+  );
+  return result.affectedRows > 0;
+}
+
+// 宽限期已结束、等待彻底删除的用户
+async function getUsersDueForDeletion(limit = 100) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT id, email, username, deletion_scheduled_at FROM users
+     WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= CURRENT_TIMESTAMP
+     ORDER BY deletion_scheduled_at LIMIT ${Number(limit)}`,
+  );
+  return rows;
+}
+
+/**
+ * 彻底删除用户及其个人数据：对话、消息、会话、登录记录等经外键级联删除，
+ * 另外清理没有外键的用量、配额、放行名单与拒答记录
+ * @returns {Promise<boolean>}
+ */
+async function purgeUser(userId) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.execute("DELETE FROM token_usage WHERE user_id = ?", [userId]);
+    await conn.execute(
+      "DELETE FROM token_quotas WHERE scope = 'user' AND subject = ?",
+      [String(userId)],
+    );
+    await conn.execute(
+      "DELETE FROM rate_limit_overrides WHERE type = 'user' AND value = ?",
+      [String(userId)],
+    );
+    await conn.execute("DELETE FROM domain_rejections WHERE user_id = ?", [
+      userId,
+    ]);
+    const [result] = await conn.execute("DELETE FROM users WHERE id = ?", [
+      userId,
+    ]);
+    await conn.commit();
+    return result.affectedRows > 0;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// 删除用户；其登录会话经外键级联删除，已签发的访问令牌随即失效
+async function deleteUser(userId) {
+  await ready;
+  const [result] = await pool.execute("DELETE FROM users WHERE id = ?", [
+    userId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+async function deleteUsers(userIds = []) {
+  await ready;
+  if (!Array.isArray(userIds) || userIds.length === 0) return 0;
+  const placeholders = userIds.map(() => "?").join(",");
+  const sql = `DELETE FROM users WHERE id IN (${placeholders})`;
+  const [result] = await pool.execute(sql, userIds);
+  return result.affectedRows || 0;
+}
+
+async function getUsersByIds(userIds = []) {
+  await ready;
+  if (!Array.isArray(userIds) || userIds.length === 0) return [];
+  const placeholders = userIds.map(() => "?").join(",");
+  const sql = `SELECT * FROM users WHERE id IN (${placeholders})`;
+  const [rows] = await pool.execute(sql, userIds);
+  return rows;
+}
+
+// 用户统计：总数、按角色的人数（by_role，含自定义角色）与最近 7 天新增；admins / users 为兼容保留
+async function getUserStats() {
+  await ready;
+  const [roleRows] = await pool.execute(
+    "SELECT role, COUNT(1) AS total FROM users GROUP BY role ORDER BY role",
+  );
+  const [[recent]] = await pool.execute(
+    `SELECT COUNT(1) AS new_users_7d FROM users WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)`,
+  );
+  const byRole = {};
+  for (const row of roleRows) byRole[row.role] = Number(row.total);
+  return {
+    total: Object.values(byRole).reduce((sum, n) => sum + n, 0),
+    admins: byRole.admin || 0,
+    users: byRole.user || 0,
+    by_role: byRole,
+    new_users_7d: recent.new_users_7d || 0,
+  };
+}
+
+/**
+ * 角色与权限
+ */
+// 全部角色的权限（role, permission），供 services/permissions 缓存
+async function getRolePermissionRows() {
+  await ready;
+  const [rows] = await pool.query(
+    "SELECT role, permission FROM role_permissions ORDER BY role, permission",
+  );
+  return rows;
+}
+
+// 角色列表，附带权限与使用该角色的用户数
+async function listRoles() {
+  await ready;
+  const [roles] = await pool.query(
+    `SELECT r.*, COUNT(u.id) AS user_count FROM roles r
+     LEFT JOIN users u ON u.role = r.name
+     GROUP BY r.name
+     ORDER BY r.is_system DESC, r.name`,
+  );
+  const rows = await getRolePermissionRows();
+  return roles.map((r) => ({
+    ...r,
+    permissions: rows.filter((p) => p.role === r.name).map((p) => p.permission),
+  }));
+}
+
+// 获取单个角色（含权限与用户数），不存在时返回 null
+async function getRole(name) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT r.*, (SELECT COUNT(1) FROM users u WHERE u.role = r.name) AS user_count
+     FROM roles r WHERE r.name = ?`,
+    [name],
+  );
+  if (!rows[0]) return null;
+  const [permissions] = await pool.execute(
+    "SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission",
+    [name],
+  );
+  return { ...rows[0], permissions: permissions.map((p) => p.permission) };
+}
+
+// 新增自定义角色
+async function createRole({ name, description, permissions = [] }) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.execute("INSERT INTO roles (name, description) VALUES (?, ?)", [
+      name,
+      description || null,
+    ]);
+    for (const permission of permissions) {
+      await conn.execute(
+        "INSERT INTO role_permissions (role, permission) VALUES (?, ?)",
+        [name, permission],
+      );
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return getRole(name);
+}
+
+// 更新角色说明，permissions 若提供则整体替换
+async function updateRole(name, { description, permissions }) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    if (description !== undefined) {
+      await conn.execute("UPDATE roles SET description = ? WHERE name = ?", [
+        description || null,
+        name,
+      ]);
+    }
+    if (permissions !== undefined) {
+      await conn.execute("DELETE FROM role_permissions WHERE role = ?", [name]);
+      for (const permission of permissions) {
+        await conn.execute(
+          "INSERT INTO role_permissions (role, permission) VALUES (?, ?)",
+          [name, permission],
+        );
+      }
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return getRole(name);
+}
+
+// 删除自定义角色及其角色配额（内置角色不会被删除）
+async function deleteRole(name) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.execute(
+      "DELETE FROM roles WHERE name = ? AND is_system = 0",
+      [name],
+    );
+    if (result.affectedRows > 0) {
+      await conn.execute(
+        "DELETE FROM token_quotas WHERE scope = 'role' AND subject = ?",
+        [name],
+      );
+    }
+    await conn.commit();
+    return result.affectedRows > 0;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 一次性令牌（邮箱验证、重置密码）
+ */
+// 创建令牌，同一用途下此前未使用的令牌作废
+async function createUserToken({ userId, purpose, tokenHash, expiresAt }) {
+  await ready;
+  await pool.execute(
+    "DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [userId, purpose],
+  );
+  await pool.execute(
+    "INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)",
+    [userId, purpose, tokenHash, expiresAt],
+  );
+  return true;
+}
+
+/**
+ * 使用令牌：未使用且未过期时标记为已使用
+ * @returns {Promise<number|null>} 令牌所属的用户ID，无效时返回 null
+ */
+async function consumeUserToken(purpose, tokenHash) {
+  await ready;
+  const [result] = await pool.execute(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [tokenHash, purpose],
+  );
+  if (result.affectedRows === 0) return null;
+  const [[row]] = await pool.execute(
+    "SELECT user_id FROM user_tokens WHERE token_hash = ?",
+    [tokenHash],
+  );
+  return row ? row.user_id : null;
+}
+
+/**
+ * 登录会话
+ */
+async function createSession({
+  userId,
+  refreshTokenHash,
+  userAgent,
+  ip,
+  expiresAt,
+}) {
+  await ready;
+  const id = randomUUID();
+  await pool.execute(
+    "INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip, last_used_at, expires_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)",
+    [
+      id,
+      userId,
+      refreshTokenHash,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+      ip || null,
+      expiresAt,
+    ],
+  );
+  return { id, user_id: userId, expires_at: expiresAt };
+}
+
+async function getSessionById(id) {
+  await ready;
+  const [rows] = await pool.execute("SELECT * FROM sessions WHERE id = ?", [
+    id,
+  ]);
+  return rows[0] || null;
+}
+
+// 未撤销、未过期的会话及用户当前角色，不存在时返回 null
+async function getActiveSession(id) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT s.id, s.user_id, u.role FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [id],
+  );
+  return rows[0] || null;
+}
+
+/**
+ * 轮换刷新令牌：仅当会话当前的令牌哈希仍为 currentHash 时更新，避免并发刷新重复轮换
+ * @returns {Promise<boolean>} 是否轮换成功
+ */
+async function rotateSession(id, currentHash, nextHash, { ip, expiresAt }) {
+  await ready;
+  const [result] = await pool.execute(
+    `UPDATE sessions SET refresh_token_hash = ?, previous_token_hash = ?, ip = ?,
+       last_used_at = CURRENT_TIMESTAMP, expires_at = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [nextHash, currentHash, ip || null, expiresAt, id, currentHash],
+  );
+  return result.affectedRows > 0;
+}
+
+// 列出用户未撤销、未过期的会话
+async function listUserSessions(userId) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC, created_at DESC`,
+    [userId],
+  );
+  return rows;
+}
+
+// 撤销会话；指定 userId 时只撤销属于该用户的会话
+async function revokeSession(id, userId = null) {
+  await ready;
+  const params = [id];
+  let sql =
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL";
+  if (userId) {
+    sql += " AND user_id = ?";
+    params.push(userId);
+  }
+  const [result] = await pool.execute(sql, params);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 撤销用户的所有会话（如修改密码后），可保留当前会话
+ * @returns {Promise<number>} 撤销的会话数
+ */
+async function revokeUserSessions(userId, exceptSessionId = null) {
+  await ready;
+  const params = [userId];
+  let sql =
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL";
+  if (exceptSessionId) {
+    sql += " AND id <> ?";
+    params.push(exceptSessionId);
+  }
+  const [result] = await pool.execute(sql, params);
+  return result.affectedRows || 0;
+}
+
+/**
+ * 对话与消息操作
+ */
+const createConversation = async (
+  userId,
+  title = "新对话",
+  titleSource = "auto",
+) => {
+  await ready;
+  const conversationId = randomUUID();
+  await pool.execute(
+    "INSERT INTO conversations (conversation_id, user_id, title, title_source) VALUES (?, ?, ?, ?)",
+    [conversationId, userId, title, titleSource],
+  );
+  return {
+    conversation_id: conversationId,
+    user_id: userId,
+    title,
+    title_source: titleSource,
+  };
+};
+
+/**
+ * 追加消息
+ * @param {Object} options - 可选字段：citations（助理消息引用的参考资料）、parentId（父消息ID）、
+ *   status（生成状态，默认 complete）、usage（助理消息的 { prompt_tokens, completion_tokens }）、
+ *   timing（助理消息的 { first_token_ms, latency_ms }）
+ */
+const addMessage = async (conversationId, role, content, options = {}) => {
+  await ready;
+  const citations =
+    options.citations && options.citations.length > 0
+      ? JSON.stringify(options.citations)
+      : null;
+  const status = options.status || "complete";
+  const usage = options.usage || null;
+  const timing = options.timing || {};
+  const [result] = await pool.execute(
+    "INSERT INTO messages (conversation_id, parent_id, role, content, citations, status, prompt_tokens, completion_tokens, first_token_ms, latency_ms) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      conversationId,
+      options.parentId || null,
+      role,
+      content,
+      citations,
+      status,
+      usage ? usage.prompt_tokens : null,
+      usage ? usage.completion_tokens : null,
+      timing.first_token_ms ?? null,
+      timing.latency_ms ?? null,
+    ],
+  );
+  // 更新 conversations.updated_at
+  await pool.execute(
+    "UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE conversation_id = ?",
+    [conversationId],
+  );
+  return {
+    message_id: result.insertId,
+    conversation_id: conversationId,
+    parent_id: options.parentId || null,
+    role,
+    content,
+    citations: options.citations || [],
+    status,
+    prompt_tokens: usage ? usage.prompt_tokens : null,
+    completion_tokens: usage ? usage.completion_tokens : null,
+  };
+};
+
+// 批量获取对话的标签，返回 conversation_id -> [tag] 的 Map
+async function getTagsByConversationIds(ids = []) {
+  const map = new Map(ids.map((id) => [id, []]));
+  if (ids.length === 0) return map;
+  const [rows] = await pool.query(
+    "SELECT conversation_id, tag FROM conversation_tags WHERE conversation_id IN (?) ORDER BY tag ASC",
+    [ids],
+  );
+  for (const r of rows) map.get(r.conversation_id).push(r.tag);
+  return map;
+}
+
+// 批量读取对话当前激活路径上最后一条消息的内容，作为列表预览（不在激活路径上的分支不参与）
+async function getLastMessagesByConversationIds(ids = []) {
+  const map = new Map(ids.map((id) => [id, null]));
+  if (ids.length === 0) return map;
+  const [rows] = await pool.query(
+    "SELECT message_id, parent_id, conversation_id, is_selected FROM messages WHERE conversation_id IN (?) ORDER BY message_id ASC",
+    [ids],
+  );
+  const trees = new Map(ids.map((id) => [id, { children: new Map() }]));
+  for (const r of rows) {
+    const { children } = trees.get(r.conversation_id);
+    if (!children.has(r.parent_id)) children.set(r.parent_id, []);
+    children.get(r.parent_id).push(r);
+  }
+  const leafIds = [];
+  for (const tree of trees.values()) {
+    const path = activePath(tree);
+    if (path.length > 0) leafIds.push(path[path.length - 1].message_id);
+  }
+  if (leafIds.length === 0) return map;
+  const [leaves] = await pool.query(
+    "SELECT conversation_id, content FROM messages WHERE message_id IN (?)",
+    [leafIds],
+  );
+  for (const r of leaves) map.set(r.conversation_id, r.content);
+  return map;
+}
+
+/**
+ * 获取用户对话列表（支持分页），置顶的对话排在最前
+ * @param {Object} filters
+ * @param {boolean|"all"} [filters.archived=false] - 是否归档，"all" 表示不过滤
+ * @param {boolean} [filters.pinned] - 是否置顶，不传表示不过滤
+ * @param {string} [filters.tag] - 只返回带有该标签的对话
+ */
+const listConversations = async (
+  userId,
+  page = 1,
+  pageSize = 20,
+  filters = {},
+) => {
+  await ready;
+  const offset = (page - 1) * pageSize;
+
+  const limit = Number(pageSize);
+  const off = Number(offset);
+
+  const where = ["c.user_id = ?"];
+  const params = [userId];
+  const archived = filters.archived === undefined ? false : filters.archived;
+  if (archived !== "all") {
+    where.push("c.archived = ?");
+    params.push(archived ? 1 : 0);
+  }
+  if (filters.pinned !== undefined) {
+    where.push("c.pinned = ?");
+    params.push(filters.pinned ? 1 : 0);
+  }
+  if (filters.tag) {
+    where.push(
+      "EXISTS (SELECT 1 FROM conversation_tags t WHERE t.conversation_id = c.conversation_id AND t.tag = ?)",
+    );
+    params.push(filters.tag);
+  }
+  const whereSql = where.join(" AND ");
+
+  // 一些 MySQL 版本/配置对 LIMIT/OFFSET 使用预处理参数支持不一致，
+  // 因此在验证为数字后直接插入到 SQL 中以避免 ER_WRONG_ARGUMENTS 错误。
+  const sql = `
+    SELECT 
+      c.conversation_id, c.title, c.title_source, c.pinned, c.archived, c.created_at, c.updated_at
+    FROM conversations c
+    WHERE ${whereSql}
+    ORDER BY c.pinned DESC, c.updated_at DESC
+    LIMIT ${limit} OFFSET ${off}
+  `;
+
+  const [rows] = await pool.execute(sql, params);
+
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM conversations c WHERE ${whereSql}`,
+    params,
+  );
+  const total = countRows && countRows[0] ? countRows[0].total : 0;
+
+  const ids = rows.map((r) => r.conversation_id);
+  const tags = await getTagsByConversationIds(ids);
+  const lastMessages = await getLastMessagesByConversationIds(ids);
+  const items = rows.map((r) => ({
+    ...r,
+    last_message: lastMessages.get(r.conversation_id),
+    pinned: !!r.pinned,
+    archived: !!r.archived,
+    tags: tags.get(r.conversation_id),
+  }));
+
+  return { items, total };
+};
+
+/**
+ * 获取用户的全部对话（不分页，按更新时间倒序），用于批量导出
+ */
+const getAllConversations = async (userId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM conversations WHERE user_id = ? ORDER BY updated_at DESC",
+    [userId],
+  );
+  return rows;
+};
+
+/**
+ * 在同一事务中为用户批量创建导入的对话，任一写入失败则全部回滚
+ * @param {Array<{title, title_source, created_at, updated_at, messages: Array<{role, content, citations, status, created_at}>}>} conversations
+ *   title_source 默认为 user（沿用导入文件中的标题，不再自动生成）
+ *   消息按顺序依次作为上一条的子消息，构成单一分支
+ * @returns {Promise<string[]>} 与输入顺序一致的新对话ID
+ */
+const importConversations = async (userId, conversations = []) => {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const ids = [];
+    for (const conv of conversations) {
+      const conversationId = randomUUID();
+      await conn.execute(
+        `INSERT INTO conversations (conversation_id, user_id, title, title_source, created_at, updated_at)
+         VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))`,
+        [
+          conversationId,
+          userId,
+          conv.title,
+          conv.title_source || "user",
+          conv.created_at || null,
+          conv.updated_at || null,
+        ],
+      );
+      let parentId = null;
+      for (const m of conv.messages) {
+        const [result] = await conn.execute(
+          `INSERT INTO messages (conversation_id, parent_id, role, content, citations, status, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+          [
+            conversationId,
+            parentId,
+            m.role,
+            m.content,
+            m.citations && m.citations.length > 0
+              ? JSON.stringify(m.citations)
+              : null,
+            m.status || "complete",
+            m.created_at || null,
+          ],
+        );
+        parentId = result.insertId;
+      }
+      ids.push(conversationId);
+    }
+    await conn.commit();
+    return ids;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * 更新对话的标题、置顶、归档状态与标签（tags 若提供则整体替换）。
+ * 用户修改过的标题标记为 user，之后不会再被自动生成的标题覆盖。
+ * 这些操作不改变 updated_at，避免对话列表因整理操作而重新排序
+ * @returns {Promise<Object>} 更新后的对话（带 tags）
+ */
+const updateConversation = async (conversationId, data = {}) => {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const fields = ["title", "pinned", "archived"].filter(
+      (k) => data[k] !== undefined,
+    );
+    if (fields.length > 0) {
+      await conn.execute(
+        `UPDATE conversations SET ${fields.map((k) => `${k} = ?`).join(", ")}${
+          data.title !== undefined ? ", title_source = 'user'" : ""
+        }, updated_at = updated_at WHERE conversation_id = ?`,
+        [
+          ...fields.map((k) =>
+            typeof data[k] === "boolean" ? Number(data[k]) : data[k],
+          ),
+          conversationId,
+        ],
+      );
+    }
+    if (data.tags !== undefined) {
+      await conn.execute(
+        "DELETE FROM conversation_tags WHERE conversation_id = ?",
+        [conversationId],
+      );
+      for (const tag of data.tags) {
+        await conn.execute(
+          "INSERT INTO conversation_tags (conversation_id, tag) VALUES (?, ?)",
+          [conversationId, tag],
+        );
+      }
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  const conversation = await getConversation(conversationId);
+  const tags = await getTagsByConversationIds([conversationId]);
+  return {
+    ...conversation,
+    pinned: !!conversation.pinned,
+    archived: !!conversation.archived,
+    tags: tags.get(conversationId),
+  };
+};
+
+/**
+ * 全文检索用户的对话：标题或任意消息内容命中即返回，按相关度排序（支持分页）
+ * @param {number} userId
+ * @param {string} booleanQuery - FULLTEXT 布尔模式查询串（见 services/search）
+ * @returns {Promise<{items: Array, total: number}>} 每项带 score 与命中的消息 matches（按相关度降序）
+ */
+const searchConversations = async (
+  userId,
+  booleanQuery,
+  page = 1,
+  pageSize = 20,
+) => {
+  await ready;
+  const limit = Number(pageSize);
+  const off = Number((page - 1) * pageSize);
+
+  // 先按对话汇总消息命中情况，再与标题命中合并
+  const matchedSql = `
+    FROM conversations c
+    LEFT JOIN (
+      SELECT m.conversation_id,
+        MAX(MATCH(m.content) AGAINST (? IN BOOLEAN MODE)) AS score
+      FROM messages m
+      JOIN conversations mc ON mc.conversation_id = m.conversation_id
+      WHERE mc.user_id = ? AND MATCH(m.content) AGAINST (? IN BOOLEAN MODE)
+      GROUP BY m.conversation_id
+    ) hit ON hit.conversation_id = c.conversation_id
+    WHERE c.user_id = ?
+      AND (hit.conversation_id IS NOT NULL OR MATCH(c.title) AGAINST (? IN BOOLEAN MODE))
+  `;
+  const params = [booleanQuery, userId, booleanQuery, userId, booleanQuery];
+
+  const [rows] = await pool.execute(
+    `SELECT c.conversation_id, c.title, c.pinned, c.archived, c.created_at, c.updated_at,
+       MATCH(c.title) AGAINST (? IN BOOLEAN MODE) AS title_score,
+       MATCH(c.title) AGAINST (? IN BOOLEAN MODE) + COALESCE(hit.score, 0) AS score
+     ${matchedSql}
+     ORDER BY score DESC, c.updated_at DESC
+     LIMIT ${limit} OFFSET ${off}`,
+    [booleanQuery, booleanQuery, ...params],
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(1) AS total ${matchedSql}`,
+    params,
+  );
+  const total = countRows && countRows[0] ? countRows[0].total : 0;
+
+  const ids = rows.map((r) => r.conversation_id);
+  const matches = new Map(ids.map((id) => [id, []]));
+  if (ids.length > 0) {
+    const [messageRows] = await pool.query(
+      `SELECT message_id, conversation_id, role, content, created_at,
+         MATCH(content) AGAINST (? IN BOOLEAN MODE) AS score
+       FROM messages
+       WHERE conversation_id IN (?) AND MATCH(content) AGAINST (? IN BOOLEAN MODE)
+       ORDER BY score DESC, message_id ASC`,
+      [booleanQuery, ids, booleanQuery],
+    );
+    for (const m of messageRows) matches.get(m.conversation_id).push(m);
+  }
+
+  const items = rows.map((r) => ({
+    conversation_id: r.conversation_id,
+    title: r.title,
+    pinned: !!r.pinned,
+    archived: !!r.archived,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+    score: Number(r.score),
+    title_matched: Number(r.title_score) > 0,
+    matches: matches.get(r.conversation_id),
+  }));
+  return { items, total };
+};
+
+/**
+ * 写入模型生成的标题，仅当标题仍为自动截取（title_source = auto）时生效，
+ * 避免覆盖生成期间用户手动修改的标题
+ * @returns {Promise<boolean>} 是否已更新
+ */
+const setGeneratedTitle = async (conversationId, title) => {
+  await ready;
+  const [result] = await pool.execute(
+    "UPDATE conversations SET title = ?, title_source = 'generated', updated_at = updated_at WHERE conversation_id = ? AND title_source = 'auto'",
+    [title, conversationId],
+  );
+  return result.affectedRows > 0;
+};
+
+// 保存滚动摘要，不改变 updated_at
+const setConversationSummary = async (conversationId, summary, messageId) => {
+  await ready;
+  await pool.execute(
+    "UPDATE conversations SET context_summary = ?, summary_message_id = ?, updated_at = updated_at WHERE conversation_id = ?",
+    [summary, messageId, conversationId],
+  );
+};
+
+/**
+ * 对话固定信息
+ */
+const getConversationFacts = async (conversationId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT id, content, created_at FROM conversation_facts WHERE conversation_id = ? ORDER BY id ASC",
+    [conversationId],
+  );
+  return rows;
+};
+
+const addConversationFact = async (conversationId, content) => {
+  await ready;
+  const [result] = await pool.execute(
+    "INSERT INTO conversation_facts (conversation_id, content) VALUES (?, ?)",
+    [conversationId, content],
+  );
+  return { id: result.insertId, content };
+};
+
+const deleteConversationFact = async (id, conversationId) => {
+  await ready;
+  const [result] = await pool.execute(
+    "DELETE FROM conversation_facts WHERE id = ? AND conversation_id = ?",
+    [id, conversationId],
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * 用户使用过的全部标签及对应的对话数
+ */
+const listConversationTags = async (userId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT t.tag, COUNT(1) AS count
+     FROM conversation_tags t
+     JOIN conversations c ON c.conversation_id = t.conversation_id
+     WHERE c.user_id = ?
+     GROUP BY t.tag
+     ORDER BY count DESC, t.tag ASC`,
+    [userId],
+  );
+  return rows;
+};
+
+const getConversation = async (conversationId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM conversations WHERE conversation_id = ?",
+    [conversationId],
+  );
+  return rows[0];
+};
+
+const getMessageById = async (messageId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM messages WHERE message_id = ?",
+    [messageId],
+  );
+  if (!rows[0]) return undefined;
+  return { ...rows[0], citations: parseJson(rows[0].citations, []) };
+};
+
+/**
+ * 读取对话中的全部消息并组织为树
+ * @returns {{rows: Array, byId: Map, children: Map}} children 以父消息ID为键（根消息为 null）
+ */
+const getMessageTree = async (conversationId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT message_id, parent_id, role, content, citations, status, is_selected, created_at
+     FROM messages WHERE conversation_id = ? ORDER BY message_id ASC`,
+    [conversationId],
+  );
+  const byId = new Map();
+  const children = new Map();
+  for (const r of rows) {
+    r.citations = parseJson(r.citations, []);
+    byId.set(r.message_id, r);
+    if (!children.has(r.parent_id)) children.set(r.parent_id, []);
+    children.get(r.parent_id).push(r);
+  }
+  return { rows, byId, children };
+};
+
+// 对话的全部消息（含所有分支与版本），按消息ID升序
+const getAllMessages = async (conversationId) => {
+  const tree = await getMessageTree(conversationId);
+  return tree.rows;
+};
+
+// 从根消息开始沿选中的子消息向下，得到当前激活的路径
+function activePath(tree) {
+  const path = [];
+  let siblings = tree.children.get(null) || [];
+  while (siblings.length > 0) {
+    const next =
+      siblings.find((m) => m.is_selected) || siblings[siblings.length - 1];
+    path.push(next);
+    siblings = tree.children.get(next.message_id) || [];
+  }
+  return path;
+}
+
+// 从某条消息向上追溯到根消息，返回根 -> 该消息的路径
+function pathTo(tree, messageId) {
+  const path = [];
+  let cur = tree.byId.get(messageId);
+  while (cur) {
+    path.unshift(cur);
+    cur = cur.parent_id === null ? null : tree.byId.get(cur.parent_id);
+  }
+  return path;
+}
+
+/**
+ * 获取单条对话当前激活路径上的消息，每条消息附带其全部兄弟版本（versions）
+ * @param {number} limit - 可选，只返回最近 N 条
+ */
+const getMessages = async (conversationId, limit = null) => {
+  const tree = await getMessageTree(conversationId);
+  const messages = activePath(tree).map((r) => {
+    const siblings = tree.children.get(r.parent_id) || [r];
+    return {
+      message_id: r.message_id,
+      parent_id: r.parent_id,
+      role: r.role,
+      content: r.content,
+      citations: r.citations,
+      status: r.status,
+      created_at: r.created_at,
+      versions: siblings.map((v) => ({
+        message_id: v.message_id,
+        content: v.content,
+        citations: v.citations,
+        status: v.status,
+        is_selected: v.message_id === r.message_id,
+        created_at: v.created_at,
+      })),
+    };
+  });
+
+  const n = Number(limit);
+  if (limit && !Number.isNaN(n) && n >= 1) return messages.slice(-n);
+  return messages;
+};
+
+/**
+ * 获取会话最近 N 条消息，按时间升序返回（如果未指定 limit 则返回全部），用于构建模型上下文
+ * @param {Object} options - leafId：取以该消息结尾的路径（为 null 时返回空），
+ *   未提供时取当前激活的路径
+ */
+const getConversationMessages = async (
+  conversationId,
+  limit = null,
+  options = {},
+) => {
+  const tree = await getMessageTree(conversationId);
+  let path;
+  if (options.leafId === undefined) path = activePath(tree);
+  else path = options.leafId === null ? [] : pathTo(tree, options.leafId);
+
+  const rows = path.map((r) => ({
+    message_id: r.message_id,
+    role: r.role,
+    content: r.content,
+    created_at: r.created_at,
+  }));
+  const n = Number(limit);
+  if (limit && !Number.isNaN(n) && n >= 1) return rows.slice(-n);
+  return rows;
+};
+
+/**
+ * 将某条消息设为兄弟消息中的选中项
+ */
+const selectMessageVersion = async (message) => {
+  await ready;
+  await pool.execute(
+    "UPDATE messages SET is_selected = (message_id = ?) WHERE conversation_id = ? AND parent_id <=> ?",
+    [message.message_id, message.conversation_id, message.parent_id],
+  );
+  return true;
+};
+
+/**
+ * 激活某条消息所在的分支：该消息及其所有祖先都设为兄弟中的选中项，
+ * 之后沿各节点已选中的子消息向下，得到新的激活路径
+ * @returns {Promise<Array>} 新的激活路径
+ */
+const activateMessage = async (message) => {
+  const tree = await getMessageTree(message.conversation_id);
+  for (const node of pathTo(tree, message.message_id)) {
+    const siblings = tree.children.get(node.parent_id) || [];
+    const selected = siblings.filter((m) => m.is_selected);
+    if (selected.length === 1 && selected[0] === node) continue;
+    await selectMessageVersion({
+      message_id: node.message_id,
+      conversation_id: message.conversation_id,
+      parent_id: node.parent_id,
+    });
+    for (const m of siblings) m.is_selected = m === node ? 1 : 0;
+  }
+  return activePath(tree);
+};
+
+/**
+ * 列出对话的全部分支（每个叶子消息对应一条分支）
+ */
+const listBranches = async (conversationId) => {
+  const tree = await getMessageTree(conversationId);
+  const active = activePath(tree);
+  const activeLeaf = active.length > 0 ? active[active.length - 1] : null;
+
+  return tree.rows
+    .filter((r) => !tree.children.has(r.message_id))
+    .map((leaf) => {
+      const path = pathTo(tree, leaf.message_id);
+      // 分叉点：路径上最后一个有兄弟消息的节点
+      const fork = [...path]
+        .reverse()
+        .find((m) => (tree.children.get(m.parent_id) || []).length > 1);
+      const lastQuestion = [...path].reverse().find((m) => m.role === "user");
+      return {
+        leaf_id: leaf.message_id,
+        fork_message_id: fork ? fork.message_id : null,
+        last_question: lastQuestion ? lastQuestion.content : null,
+        length: path.length,
+        is_active: !!activeLeaf && activeLeaf.message_id === leaf.message_id,
+        updated_at: leaf.created_at,
+      };
+    });
+};
+
+/**
+ * 删除用户的某条对话（级联删除消息）
+ */
+const deleteConversation = async (conversationId, userId) => {
+  await ready;
+  const [result] = await pool.execute(
+    "DELETE FROM conversations WHERE conversation_id = ? AND user_id = ?",
+    [conversationId, userId],
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * 对话分享
+ */
+const formatShare = (r) => ({
+  id: r.id,
+  token: r.token,
+  conversation_id: r.conversation_id,
+  include_later: !!r.include_later,
+  expires_at: r.expires_at,
+  revoked_at: r.revoked_at,
+  view_count: r.view_count,
+  created_at: r.created_at,
+});
+
+/**
+ * 为对话创建分享令牌，记录当前激活分支的最后一条消息作为快照终点
+ * @param {Object} options - includeLater：是否展示之后新增的消息；expiresAt：过期时间（Date，可选）
+ */
+const createShare = async (conversationId, userId, options = {}) => {
+  const tree = await getMessageTree(conversationId);
+  const path = activePath(tree);
+  const last = path[path.length - 1];
+  const token = randomBytes(24).toString("base64url");
+  const [result] = await pool.execute(
+    `INSERT INTO conversation_shares (token, conversation_id, user_id, snapshot_message_id, include_later, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      token,
+      conversationId,
+      userId,
+      last ? last.message_id : null,
+      options.includeLater ? 1 : 0,
+      options.expiresAt || null,
+    ],
+  );
+  return getShareById(result.insertId);
+};
+
+const getShareById = async (id) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM conversation_shares WHERE id = ?",
+    [id],
+  );
+  return rows[0] ? formatShare(rows[0]) : null;
+};
+
+const listShares = async (conversationId) => {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM conversation_shares WHERE conversation_id = ? ORDER BY id DESC",
+    [conversationId],
+  );
+  return rows.map(formatShare);
+};
+
+// 撤销分享，已撤销或不属于该对话时返回 false
+const revokeShare = async (id, conversationId) => {
+  await ready;
+  const [result] = await pool.execute(
+    "UPDATE conversation_shares SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND conversation_id = ? AND revoked_at IS NULL",
+    [id, conversationId],
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * 按令牌获取分享的对话快照
+ * @returns {Promise<{share: Object, snapshot?: Object}|null>} 令牌不存在时返回 null；
+ *   已撤销或已过期时只返回 share，否则附带 snapshot 并累加查看次数
+ */
+const getSharedSnapshot = async (token) => {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT s.*, c.title, c.created_at AS conversation_created_at,
+       (s.expires_at IS NOT NULL AND s.expires_at <= CURRENT_TIMESTAMP) AS expired
+     FROM conversation_shares s
+     JOIN conversations c ON c.conversation_id = s.conversation_id
+     WHERE s.token = ?`,
+    [token],
+  );
+  const row = rows[0];
+  if (!row) return null;
+  const share = formatShare(row);
+  if (row.revoked_at || Number(row.expired)) return { share };
+
+  await pool.execute(
+    "UPDATE conversation_shares SET view_count = view_count + 1 WHERE id = ?",
+    [row.id],
+  );
+
+  // include_later 时展示当前激活分支，否则展示到创建分享时的最后一条消息为止
+  const tree = await getMessageTree(row.conversation_id);
+  let path = [];
+  if (row.include_later) path = activePath(tree);
+  else if (row.snapshot_message_id !== null) {
+    path = pathTo(tree, row.snapshot_message_id);
+  }
+
+  // 快照不包含用户、对话与消息的内部ID
+  return {
+    share,
+    snapshot: {
+      title: row.title,
+      created_at: row.conversation_created_at,
+      shared_at: row.created_at,
+      expires_at: row.expires_at,
+      messages: path.map((m) => ({
+        role: m.role,
+        content: m.content,
+        citations: (m.citations || []).map((c) => ({
+          index: c.index,
+          title: c.title,
+          source: c.source,
+          snippet: c.snippet,
+        })),
+        status: m.status,
+        created_at: m.created_at,
+      })),
+    },
+  };
+};
+
+/**
+ * 领域拒答日志
+ */
+async function logDomainRejection({
+  userId,
+  conversationId,
+  messageId,
+  question,
+  confidence,
+  stage,
+  reason,
+  matches = [],
+}) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO domain_rejections
+      (user_id, conversation_id, message_id, question, confidence, stage, reason, matches)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId || null,
+      conversationId || null,
+      messageId || null,
+      question,
+      confidence,
+      stage || null,
+      reason ? String(reason).slice(0, 500) : null,
+      JSON.stringify(matches),
+    ],
+  );
+  return true;
+}
+
+// 查询拒答日志，支持 search（问题模糊）、from / to（日期范围）、分页
+async function getDomainRejections({
+  search,
+  from,
+  to,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (search) {
+    where += " AND r.question LIKE ?";
+    params.push(`%${search}%`);
+  }
+  if (from) {
+    where += " AND r.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND r.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  const sql = `SELECT r.*, u.username, u.email FROM domain_rejections r
+    LEFT JOIN users u ON u.id = r.user_id
+    ${where} ORDER BY r.created_at DESC, r.id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+  const [rows] = await pool.execute(sql, params);
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM domain_rejections r ${where}`,
+    params,
+  );
+  return {
+    items: rows.map((r) => ({
+      ...r,
+      confidence: Number(r.confidence),
+      matches: parseJson(r.matches, []),
+    })),
+    total: count ? count.total : 0,
+  };
+}
+
+/**
+ * 回答反馈
+ */
+// 反馈及其所在对话、被评价的回复与对应问题，用于审核队列
+const FEEDBACK_SELECT = `SELECT f.*, u.username, u.email, c.title AS conversation_title,
+    m.content AS answer, m.citations, q.message_id AS question_id, q.content AS question
+  FROM message_feedback f
+  JOIN messages m ON m.message_id = f.message_id
+  LEFT JOIN messages q ON q.message_id = m.parent_id
+  LEFT JOIN conversations c ON c.conversation_id = f.conversation_id
+  LEFT JOIN users u ON u.id = f.user_id`;
+
+function formatFeedback(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    categories: parseJson(row.categories, []),
+    ...(row.citations !== undefined && {
+      citations: parseJson(row.citations, []),
+    }),
+  };
+}
+
+// 用户对某条回复的反馈
+async function getMessageFeedback(messageId, userId) {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT * FROM message_feedback WHERE message_id = ? AND user_id = ?",
+    [messageId, userId],
+  );
+  return formatFeedback(rows[0]);
+}
+
+/**
+ * 提交或修改对回复的反馈；修改后重新进入待审核状态
+ * @param {Object} feedback
+ * @param {number} feedback.messageId - 助理消息ID
+ * @param {string} feedback.conversationId
+ * @param {number} feedback.userId
+ * @param {string} feedback.rating - up / down
+ * @param {Array<string>} [feedback.categories]
+ * @param {string} [feedback.correction]
+ */
+async function saveMessageFeedback({
+  messageId,
+  conversationId,
+  userId,
+  rating,
+  categories = [],
+  correction = null,
+}) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO message_feedback (message_id, conversation_id, user_id, rating, categories, correction)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE rating = VALUES(rating), categories = VALUES(categories),
+       correction = VALUES(correction), status = 'open', review_note = NULL,
+       reference_id = NULL, reviewed_by = NULL, reviewed_at = NULL`,
+    [
+      messageId,
+      conversationId,
+      userId,
+      rating,
+      JSON.stringify(categories),
+      correction || null,
+    ],
+  );
+  return getMessageFeedback(messageId, userId);
+}
+
+async function deleteMessageFeedback(messageId, userId) {
+  await ready;
+  const [result] = await pool.execute(
+    "DELETE FROM message_feedback WHERE message_id = ? AND user_id = ?",
+    [messageId, userId],
+  );
+  return result.affectedRows > 0;
+}
+
+// 查询反馈，支持 rating / status / category / from / to 过滤与分页，按提交时间倒序
+async function getFeedbackList({
+  rating,
+  status,
+  category,
+  from,
+  to,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (rating) {
+    where += " AND f.rating = ?";
+    params.push(rating);
+  }
+  if (status) {
+    where += " AND f.status = ?";
+    params.push(status);
+  }
+  if (category) {
+    where += " AND JSON_CONTAINS(f.categories, JSON_QUOTE(?))";
+    params.push(category);
+  }
+  if (from) {
+    where += " AND f.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND f.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  const [rows] = await pool.execute(
+    `${FEEDBACK_SELECT} ${where}
+     ORDER BY f.created_at DESC, f.id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params,
+  );
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM message_feedback f ${where}`,
+    params,
+  );
+  return {
+    items: rows.map(formatFeedback),
+    total: count ? count.total : 0,
+  };
+}
+
+async function getFeedbackById(id) {
+  await ready;
+  const [rows] = await pool.execute(`${FEEDBACK_SELECT} WHERE f.id = ?`, [id]);
+  return formatFeedback(rows[0]);
+}
+
+// 将待审核的反馈标记为已处理，已被审核过时返回 false
+async function resolveFeedback(id, { reviewerId, note }) {
+  await ready;
+  const [result] = await pool.execute(
+    `UPDATE message_feedback SET status = 'resolved', review_note = ?, reviewed_by = ?, reviewed_at = NOW()
+     WHERE id = ? AND status = 'open'`,
+    [note || null, reviewerId, id],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * 将待审核的反馈整理为参考资料：新增参考资料并关联到反馈
+ * @returns {Promise<Object|null>} 新增的参考资料，反馈已被审核过时返回 null
+ */
+async function curateFeedback(id, { reviewerId, note, passage }) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[feedback]] = await conn.execute(
+      "SELECT status FROM message_feedback WHERE id = ? FOR UPDATE",
+      [id],
+    );
+    if (!feedback || feedback.status !== "open") {
+      await conn.rollback();
+      return null;
+    }
+    const [result] = await conn.execute(
+      "INSERT INTO reference_passages (title, source, content, alloy_id) VALUES (?, ?, ?, ?)",
+      [
+        passage.title,
+        passage.source || null,
+        passage.content,
+        passage.alloyId || null,
+      ],
+    );
+    await conn.execute(
+      `UPDATE message_feedback SET status = 'curated', review_note = ?, reference_id = ?,
+         reviewed_by = ?, reviewed_at = NOW() WHERE id = ?`,
+      [note || null, result.insertId, reviewerId, id],
+    );
+    await conn.commit();
+    return getReferencePassageById(result.insertId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * 统计报表
+ */
+// 各统计粒度下的时间分组表达式：周以周一为起始日
+const PERIOD_EXPRESSIONS = {
+  day: (col) => `DATE_FORMAT(${col}, '%Y-%m-%d')`,
+  week: (col) =>
+    `DATE_FORMAT(DATE_SUB(DATE(${col}), INTERVAL WEEKDAY(${col}) DAY), '%Y-%m-%d')`,
+  month: (col) => `DATE_FORMAT(${col}, '%Y-%m')`,
+};
+
+// 合金系列的常用称呼，问题中未出现具体牌号时按这些词归入系列
+const FAMILY_TERMS = {
+  copper: ["紫铜", "纯铜", "无氧铜"],
+  brass: ["黄铜"],
+  bronze: ["青铜"],
+  cupronickel: ["白铜"],
+  beryllium_copper: ["铍铜", "铍青铜"],
+};
+
+function rangeWhere(column, { from, to }) {
+  const params = [];
+  let where = "WHERE 1=1";
+  if (from) {
+    where += ` AND ${column} >= ?`;
+    params.push(from);
+  }
+  if (to) {
+    where += ` AND ${column} < DATE_ADD(?, INTERVAL 1 DAY)`;
+    params.push(to);
+  }
+  return { where, params };
+}
+
+const toNumber = (v) => (v === null || v === undefined ? null : Number(v));
+
+/**
+ * 按日 / 周 / 月汇总对话与消息指标
+ * - active_users：该时段内发过消息的用户数
+ * - avg_reply_chars：完成的助理回复平均字数（不含拒答提示）
+ * - avg_first_token_ms / avg_latency_ms：助理回复的平均首字耗时与总耗时（仅统计有记录的回复）
+ * - rejections：领域判断拒答的问题数
+ * @param {Object} params
+ * @param {string} params.granularity - day / week / month
+ * @param {string} [params.from] - YYYY-MM-DD
+ * @param {string} [params.to] - YYYY-MM-DD（含当天）
+ * @returns {Promise<Array>} 按时段升序，只包含有数据的时段
+ */
+async function getActivitySeries({ granularity, from, to }) {
+  await ready;
+  const period = PERIOD_EXPRESSIONS[granularity];
+  const messageRange = rangeWhere("m.created_at", { from, to });
+  const [messageRows] = await pool.execute(
+    `SELECT ${period("m.created_at")} AS period,
+       COUNT(DISTINCT CASE WHEN m.role = 'user' THEN c.user_id END) AS active_users,
+       SUM(m.role = 'user') AS user_messages,
+       SUM(m.role = 'assistant') AS assistant_messages,
+       AVG(CASE WHEN m.role = 'assistant' AND m.status = 'complete'
+             AND NOT EXISTS (SELECT 1 FROM domain_rejections r WHERE r.message_id = m.parent_id)
+           THEN CHAR_LENGTH(m.content) END) AS avg_reply_chars,
+       AVG(CASE WHEN m.role = 'assistant' THEN m.first_token_ms END) AS avg_first_token_ms,
+       AVG(CASE WHEN m.role = 'assistant' THEN m.latency_ms END) AS avg_latency_ms
+     FROM messages m JOIN conversations c ON c.conversation_id = m.conversation_id
+     ${messageRange.where} GROUP BY period`,
+    messageRange.params,
+  );
+  const conversationRange = rangeWhere("created_at", { from, to });
+  const [conversationRows] = await pool.execute(
+    `SELECT ${period("created_at")} AS period, COUNT(1) AS conversations
+     FROM conversations ${conversationRange.where} GROUP BY period`,
+    conversationRange.params,
+  );
+  const rejectionRange = rangeWhere("created_at", { from, to });
+  const [rejectionRows] = await pool.execute(
+    `SELECT ${period("created_at")} AS period, COUNT(1) AS rejections
+     FROM domain_rejections ${rejectionRange.where} GROUP BY period`,
+    rejectionRange.params,
+  );
+
+  const series = new Map();
+  const bucket = (key) => {
+    if (!series.has(key)) {
+      series.set(key, {
+        period: key,
+        active_users: 0,
+        conversations: 0,
+        user_messages: 0,
+        assistant_messages: 0,
+        avg_reply_chars: null,
+        avg_first_token_ms: null,
+        avg_latency_ms: null,
+        rejections: 0,
+      });
+    }
+    return series.get(key);
+  };
+  for (const r of messageRows) {
+    Object.assign(bucket(r.period), {
+      active_users: Number(r.active_users) || 0,
+      user_messages: Number(r.user_messages) || 0,
+      assistant_messages: Number(r.assistant_messages) || 0,
+      avg_reply_chars: toNumber(r.avg_reply_chars),
+      avg_first_token_ms: toNumber(r.avg_first_token_ms),
+      avg_latency_ms: toNumber(r.avg_latency_ms),
+    });
+  }
+  for (const r of conversationRows) {
+    bucket(r.period).conversations = Number(r.conversations) || 0;
+  }
+  for (const r of rejectionRows) {
+    bucket(r.period).rejections = Number(r.rejections) || 0;
+  }
+  return [...series.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * 用户问题涉及的合金系列与牌号：问题中出现牌号（或系列的常用称呼）即计入对应系列，
+ * 同一问题提到同一系列的多个牌号只计一次
+ * @returns {Promise<{total_questions: number, families: Array, grades: Array}>}
+ *   families 按问题数降序；grades 为各牌号被提到的问题数（降序）
+ */
+// 转义正则中的特殊字符（MySQL 5.7 与 8.0 的 REGEXP 都支持以反斜杠转义）
+const escapeRegexp = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// 牌号按词边界匹配：前后不能紧接字母或数字（H62 不匹配 H620，C1100 不匹配 C11000），
+// 之后可以接 "-" 或 "." 加非数字（如 H62-Y2、句末的 H62.）
+const gradePattern = (grade) =>
+  `(^|[^0-9A-Za-z.-])${escapeRegexp(grade)}([^0-9A-Za-z.-]|[.-]([^0-9]|$)|$)`;
+
+async function getQuestionTopics({ from, to }) {
+  await ready;
+  const range = rangeWhere("m.created_at", { from, to });
+  const [alloys] = await pool.execute(
+    "SELECT id, grade, name, family FROM alloys ORDER BY id",
+  );
+  // 系列按其牌号或系列名称匹配，名称为中文，直接按子串匹配
+  const familyPatterns = [
+    ...alloys.map((a) => [a.family, gradePattern(a.grade)]),
+    ...Object.entries(FAMILY_TERMS).flatMap(([family, terms]) =>
+      terms.map((term) => [family, escapeRegexp(term)]),
+    ),
+  ];
+  const patternsSql = (rows, key) =>
+    rows.map(() => `SELECT ? AS ${key}, ? AS pattern`).join(" UNION ALL ");
+
+  const [[total]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM messages m ${range.where} AND m.role = 'user'`,
+    range.params,
+  );
+  const [families] = await pool.execute(
+    `SELECT t.family, COUNT(DISTINCT m.message_id) AS questions
+     FROM messages m
+     JOIN (${patternsSql(familyPatterns, "family")}) t ON m.content REGEXP t.pattern
+     ${range.where} AND m.role = 'user'
+     GROUP BY t.family ORDER BY questions DESC, t.family`,
+    [...familyPatterns.flat(), ...range.params],
+  );
+  let grades = [];
+  if (alloys.length > 0) {
+    const gradePatterns = alloys.map((a) => [a.id, gradePattern(a.grade)]);
+    const [rows] = await pool.execute(
+      `SELECT g.alloy_id, COUNT(m.message_id) AS questions
+       FROM messages m
+       JOIN (${patternsSql(gradePatterns, "alloy_id")}) g ON m.content REGEXP g.pattern
+       ${range.where} AND m.role = 'user'
+       GROUP BY g.alloy_id`,
+      [...gradePatterns.flat(), ...range.params],
+    );
+    const byId = new Map(alloys.map((a) => [a.id, a]));
+    grades = rows
+      .map((r) => {
+        const alloy = byId.get(Number(r.alloy_id));
+        return {
+          alloy_id: alloy.id,
+          grade: alloy.grade,
+          name: alloy.name,
+          family: alloy.family,
+          questions: Number(r.questions),
+        };
+      })
+      .sort(
+        (a, b) => b.questions - a.questions || a.grade.localeCompare(b.grade),
+      );
+  }
+  return {
+    total_questions: total ? Number(total.total) : 0,
+    families: families.map((f) => ({
+      family: f.family,
+      questions: Number(f.questions),
+    })),
+    grades,
+  };
+}
+
+/**
+ * token 用量与配额
+ */
+async function recordTokenUsage({
+  userId,
+  conversationId,
+  messageId,
+  kind = "chat",
+  provider,
+  model,
+  promptTokens = 0,
+  completionTokens = 0,
+  estimated = false,
+}) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO token_usage
+      (user_id, conversation_id, message_id, kind, provider, model, prompt_tokens, completion_tokens, estimated)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      conversationId || null,
+      messageId || null,
+      kind,
+      provider || null,
+      model ? String(model).slice(0, 100) : null,
+      Math.max(0, Math.round(Number(promptTokens) || 0)),
+      Math.max(0, Math.round(Number(completionTokens) || 0)),
+      estimated ? 1 : 0,
+    ],
+  );
+  return true;
+}
+
+// 用户自 since 起累计使用的 token 数（输入 + 输出）
+async function getUserTokensSince(userId, since) {
+  await ready;
+  const [[row]] = await pool.execute(
+    "SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS total FROM token_usage WHERE user_id = ? AND created_at >= ?",
+    [userId, since],
+  );
+  return Number(row.total) || 0;
+}
+
+// 组装用量查询条件：userId、from / to（日期范围，含 to 当天）
+function usageWhere({ userId, from, to } = {}) {
+  const params = [];
+  let where = "WHERE 1=1";
+  if (userId) {
+    where += " AND t.user_id = ?";
+    params.push(userId);
+  }
+  if (from) {
+    where += " AND t.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  return { where, params };
+}
+
+const USAGE_SUMS = `COALESCE(SUM(t.prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(t.completion_tokens), 0) AS completion_tokens,
+  COUNT(1) AS requests`;
+
+const formatUsageRow = (r) => ({
+  ...r,
+  prompt_tokens: Number(r.prompt_tokens) || 0,
+  completion_tokens: Number(r.completion_tokens) || 0,
+  total_tokens:
+    (Number(r.prompt_tokens) || 0) + (Number(r.completion_tokens) || 0),
+  requests: Number(r.requests) || 0,
+});
+
+/**
+ * 用量统计：合计、按天、按调用类型，以及（未指定 userId 时）按用户的分组
+ * @param {Object} filters - userId / from / to
+ * @param {Object} options - userOffset / userLimit：按用户分组的分页
+ */
+async function getTokenUsageReport(
+  filters = {},
+  { userOffset = 0, userLimit = 20 } = {},
+) {
+  await ready;
+  const { where, params } = usageWhere(filters);
+  const [[totals]] = await pool.execute(
+    `SELECT ${USAGE_SUMS} FROM token_usage t ${where}`,
+    params,
+  );
+  const [byDay] = await pool.execute(
+    `SELECT DATE_FORMAT(t.created_at, '%Y-%m-%d') AS day, ${USAGE_SUMS}
+     FROM token_usage t ${where} GROUP BY day ORDER BY day`,
+    params,
+  );
+  const [byKind] = await pool.execute(
+    `SELECT t.kind, ${USAGE_SUMS} FROM token_usage t ${where} GROUP BY t.kind ORDER BY t.kind`,
+    params,
+  );
+  const report = {
+    totals: formatUsageRow(totals),
+    byDay: byDay.map(formatUsageRow),
+    byKind: byKind.map(formatUsageRow),
+  };
+  if (filters.userId) return report;
+
+  const [byUser] = await pool.execute(
+    `SELECT t.user_id, u.username, u.email, ${USAGE_SUMS}
+     FROM token_usage t LEFT JOIN users u ON u.id = t.user_id
+     ${where} GROUP BY t.user_id, u.username, u.email
+     ORDER BY (COALESCE(SUM(t.prompt_tokens), 0) + COALESCE(SUM(t.completion_tokens), 0)) DESC, t.user_id
+     LIMIT ${Number(userLimit)} OFFSET ${Number(userOffset)}`,
+    params,
+  );
+  const [[userCount]] = await pool.execute(
+    `SELECT COUNT(DISTINCT t.user_id) AS total FROM token_usage t ${where}`,
+    params,
+  );
+  return {
+    ...report,
+    byUser: byUser.map(formatUsageRow),
+    userTotal: userCount ? userCount.total : 0,
+  };
+}
+
+// 查询配额，可按 scope 过滤
+async function listTokenQuotas({ scope } = {}) {
+  await ready;
+  const params = [];
+  let where = "";
+  if (scope) {
+    where = "WHERE q.scope = ?";
+    params.push(scope);
+  }
+  const [rows] = await pool.execute(
+    `SELECT q.*, u.username, u.email FROM token_quotas q
+     LEFT JOIN users u ON q.scope = 'user' AND u.id = q.subject
+     ${where} ORDER BY q.scope, q.subject, q.period`,
+    params,
+  );
+  return rows.map((r) => ({ ...r, token_limit: Number(r.token_limit) }));
+}
+
+// 适用于某用户的全部配额（用户配额与其角色的配额）
+async function getTokenQuotasFor(userId, role) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT * FROM token_quotas
+     WHERE (scope = 'user' AND subject = ?) OR (scope = 'role' AND subject = ?)`,
+    [String(userId), String(role || "user")],
+  );
+  return rows.map((r) => ({ ...r, token_limit: Number(r.token_limit) }));
+}
+
+// 新增或更新配额（同一对象同一周期只有一条）
+async function setTokenQuota({ scope, subject, period, limit }) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO token_quotas (scope, subject, period, token_limit) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE token_limit = VALUES(token_limit)`,
+    [scope, String(subject), period, limit],
+  );
+  const [[row]] = await pool.execute(
+    "SELECT * FROM token_quotas WHERE scope = ? AND subject = ? AND period = ?",
+    [scope, String(subject), period],
+  );
+  return row ? { ...row, token_limit: Number(row.token_limit) } : null;
+}
+
+async function deleteTokenQuota(id) {
+  await ready;
+  const [result] = await pool.execute("DELETE FROM token_quotas WHERE id = ?", [
+    id,
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 限流放行名单
+ */
+async function listRateLimitOverrides() {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT o.*, u.username AS created_by_username FROM rate_limit_overrides o
+     LEFT JOIN users u ON u.id = o.created_by
+     ORDER BY o.created_at DESC, o.id DESC`,
+  );
+  return rows;
+}
+
+// 未过期的放行项
+async function getActiveRateLimitOverrides() {
+  await ready;
+  const [rows] = await pool.execute(
+    "SELECT type, value FROM rate_limit_overrides WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP",
+  );
+  return rows;
+}
+
+// 添加放行项，同一对象已存在时更新备注与过期时间
+async function addRateLimitOverride({
+  type,
+  value,
+  note,
+  expiresAt,
+  createdBy,
+}) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO rate_limit_overrides (type, value, note, expires_at, created_by) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE note = VALUES(note), expires_at = VALUES(expires_at), created_by = VALUES(created_by)`,
+    [type, value, note || null, expiresAt || null, createdBy || null],
+  );
+  const [[row]] = await pool.execute(
+    "SELECT * FROM rate_limit_overrides WHERE type = ? AND value = ?",
+    [type, value],
+  );
+  return row || null;
+}
+
+async function deleteRateLimitOverride(id) {
+  await ready;
+  const [result] = await pool.execute(
+    "DELETE FROM rate_limit_overrides WHERE id = ?",
+    [id],
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * 审计日志（只追加，不提供修改与删除）
+ */
+async function appendAuditLog({
+  actorId,
+  action,
+  targetType,
+  targetIds = [],
+  changes,
+  details,
+  ip,
+}) {
+  await ready;
+  await pool.execute(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_ids, changes, details, ip)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actorId || null,
+      action,
+      targetType || null,
+      JSON.stringify(targetIds.map(String)),
+      changes ? JSON.stringify(changes) : null,
+      details ? JSON.stringify(details) : null,
+      ip || null,
+    ],
+  );
+  return true;
+}
+
+// 查询审计日志，支持 actorId / action（可用 user.* 匹配前缀）/ targetType / targetId / from / to 与分页
+async function getAuditLog({
+  actorId,
+  action,
+  targetType,
+  targetId,
+  from,
+  to,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (actorId) {
+    where += " AND a.actor_id = ?";
+    params.push(actorId);
+  }
+  if (action) {
+    if (action.endsWith(".*")) {
+      where += " AND a.action LIKE ?";
+      params.push(`${action.slice(0, -1).replace(/[\\%_]/g, "\\$&")}%`);
+    } else {
+      where += " AND a.action = ?";
+      params.push(action);
+    }
+  }
+  if (targetType) {
+    where += " AND a.target_type = ?";
+    params.push(targetType);
+  }
+  if (targetId) {
+    where += " AND JSON_CONTAINS(a.target_ids, ?)";
+    params.push(JSON.stringify(String(targetId)));
+  }
+  if (from) {
+    where += " AND a.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND a.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  const [rows] = await pool.execute(
+    `SELECT a.*, u.username AS actor_username, u.email AS actor_email FROM audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     ${where} ORDER BY a.created_at DESC, a.id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params,
+  );
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM audit_log a ${where}`,
+    params,
+  );
+  return {
+    items: rows.map((r) => ({
+      ...r,
+      target_ids: parseJson(r.target_ids, []),
+      changes: parseJson(r.changes),
+      details: parseJson(r.details),
+    })),
+    total: count ? count.total : 0,
+  };
+}
+
+/**
+ * 合金牌号相关操作
+ */
+const ALLOY_FAMILIES = [
+  "copper",
+  "brass",
+  "bronze",
+  "cupronickel",
+  "beryllium_copper",
+  "other",
+];
+
+// alloys 表中可直接写入的标量字段
+const ALLOY_FIELDS = [
+  "grade",
+  "family",
+  "name",
+  "standard",
+  "description",
+  "density",
+  "solidus",
+  "liquidus",
+  "thermal_conductivity",
+  "electrical_conductivity",
+  "thermal_expansion",
+  "elastic_modulus",
+];
+
+// 可用于范围检索的性能字段：temper 级字段在 alloy_tempers 上匹配（任一状态满足即可），
+// alloy 级字段直接在 alloys 上匹配
+const ALLOY_PROPERTY_COLUMNS = {
+  tensile_strength: { scope: "temper", column: "t.tensile_strength" },
+  yield_strength: { scope: "temper", column: "t.yield_strength" },
+  elongation: { scope: "temper", column: "t.elongation" },
+  hardness_hv: { scope: "temper", column: "t.hardness_hv" },
+  electrical_conductivity: {
+    scope: "temper",
+    column: "COALESCE(t.electrical_conductivity, a.electrical_conductivity)",
+  },
+  density: { scope: "alloy", column: "a.density" },
+  thermal_conductivity: { scope: "alloy", column: "a.thermal_conductivity" },
+  thermal_expansion: { scope: "alloy", column: "a.thermal_expansion" },
+  elastic_modulus: { scope: "alloy", column: "a.elastic_modulus" },
+};
+const ALLOY_PROPERTIES = Object.keys(ALLOY_PROPERTY_COLUMNS);
+
+const toNullableNumber = (v) =>
+  v === undefined || v === null || v === "" ? null : Number(v);
+
+// 余量元素未给出范围时，根据其余元素的上下限推算
+function normalizeComposition(composition = []) {
+  const others = composition.filter((c) => !c.balance);
+  const sumMax = others.reduce((acc, c) => acc + (Number(c.max) || 0), 0);
+  const sumMin = others.reduce((acc, c) => acc + (Number(c.min) || 0), 0);
+  return composition.map((c) => {
+    if (!c.balance) {
+      return {
+        element: c.element,
+        min: toNullableNumber(c.min),
+        max: toNullableNumber(c.max),
+        balance: false,
+      };
+    }
+    return {
+      element: c.element,
+      min: c.min != null ? Number(c.min) : Number((100 - sumMax).toFixed(3)),
+      max: c.max != null ? Number(c.max) : Number((100 - sumMin).toFixed(3)),
+      balance: true,
+    };
+  });
+}
+
+// 在给定连接上写入成分 / 状态性能 / 应用等子表（先清空再写入）
+async function replaceAlloyChildren(conn, alloyId, data) {
+  if (data.composition !== undefined) {
+    await conn.execute("DELETE FROM alloy_compositions WHERE alloy_id = ?", [
+      alloyId,
+    ]);
+    for (const c of normalizeComposition(data.composition)) {
+      await conn.execute(
+        "INSERT INTO alloy_compositions (alloy_id, element, min_pct, max_pct, is_balance) VALUES (?, ?, ?, ?, ?)",
+        [alloyId, c.element, c.min, c.max, c.balance ? 1 : 0],
+      );
+    }
+  }
+  if (data.tempers !== undefined) {
+    await conn.execute("DELETE FROM alloy_tempers WHERE alloy_id = ?", [
+      alloyId,
+    ]);
+    for (const t of data.tempers) {
+      await conn.execute(
+        `INSERT INTO alloy_tempers
+          (alloy_id, temper, tensile_strength, yield_strength, elongation, hardness_hv, electrical_conductivity, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          alloyId,
+          t.temper,
+          toNullableNumber(t.tensile_strength),
+          toNullableNumber(t.yield_strength),
+          toNullableNumber(t.elongation),
+          toNullableNumber(t.hardness_hv),
+          toNullableNumber(t.electrical_conductivity),
+          t.notes || null,
+        ],
+      );
+    }
+  }
+  if (data.applications !== undefined) {
+    await conn.execute("DELETE FROM alloy_applications WHERE alloy_id = ?", [
+      alloyId,
+    ]);
+    for (const application of data.applications) {
+      await conn.execute(
+        "INSERT INTO alloy_applications (alloy_id, application) VALUES (?, ?)",
+        [alloyId, application],
+      );
+    }
+  }
+}
+
+// 写入一条完整合金记录（不等待 ready，供初始化阶段与 createAlloy 共用）
+async function insertAlloy(data) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const fields = ALLOY_FIELDS.filter((k) => data[k] !== undefined);
+    const [result] = await conn.execute(
+      `INSERT INTO alloys (${fields.join(", ")}) VALUES (${fields
+        .map(() => "?")
+        .join(", ")})`,
+      fields.map((k) => (data[k] === "" ? null : data[k])),
+    );
+    await replaceAlloyChildren(conn, result.insertId, {
+      composition: data.composition || [],
+      tempers: data.tempers || [],
+      applications: data.applications || [],
+    });
+    await conn.commit();
+    return result.insertId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// 批量组装合金的成分、状态性能与应用，返回与 ids 顺序一致的完整记录
+async function getAlloysByIds(ids = []) {
+  await ready;
+  if (!Array.isArray(ids) || ids.length === 0) return [];
+  const placeholders = ids.map(() => "?").join(",");
+  const [alloys] = await pool.execute(
+    `SELECT * FROM alloys WHERE id IN (${placeholders})`,
+    ids,
+  );
+  const [compositions] = await pool.execute(
+    `SELECT * FROM alloy_compositions WHERE alloy_id IN (${placeholders}) ORDER BY is_balance DESC, id ASC`,
+    ids,
+  );
+  const [tempers] = await pool.execute(
+    `SELECT * FROM alloy_tempers WHERE alloy_id IN (${placeholders}) ORDER BY id ASC`,
+    ids,
+  );
+  const [applications] = await pool.execute(
+    `SELECT * FROM alloy_applications WHERE alloy_id IN (${placeholders}) ORDER BY id ASC`,
+    ids,
+  );
+
+  const num = (v) => (v === null || v === undefined ? null : Number(v));
+  const byId = new Map();
+  for (const a of alloys) {
+    byId.set(a.id, {
+      id: a.id,
+      grade: a.grade,
+      family: a.family,
+      name: a.name,
+      standard: a.standard,
+      description: a.description,
+      density: num(a.density),
+      solidus: num(a.solidus),
+      liquidus: num(a.liquidus),
+      thermal_conductivity: num(a.thermal_conductivity),
+      electrical_conductivity: num(a.electrical_conductivity),
+      thermal_expansion: num(a.thermal_expansion),
+      elastic_modulus: num(a.elastic_modulus),
+      composition: [],
+      tempers: [],
+      applications: [],
+      created_at: a.created_at,
+      updated_at: a.updated_at,
+    });
+  }
+  for (const c of compositions) {
+    const alloy = byId.get(c.alloy_id);
+    if (!alloy) continue;
+    alloy.composition.push({
+      element: c.element,
+      min: num(c.min_pct),
+      max: num(c.max_pct),
+      balance: !!c.is_balance,
+    });
+  }
+  for (const t of tempers) {
+    const alloy = byId.get(t.alloy_id);
+    if (!alloy) continue;
+    alloy.tempers.push({
+      temper: t.temper,
+      tensile_strength: num(t.tensile_strength),
+      yield_strength: num(t.yield_strength),
+      elongation: num(t.elongation),
+      hardness_hv: num(t.hardness_hv),
+      electrical_conductivity: num(t.electrical_conductivity),
+      notes: t.notes,
+    });
+  }
+  for (const ap of applications) {
+    const alloy = byId.get(ap.alloy_id);
+    if (alloy) alloy.applications.push(ap.application);
+  }
+  return ids.map((id) => byId.get(Number(id))).filter(Boolean);
+}
+
+async function getAlloyById(id) {
+  const [alloy] = await getAlloysByIds([Number(id)]);
+  return alloy;
+}
+
+async function getAlloyByGrade(grade) {
+  await ready;
+  const [rows] = await pool.execute("SELECT id FROM alloys WHERE grade = ?", [
+    grade,
+  ]);
+  if (!rows[0]) return undefined;
+  return getAlloyById(rows[0].id);
+}
+
+/**
+ * 检索合金牌号，支持：
+ * - search：牌号 / 名称 / 标准模糊匹配
+ * - family：合金系列
+ * - element + elementMin / elementMax：元素含量范围（与成分范围有交集即命中）
+ * - property + propertyMin / propertyMax：性能范围（任一状态满足即命中），可配合 temper
+ */
+async function searchAlloys({
+  search,
+  family,
+  element,
+  elementMin,
+  elementMax,
+  property,
+  propertyMin,
+  propertyMax,
+  temper,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (search) {
+    where += " AND (a.grade LIKE ? OR a.name LIKE ? OR a.standard LIKE ?)";
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+  if (family) {
+    where += " AND a.family = ?";
+    params.push(family);
+  }
+  if (element) {
+    let cond = "c.alloy_id = a.id AND c.element = ?";
+    params.push(element);
+    if (elementMin != null) {
+      cond += " AND COALESCE(c.max_pct, c.min_pct) >= ?";
+      params.push(Number(elementMin));
+    }
+    if (elementMax != null) {
+      cond += " AND COALESCE(c.min_pct, 0) <= ?";
+      params.push(Number(elementMax));
+    }
+    where += ` AND EXISTS (SELECT 1 FROM alloy_compositions c WHERE ${cond})`;
+  }
+  const prop = property ? ALLOY_PROPERTY_COLUMNS[property] : null;
+  if (prop && prop.scope === "alloy") {
+    if (propertyMin != null) {
+      where += ` AND ${prop.column} >= ?`;
+      params.push(Number(propertyMin));
+    }
+    if (propertyMax != null) {
+      where += ` AND ${prop.column} <= ?`;
+      params.push(Number(propertyMax));
+    }
+  }
+  if (temper || (prop && prop.scope === "temper")) {
+    let cond = "t.alloy_id = a.id";
+    if (temper) {
+      cond += " AND t.temper = ?";
+      params.push(temper);
+    }
+    if (prop && prop.scope === "temper" && propertyMin != null) {
+      cond += ` AND ${prop.column} >= ?`;
+      params.push(Number(propertyMin));
+    }
+    if (prop && prop.scope === "temper" && propertyMax != null) {
+      cond += ` AND ${prop.column} <= ?`;
+      params.push(Number(propertyMax));
+    }
+    where += ` AND EXISTS (SELECT 1 FROM alloy_tempers t WHERE ${cond})`;
+  }
+
+  const sql = `SELECT a.id FROM alloys a ${where} ORDER BY a.family ASC, a.grade ASC LIMIT ${Number(
+    limit,
+  )} OFFSET ${Number(offset)}`;
+  const [rows] = await pool.execute(sql, params);
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM alloys a ${where}`,
+    params,
+  );
+  const items = await getAlloysByIds(rows.map((r) => r.id));
+  return { items, total: count ? count.total : 0 };
+}
+
+// 获取全部合金的完整记录（用于构建检索索引）
+async function getAllAlloys() {
+  await ready;
+  const [rows] = await pool.execute("SELECT id FROM alloys ORDER BY id ASC");
+  return getAlloysByIds(rows.map((r) => r.id));
+}
+
+async function createAlloy(data) {
+  await ready;
+  const id = await insertAlloy(data);
+  return getAlloyById(id);
+}
+
+// 更新合金：标量字段按需更新，composition / tempers / applications 若提供则整体替换
+async function updateAlloy(id, data = {}) {
+  await ready;
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const fields = ALLOY_FIELDS.filter((k) => data[k] !== undefined);
+    if (fields.length > 0) {
+      await conn.execute(
+        `UPDATE alloys SET ${fields.map((k) => `${k} = ?`).join(", ")} WHERE id = ?`,
+        [...fields.map((k) => (data[k] === "" ? null : data[k])), id],
+      );
+    } else {
+      await conn.execute(
+        "UPDATE alloys SET updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id],
+      );
+    }
+    await replaceAlloyChildren(conn, id, data);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return getAlloyById(id);
+}
+
+async function deleteAlloy(id) {
+  await ready;
+  const [result] = await pool.execute("DELETE FROM alloys WHERE id = ?", [id]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 参考资料相关操作
+ */
+async function getReferencePassages({
+  search,
+  alloyId,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  await ready;
+  const params = [];
+  let where = "WHERE 1=1";
+  if (search) {
+    where += " AND (p.title LIKE ? OR p.content LIKE ? OR p.source LIKE ?)";
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+  if (alloyId) {
+    where += " AND p.alloy_id = ?";
+    params.push(alloyId);
+  }
+  const sql = `SELECT p.*, a.grade AS alloy_grade FROM reference_passages p
+    LEFT JOIN alloys a ON a.id = p.alloy_id
+    ${where} ORDER BY p.updated_at DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+  const [rows] = await pool.execute(sql, params);
+  const [[count]] = await pool.execute(
+    `SELECT COUNT(1) AS total FROM reference_passages p ${where}`,
+    params,
+  );
+  return { items: rows, total: count ? count.total : 0 };
+}
+
+// 获取全部参考资料（用于构建检索索引）
+async function getAllReferencePassages() {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT p.*, a.grade AS alloy_grade FROM reference_passages p
+     LEFT JOIN alloys a ON a.id = p.alloy_id ORDER BY p.id ASC`,
+  );
+  return rows;
+}
+
+async function getReferencePassageById(id) {
+  await ready;
+  const [rows] = await pool.execute(
+    `SELECT p.*, a.grade AS alloy_grade FROM reference_passages p
+     LEFT JOIN alloys a ON a.id = p.alloy_id WHERE p.id = ?`,
+    [id],
+  );
+  return rows[0];
+}
+
+async function createReferencePassage({ title, source, content, alloyId }) {
+  await ready;
+  const [result] = await pool.execute(
+    "INSERT INTO reference_passages (title, source, content, alloy_id) VALUES (?, ?, ?, ?)",
+    [title, source || null, content, alloyId || null],
+  );
+  return getReferencePassageById(result.insertId);
+}
+
+async function updateReferencePassage(id, updates = {}) {
+  await ready;
+  const columns = {
+    title: "title",
+    source: "source",
+    content: "content",
+    alloyId: "alloy_id",
+  };
+  const sets = [];
+  const params = [];
+  for (const k of Object.keys(updates)) {
+    if (!columns[k] || updates[k] === undefined) continue;
+    sets.push(`${columns[k]} = ?`);
+    params.push(updates[k] === "" ? null : updates[k]);
+  }
+  if (sets.length === 0) return getReferencePassageById(id);
+  params.push(id);
+  await pool.execute(
+    `UPDATE reference_passages SET ${sets.join(", ")} WHERE id = ?`,
+    params,
+  );
+  return getReferencePassageById(id);
+}
+
+async function deleteReferencePassage(id) {
+  await ready;
+  const [result] = await pool.execute(
+    "DELETE FROM reference_passages WHERE id = ?",
+    [id],
+  );
+  return result.affectedRows > 0;
+}
+
+// 启动时测试数据库连接
+testDbConnection();
+
+const userMethods = {
+  getUserByEmail,
+  createUser,
+  getUserById,
+  updateUserLoginInfo,
+  recordLoginFailure,
+  unlockUser,
+  recordLoginEvent,
+  getLoginEvents,
+  getUsers,
+  getUsersCount,
+  updateUser,
+  deleteUser,
+  deleteUsers,
+  getUsersByIds,
+  getUserStats,
+  setEmailVerified,
+  setPendingEmail,
+  confirmPendingEmail,
+  scheduleUserDeletion,
+  cancelUserDeletion,
+  getUsersDueForDeletion,
+  purgeUser,
+  createUserToken,
+  consumeUserToken,
+};
+
+const roleMethods = {
+  getRolePermissionRows,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+};
+
+const sessionMethods = {
+  createSession,
+  getSessionById,
+  getActiveSession,
+  rotateSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+};
+
+const conversationMethods = {
+  createConversation,
+  getConversation,
+  getMessageById,
+  selectMessageVersion,
+  activateMessage,
+  listBranches,
+  addMessage,
+  listConversations,
+  getAllConversations,
+  importConversations,
+  updateConversation,
+  setGeneratedTitle,
+  setConversationSummary,
+  getConversationFacts,
+  addConversationFact,
+  deleteConversationFact,
+  listConversationTags,
+  searchConversations,
+  getMessages,
+  getAllMessages,
+  deleteConversation,
+  getConversationMessages,
+};
+
+const alloyMethods = {
+  ALLOY_FAMILIES,
+  ALLOY_PROPERTIES,
+  searchAlloys,
+  getAlloyById,
+  getAlloyByGrade,
+  getAlloysByIds,
+  getAllAlloys,
+  createAlloy,
+  updateAlloy,
+  deleteAlloy,
+};
+
+const referenceMethods = {
+  getReferencePassages,
+  getAllReferencePassages,
+  getReferencePassageById,
+  createReferencePassage,
+  updateReferencePassage,
+  deleteReferencePassage,
+};
+
+const shareMethods = {
+  createShare,
+  getShareById,
+  listShares,
+  revokeShare,
+  getSharedSnapshot,
+};
+
+const usageMethods = {
+  recordTokenUsage,
+  getUserTokensSince,
+  getTokenUsageReport,
+  listTokenQuotas,
+  getTokenQuotasFor,
+  setTokenQuota,
+  deleteTokenQuota,
+};
+
+const rateLimitMethods = {
+  listRateLimitOverrides,
+  getActiveRateLimitOverrides,
+  addRateLimitOverride,
+  deleteRateLimitOverride,
+};
+
+const auditMethods = {
+  appendAuditLog,
+  getAuditLog,
+};
+
+const analyticsMethods = {
+  getActivitySeries,
+  getQuestionTopics,
+};
+
+const classifierMethods = {
+  logDomainRejection,
+  getDomainRejections,
+};
+
+const feedbackMethods = {
+  getMessageFeedback,
+  saveMessageFeedback,
+  deleteMessageFeedback,
+  getFeedbackList,
+  getFeedbackById,
+  resolveFeedback,
+  curateFeedback,
+};
+
+module.exports = {
+  // 兼容原有扁平导出
+  ...userMethods,
+  ...roleMethods,
+  ...sessionMethods,
+  ...conversationMethods,
+  ...alloyMethods,
+  ...referenceMethods,
+  ...shareMethods,
+  ...usageMethods,
+  ...rateLimitMethods,
+  ...auditMethods,
+  ...analyticsMethods,
+  ...classifierMethods,
+  ...feedbackMethods,
+  testDbConnection,
+  _pool: () => pool,
+  // 新增命名空间导出，便于按功能分组引用
+  user: userMethods,
+  role: roleMethods,
+  session: sessionMethods,
+  conversation: conversationMethods,
+  alloy: alloyMethods,
+  reference: referenceMethods,
+  share: shareMethods,
+  usage: usageMethods,
+  rateLimit: rateLimitMethods,
+  audit: auditMethods,
+  analytics: analyticsMethods,
+  classifier: classifierMethods,
+  feedback: feedbackMethods,
+};
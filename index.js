@@ -1,23 +1,61 @@
-require("dotenv").config();
-const express = require("express");
-const cors = require("cors");
-const authRouter = require("./routes/auth");
-const conversationsRouter = require("./routes/conversations");
-
-const app = express();
-// enable CORS for all routes
-app.use(cors());
-app.options("*", cors());
-app.use(express.json());
-
-app.get("/", (req, res) => {
-  res.send("Hello from OrangeExpress!");
-});
-
-app.use("/auth", authRouter);
-app.use("/conversations", conversationsRouter);
-
-const port = process.env.PORT || 3000;
-app.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
-});
+require("dotenv").config();
+const express = require("express");
+const cors = require("cors");
+const authRouter = require("./routes/auth");
+const conversationsRouter = require("./routes/conversations");
+const alloysRouter = require("./routes/alloys");
+const sharedRouter = require("./routes/shared");
+const analyticsRouter = require("./routes/analytics");
+const accountDeletion = require("./services/accountDeletion");
+const mail = require("./services/mail");
+const llm = require("./services/llm");
+
+// 启动前检查配置：生产环境未配置 MAIL_TRANSPORT、所选大模型缺少 API Key 等时拒绝启动
+for (const [label, check] of [
+  ["邮件配置无效", mail.checkConfig],
+  ["大模型配置无效", llm.checkConfig],
+]) {
+  try {
+    check();
+  } catch (err) {
+    console.error(`❌ ${label}:`, err.message);
+    process.exit(1);
+  }
+}
+
+const app = express();
+// 部署在反向代理之后时设置 TRUST_PROXY（如 1 或 loopback），使 req.ip 取到真实客户端 IP，
+// 按 IP 限流依赖于此
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust,
+  );
+}
+// enable CORS for all routes
+app.use(cors());
+app.options("*", cors());
+// 对话导入的文件较大，单独放宽请求体大小限制（需在全局 express.json 之前注册）
+app.use(
+  "/conversations/import",
+  express.json({ limit: process.env.IMPORT_MAX_BODY || "20mb" }),
+);
+app.use(express.json());
+
+app.get("/", (req, res) => {
+  res.send("Hello from OrangeExpress!");
+});
+
+app.use("/auth", authRouter);
+app.use("/conversations", conversationsRouter);
+app.use("/alloys", alloysRouter);
+app.use("/shared", sharedRouter);
+app.use("/analytics", analyticsRouter);
+
+const port = process.env.PORT || 3000;
+app.listen(port, () => {
+  console.log(`Server listening on port ${port}`);
+  // 定时删除注销宽限期已结束的账号
+  accountDeletion.startPurgeJob();
+});
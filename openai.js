@@ -1,69 +1,115 @@
-const OpenAI = require("openai");
-
-// 初始化 OpenAI 客户端，配置为阿里云百炼的兼容模式
-const openai = new OpenAI({
-  apiKey: "sk-f65de29228b04076bb062ae6c4153f58", // 替换为你自己的 API Key
-  baseURL: "https://dashscope.aliyuncs.com/compatible-mode/v1", // 阿里云百炼兼容模式地址
-});
-
-// 固定专业 system prompt（铜及铜合金领域）
-const SYSTEM_PROMPT = `
-你是一名铜及铜合金材料领域的专家，擅长：
-
-- 铜合金牌号分类
-- 化学成分分析
-- 力学性能对比
-- 热处理工艺解释
-- 应用场景推荐
-- 成分与性能关系分析
-
-回答要求：
-1. 使用专业术语
-2. 回答结构清晰
-3. 尽量给出具体数据
-4. 避免泛泛而谈
-5. 如果问题超出铜及铜合金领域，请说明本系统仅支持铜及铜合金相关问题
-`;
-
-/**
- * 流式调用阿里云百炼 API
- * @param {Array} messages - 消息历史
- * @param {Function} onChunk - 接收每个chunk的回调函数
- * @param {Object} options - 可选配置
- */
-async function getChatCompletionStream(messages, onChunk, options = {}) {
-  try {
-    // 若调用方没有提供 system 消息，则在首位注入固定的系统提示
-    const messagesWithSystem = Array.isArray(messages)
-      ? messages.some((m) => m.role === "system")
-        ? messages
-        : [{ role: "system", content: SYSTEM_PROMPT }, ...messages]
-      : [{ role: "system", content: SYSTEM_PROMPT }];
-
-    const stream = await openai.chat.completions.create({
-      model: options.model || "qwen-plus",
-      messages: messagesWithSystem,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.max_tokens || 2000,
-      stream: true,
-    });
-
-    let fullContent = "";
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || "";
-      if (content) {
-        fullContent += content;
-        onChunk(content);
-      }
-    }
-
-    return fullContent;
-  } catch (error) {
-    console.error("阿里云百炼 Stream API Error:", error);
-    throw error;
-  }
-}
-
-module.exports = {
-  getChatCompletionStream,
-};
+const llm = require("./services/llm");
+const { estimateTokens, estimateMessageTokens } = require("./services/tokens");
+
+// 具体的模型服务由 services/llm 中的 provider 提供，通过 LLM_PROVIDER 环境变量选择
+// （dashscope / openai / ollama / mock），默认使用阿里云百炼兼容模式
+
+// 固定专业 system prompt（铜及铜合金领域）
+const SYSTEM_PROMPT = `
+你是一名铜及铜合金材料领域的专家，擅长：
+
+- 铜合金牌号分类
+- 化学成分分析
+- 力学性能对比
+- 热处理工艺解释
+- 应用场景推荐
+- 成分与性能关系分析
+
+回答要求：
+1. 使用专业术语
+2. 回答结构清晰
+3. 尽量给出具体数据
+4. 避免泛泛而谈
+5. 如果问题超出铜及铜合金领域，请说明本系统仅支持铜及铜合金相关问题
+`;
+
+/**
+ * 流式调用大模型 API
+ * @param {Array} messages - 消息历史
+ * @param {Function} onChunk - 接收每个chunk的回调函数
+ * @param {Object} options - 可选配置（provider / model / temperature / max_tokens /
+ *   signal：AbortSignal，中止后停止读取上游流并抛出 name 为 AbortError 的错误 /
+ *   onUsage：调用结束（包括中止）时回传 token 用量，provider 未返回用量时按本地估算）
+ */
+async function getChatCompletionStream(messages, onChunk, options = {}) {
+  try {
+    // 若调用方没有提供 system 消息，则在首位注入固定的系统提示
+    const messagesWithSystem = Array.isArray(messages)
+      ? messages.some((m) => m.role === "system")
+        ? messages
+        : [{ role: "system", content: SYSTEM_PROMPT }, ...messages]
+      : [{ role: "system", content: SYSTEM_PROMPT }];
+
+    const provider = llm.getProvider(options.provider);
+    const stream = provider.streamChat({
+      model: options.model,
+      messages: messagesWithSystem,
+      temperature: options.temperature || 0.7,
+      max_tokens: options.max_tokens || 2000,
+      signal: options.signal,
+    });
+
+    let fullContent = "";
+    let usage = null;
+    // 上报用量：上游未返回时按本地估算（中止或出错时同样计入已生成的部分）
+    const reportUsage = () => {
+      if (!options.onUsage) return;
+      options.onUsage({
+        provider: provider.name,
+        model: options.model || provider.defaultModel,
+        prompt_tokens: usage
+          ? usage.prompt_tokens
+          : messagesWithSystem.reduce(
+              (acc, m) => acc + estimateMessageTokens(m),
+              0,
+            ),
+        completion_tokens: usage
+          ? usage.completion_tokens
+          : estimateTokens(fullContent),
+        estimated: !usage,
+      });
+    };
+
+    try {
+      for await (const content of stream) {
+        if (options.signal && options.signal.aborted) break;
+        if (content && typeof content === "object") {
+          if (content.usage) usage = content.usage;
+        } else if (content) {
+          fullContent += content;
+          onChunk(content);
+        }
+      }
+    } finally {
+      reportUsage();
+    }
+    if (options.signal && options.signal.aborted) {
+      const abortError = new Error("generation aborted");
+      abortError.name = "AbortError";
+      throw abortError;
+    }
+
+    return fullContent;
+  } catch (error) {
+    // 主动中止不属于服务异常，不记录错误日志
+    if (!(options.signal && options.signal.aborted)) {
+      console.error("LLM Stream API Error:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 非流式调用大模型，返回完整回复（用于分类判定等短文本场景）
+ * @param {Array} messages - 消息列表（未提供 system 消息时同样注入固定系统提示）
+ * @param {Object} options - 可选配置，同 getChatCompletionStream
+ */
+async function getChatCompletion(messages, options = {}) {
+  return getChatCompletionStream(messages, () => {}, options);
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  getChatCompletionStream,
+  getChatCompletion,
+};
@@ -0,0 +1,383 @@
+const express = require("express");
+const db = require("../db");
+const auth = require("./auth");
+const retrieval = require("../services/retrieval");
+const audit = require("../services/audit");
+
+const router = express.Router();
+
+const sendErr = (res, status, msg) => res.status(status).json({ error: msg });
+
+// 维护合金数据与参考资料所需的权限
+const canEditAlloys = auth.requirePermission("alloys:write");
+const canEditReferences = auth.requirePermission("references:write");
+
+// 审计日志中记录的参考资料字段
+const AUDITED_REFERENCE_FIELDS = ["title", "source", "content", "alloy_id"];
+
+const NUMERIC_FIELDS = [
+  "density",
+  "solidus",
+  "liquidus",
+  "thermal_conductivity",
+  "electrical_conductivity",
+  "thermal_expansion",
+  "elastic_modulus",
+];
+const TEMPER_NUMERIC_FIELDS = [
+  "tensile_strength",
+  "yield_strength",
+  "elongation",
+  "hardness_hv",
+  "electrical_conductivity",
+];
+// 审计日志中记录的合金字段（含整体替换的成分、状态与应用）
+const AUDITED_ALLOY_FIELDS = [
+  "grade",
+  "family",
+  "name",
+  "standard",
+  "description",
+  ...NUMERIC_FIELDS,
+  "composition",
+  "tempers",
+  "applications",
+];
+
+const isNumberLike = (v) =>
+  v === undefined || v === null || v === "" || !Number.isNaN(Number(v));
+
+// 校验合金请求体，返回错误信息（无错误返回 null）。partial 为 true 时允许缺省必填字段
+function validateAlloy(body, partial = false) {
+  if (!partial || body.grade !== undefined) {
+    if (!body.grade || typeof body.grade !== "string") return "grade required";
+  }
+  if (!partial || body.family !== undefined) {
+    if (!db.ALLOY_FAMILIES.includes(body.family)) return "invalid family";
+  }
+  for (const k of NUMERIC_FIELDS) {
+    if (!isNumberLike(body[k])) return `${k} must be a number`;
+  }
+  if (body.composition !== undefined) {
+    if (!Array.isArray(body.composition)) return "composition must be an array";
+    const elements = new Set();
+    let balanceCount = 0;
+    for (const c of body.composition) {
+      if (!c || !c.element || typeof c.element !== "string") {
+        return "composition element required";
+      }
+      if (elements.has(c.element)) return `duplicate element ${c.element}`;
+      elements.add(c.element);
+      if (c.balance) balanceCount += 1;
+      if (!isNumberLike(c.min) || !isNumberLike(c.max)) {
+        return `invalid range for ${c.element}`;
+      }
+      if (c.min != null && c.max != null && Number(c.min) > Number(c.max)) {
+        return `invalid range for ${c.element}`;
+      }
+    }
+    if (balanceCount > 1) return "only one balance element allowed";
+  }
+  if (body.tempers !== undefined) {
+    if (!Array.isArray(body.tempers)) return "tempers must be an array";
+    const tempers = new Set();
+    for (const t of body.tempers) {
+      if (!t || !t.temper || typeof t.temper !== "string") {
+        return "temper required";
+      }
+      if (tempers.has(t.temper)) return `duplicate temper ${t.temper}`;
+      tempers.add(t.temper);
+      for (const k of TEMPER_NUMERIC_FIELDS) {
+        if (!isNumberLike(t[k])) return `${k} must be a number`;
+      }
+    }
+  }
+  if (body.applications !== undefined) {
+    if (
+      !Array.isArray(body.applications) ||
+      body.applications.some((a) => !a || typeof a !== "string")
+    ) {
+      return "applications must be an array of strings";
+    }
+  }
+  return null;
+}
+
+// 按数字 id 或牌号查找合金
+async function findAlloy(idOrGrade) {
+  if (/^\d+$/.test(idOrGrade)) return db.getAlloyById(Number(idOrGrade));
+  return db.getAlloyByGrade(idOrGrade);
+}
+
+// ==================== 参考资料接口 ====================
+
+// 获取参考资料列表，支持 search / alloyId 过滤与分页
+router.get("/references", auth.authMiddleware, async (req, res) => {
+  try {
+    const { search, alloyId } = req.query;
+    let page = Number(req.query.page);
+    if (isNaN(page) || page < 1) page = 1;
+    let pageSize = Number(req.query.pageSize);
+    if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+    pageSize = Math.min(pageSize, 100);
+
+    const result = await db.getReferencePassages({
+      search,
+      alloyId: alloyId ? Number(alloyId) : null,
+      offset: (page - 1) * pageSize,
+      limit: pageSize,
+    });
+    res.json({ items: result.items, total: result.total, page, pageSize });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 新增参考资料（需 references:write 权限）
+router.post(
+  "/references",
+  auth.authMiddleware,
+  canEditReferences,
+  async (req, res) => {
+    try {
+      const { title, source, content, alloyId } = req.body;
+      if (!title || !content) {
+        return sendErr(res, 400, "title and content required");
+      }
+      if (alloyId && !(await db.getAlloyById(alloyId))) {
+        return sendErr(res, 400, "alloy not found");
+      }
+
+      const passage = await db.createReferencePassage({
+        title,
+        source,
+        content,
+        alloyId,
+      });
+      retrieval.invalidate();
+      await audit.record(req, {
+        action: "reference.create",
+        targetType: "reference",
+        targetIds: [passage.id],
+        changes: audit.diff(null, passage, AUDITED_REFERENCE_FIELDS),
+      });
+      res.status(201).json(passage);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 更新参考资料（需 references:write 权限）
+router.put(
+  "/references/:id",
+  auth.authMiddleware,
+  canEditReferences,
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const passage = await db.getReferencePassageById(id);
+      if (!passage) return sendErr(res, 404, "reference not found");
+
+      const { title, source, content, alloyId } = req.body;
+      if (title === "" || content === "") {
+        return sendErr(res, 400, "title and content cannot be empty");
+      }
+      if (alloyId && !(await db.getAlloyById(alloyId))) {
+        return sendErr(res, 400, "alloy not found");
+      }
+
+      const updated = await db.updateReferencePassage(id, {
+        title,
+        source,
+        content,
+        alloyId,
+      });
+      retrieval.invalidate();
+      await audit.record(req, {
+        action: "reference.update",
+        targetType: "reference",
+        targetIds: [id],
+        changes: audit.diff(passage, updated, AUDITED_REFERENCE_FIELDS),
+      });
+      res.json(updated);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 删除参考资料（需 references:write 权限）
+router.delete(
+  "/references/:id",
+  auth.authMiddleware,
+  canEditReferences,
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const passage = await db.getReferencePassageById(id);
+      const ok = await db.deleteReferencePassage(id);
+      if (!ok) return sendErr(res, 404, "reference not found");
+      retrieval.invalidate();
+      await audit.record(req, {
+        action: "reference.delete",
+        targetType: "reference",
+        targetIds: [id],
+        changes: audit.diff(passage, null, AUDITED_REFERENCE_FIELDS),
+      });
+      res.json({ message: "reference deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// ==================== 合金牌号接口 ====================
+
+// 检索合金牌号：支持 search / family / 元素含量范围 / 性能范围 / 状态，分页返回
+router.get("/", auth.authMiddleware, async (req, res) => {
+  try {
+    const {
+      search,
+      family,
+      element,
+      elementMin,
+      elementMax,
+      property,
+      propertyMin,
+      propertyMax,
+      temper,
+    } = req.query;
+
+    if (family && !db.ALLOY_FAMILIES.includes(family)) {
+      return sendErr(res, 400, "invalid family");
+    }
+    if (property && !db.ALLOY_PROPERTIES.includes(property)) {
+      return sendErr(res, 400, "invalid property");
+    }
+    for (const v of [elementMin, elementMax, propertyMin, propertyMax]) {
+      if (v !== undefined && Number.isNaN(Number(v))) {
+        return sendErr(res, 400, "range bounds must be numbers");
+      }
+    }
+
+    let page = Number(req.query.page);
+    if (isNaN(page) || page < 1) page = 1;
+    let pageSize = Number(req.query.pageSize);
+    if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+    pageSize = Math.min(pageSize, 100);
+
+    const result = await db.searchAlloys({
+      search,
+      family,
+      element,
+      elementMin,
+      elementMax,
+      property,
+      propertyMin,
+      propertyMax,
+      temper,
+      offset: (page - 1) * pageSize,
+      limit: pageSize,
+    });
+    res.json({ items: result.items, total: result.total, page, pageSize });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 获取单个合金详情（按 id 或牌号）
+router.get("/:id", auth.authMiddleware, async (req, res) => {
+  try {
+    const alloy = await findAlloy(req.params.id);
+    if (!alloy) return sendErr(res, 404, "alloy not found");
+    res.json(alloy);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 新增合金（需 alloys:write 权限）
+router.post("/", auth.authMiddleware, canEditAlloys, async (req, res) => {
+  try {
+    const error = validateAlloy(req.body);
+    if (error) return sendErr(res, 400, error);
+
+    if (await db.getAlloyByGrade(req.body.grade)) {
+      return sendErr(res, 409, "grade already exists");
+    }
+
+    const alloy = await db.createAlloy(req.body);
+    retrieval.invalidate();
+    await audit.record(req, {
+      action: "alloy.create",
+      targetType: "alloy",
+      targetIds: [alloy.id],
+      changes: audit.diff(null, alloy, AUDITED_ALLOY_FIELDS),
+    });
+    res.status(201).json(alloy);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 更新合金（需 alloys:write 权限），composition / tempers / applications 若提供则整体替换
+router.put("/:id", auth.authMiddleware, canEditAlloys, async (req, res) => {
+  try {
+    const alloy = await findAlloy(req.params.id);
+    if (!alloy) return sendErr(res, 404, "alloy not found");
+
+    const error = validateAlloy(req.body, true);
+    if (error) return sendErr(res, 400, error);
+
+    if (req.body.grade !== undefined && req.body.grade !== alloy.grade) {
+      const existing = await db.getAlloyByGrade(req.body.grade);
+      if (existing && existing.id !== alloy.id) {
+        return sendErr(res, 409, "grade already exists");
+      }
+    }
+
+    const updated = await db.updateAlloy(alloy.id, req.body);
+    retrieval.invalidate();
+    await audit.record(req, {
+      action: "alloy.update",
+      targetType: "alloy",
+      targetIds: [alloy.id],
+      changes: audit.diff(alloy, updated, AUDITED_ALLOY_FIELDS),
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 删除合金（需 alloys:write 权限）
+router.delete("/:id", auth.authMiddleware, canEditAlloys, async (req, res) => {
+  try {
+    const alloy = await findAlloy(req.params.id);
+    if (!alloy) return sendErr(res, 404, "alloy not found");
+
+    await db.deleteAlloy(alloy.id);
+    retrieval.invalidate();
+    await audit.record(req, {
+      action: "alloy.delete",
+      targetType: "alloy",
+      targetIds: [alloy.id],
+      changes: audit.diff(alloy, null, ["grade", "family", "name"]),
+    });
+    res.json({ message: "alloy deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require("express");
+const db = require("../db");
+const auth = require("./auth");
+
+const router = express.Router();
+
+const sendErr = (res, status, msg) => res.status(status).json({ error: msg });
+
+/**
+ * 统计报表（需 analytics:read 权限），数据由 conversations / messages / domain_rejections 表汇总
+ * - from / to 为 YYYY-MM-DD（含 to 当天）。SQL 按 MySQL 会话时区分组，补齐空时段与默认日期按 Node 进程时区计算，
+ *   两者须一致（如 TZ 与 MySQL 的 time_zone 设为同一时区），否则时段标识对不上，数据会显示为 0
+ * - granularity 为 day / week（周一起始）/ month，缺省 from 时分别统计最近 30 天、12 周、12 个月
+ */
+const GRANULARITIES = ["day", "week", "month"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+// 单次查询最多返回的时段数
+const MAX_PERIODS = 366;
+
+const pad = (n) => String(n).padStart(2, "0");
+const formatDate = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const parseDate = (s) => {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// 某日期所在时段的起始日
+function periodStart(date, granularity) {
+  if (granularity === "week") {
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() - ((date.getDay() + 6) % 7),
+    );
+  }
+  if (granularity === "month") {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  return date;
+}
+
+// 与 SQL 分组一致的时段标识：日、周为起始日 YYYY-MM-DD，月为 YYYY-MM
+const periodKey = (date, granularity) =>
+  granularity === "month"
+    ? formatDate(date).slice(0, 7)
+    : formatDate(periodStart(date, granularity));
+
+// from 到 to 之间的全部时段标识，用于补齐没有数据的时段
+function listPeriods(from, to, granularity) {
+  const keys = [];
+  let cursor = periodStart(parseDate(from), granularity);
+  const end = parseDate(to);
+  while (cursor <= end && keys.length <= MAX_PERIODS) {
+    keys.push(periodKey(cursor, granularity));
+    if (granularity === "day") {
+      cursor = new Date(
+        cursor.getFullYear(),
+        cursor.getMonth(),
+        cursor.getDate() + 1,
+      );
+    } else if (granularity === "week") {
+      cursor = new Date(
+        cursor.getFullYear(),
+        cursor.getMonth(),
+        cursor.getDate() + 7,
+      );
+    } else {
+      cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    }
+  }
+  return keys;
+}
+
+/**
+ * 解析 granularity / from / to 查询参数
+ * @returns {{error: string} | {granularity, from, to}}
+ */
+function parseRange(query) {
+  const granularity = query.granularity || "day";
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: "granularity must be one of day, week, month" };
+  }
+  const { from, to } = query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return { error: "from and to must be YYYY-MM-DD" };
+  }
+  const end = to || formatDate(new Date());
+  let start = from;
+  if (!start) {
+    const last = parseDate(end);
+    const back = DEFAULT_PERIODS[granularity] - 1;
+    const first =
+      granularity === "month"
+        ? new Date(last.getFullYear(), last.getMonth() - back, 1)
+        : new Date(
+            last.getFullYear(),
+            last.getMonth(),
+            last.getDate() - back * (granularity === "week" ? 7 : 1),
+          );
+    start = formatDate(periodStart(first, granularity));
+  }
+  if (start > end) return { error: "from must not be after to" };
+  return { granularity, from: start, to: end };
+}
+
+// 按时段统计活跃用户、新建对话、各角色消息数、平均回复字数与耗时、拒答数与拒答率
+router.get(
+  "/activity",
+  auth.authMiddleware,
+  auth.requirePermission("analytics:read"),
+  async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) return sendErr(res, 400, range.error);
+      const periods = listPeriods(range.from, range.to, range.granularity);
+      if (periods.length > MAX_PERIODS) {
+        return sendErr(res, 400, "too many periods, use a larger granularity");
+      }
+
+      const rows = await db.getActivitySeries(range);
+      const byPeriod = new Map(rows.map((r) => [r.period, r]));
+      const series = periods.map((period) => {
+        const row = byPeriod.get(period) || {
+          period,
+          active_users: 0,
+          conversations: 0,
+          user_messages: 0,
+          assistant_messages: 0,
+          avg_reply_chars: null,
+          avg_first_token_ms: null,
+          avg_latency_ms: null,
+          rejections: 0,
+        };
+        return {
+          ...row,
+          avg_reply_chars:
+            row.avg_reply_chars === null
+              ? null
+              : Math.round(row.avg_reply_chars),
+          avg_first_token_ms:
+            row.avg_first_token_ms === null
+              ? null
+              : Math.round(row.avg_first_token_ms),
+          avg_latency_ms:
+            row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms),
+          // 拒答数占用户提问数的比例
+          rejection_rate:
+            row.user_messages > 0
+              ? Number((row.rejections / row.user_messages).toFixed(4))
+              : null,
+        };
+      });
+      res.json({ ...range, series });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 用户问题涉及的合金系列排行，每个系列附带被提到最多的牌号：?from=&to=&limit=（每个系列的牌号数，默认 5）
+router.get(
+  "/topics",
+  auth.authMiddleware,
+  auth.requirePermission("analytics:read"),
+  async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) return sendErr(res, 400, range.error);
+      let limit = Number(req.query.limit);
+      if (isNaN(limit) || limit < 1) limit = 5;
+      limit = Math.min(limit, 50);
+
+      const topics = await db.getQuestionTopics(range);
+      const total = topics.total_questions;
+      res.json({
+        from: range.from,
+        to: range.to,
+        total_questions: total,
+        families: topics.families.map((f) => ({
+          family: f.family,
+          questions: f.questions,
+          share: total > 0 ? Number((f.questions / total).toFixed(4)) : 0,
+          top_grades: topics.grades
+            .filter((g) => g.family === f.family)
+            .slice(0, limit)
+            .map((g) => ({
+              alloy_id: g.alloy_id,
+              grade: g.grade,
+              name: g.name,
+              questions: g.questions,
+            })),
+        })),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,15 +1,110 @@
 const express = require("express");
+const archiver = require("archiver");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const net = require("net");
 const db = require("../db");
+const sessions = require("../services/sessions");
+const accountTokens = require("../services/accountTokens");
+const mail = require("../services/mail");
+const audit = require("../services/audit");
+const accountDeletion = require("../services/accountDeletion");
+const { writeAccountArchive } = require("../services/export/account");
+const { contentDisposition } = require("../services/export");
+const permissions = require("../services/permissions");
+const usage = require("../services/usage");
+const rateLimit = require("../services/rateLimit");
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
 
 const sendErr = (res, status, msg) => res.status(status).json({ error: msg });
 
+// 审计日志中记录的用户字段
+const AUDITED_USER_FIELDS = ["username", "email", "role"];
+
+/**
+ * 校验操作者能否分配某个角色：角色须存在，且其权限不超出操作者自身的权限
+ * @returns {Promise<{status, error} | null>} 可以分配时返回 null
+ */
+async function checkAssignableRole(req, roleName) {
+  const role = typeof roleName === "string" ? await db.getRole(roleName) : null;
+  if (!role) return { status: 400, error: "invalid role" };
+  if (!permissions.canGrant(req.user, role.permissions)) {
+    return {
+      status: 403,
+      error: "cannot assign a role beyond your permissions",
+    };
+  }
+  return null;
+}
+
+/**
+ * 校验操作者能否管理某个用户（修改资料、重置密码、删除）：目标用户角色的权限不能超出操作者自身的权限，
+ * 避免借修改高权限账号的邮箱或密码登录该账号
+ * @returns {Promise<{status, error} | null>} 可以管理时返回 null
+ */
+async function checkManageableUser(req, user) {
+  if (user.id === req.user.id) return null;
+  const targetPermissions = await permissions.forRole(user.role);
+  if (!permissions.canGrant(req.user, targetPermissions)) {
+    return {
+      status: 403,
+      error: "cannot manage a user beyond your permissions",
+    };
+  }
+  return null;
+}
+
+// 是否要求验证邮箱后才能登录（EMAIL_VERIFICATION_REQUIRED=false 关闭）
+const EMAIL_VERIFICATION_REQUIRED =
+  process.env.EMAIL_VERIFICATION_REQUIRED !== "false";
+
+// 连续登录失败 LOGIN_MAX_FAILURES 次（默认 5）后锁定账号 LOGIN_LOCK_MINUTES 分钟（默认 15）
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+// 邮箱未注册或账号锁定时同样执行一次密码比对，使响应时间与密码错误时一致
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("orangeexpress-dummy-password", 10);
+
+// 记录登录尝试，失败只记录日志
+async function logLogin(req, email, user, success, reason = null) {
+  try {
+    await db.recordLoginEvent({
+      userId: user ? user.id : null,
+      email,
+      success,
+      reason,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (err) {
+    console.error("Login Event Error:", err);
+  }
+}
+
+const formatLoginEvent = (e) => ({
+  id: e.id,
+  success: Boolean(e.success),
+  reason: e.reason,
+  ip: e.ip,
+  userAgent: e.user_agent,
+  createdAt: e.created_at,
+});
+
+// 签发验证令牌并发送验证邮件，发送失败只记录日志
+async function sendVerification(user) {
+  try {
+    const token = await accountTokens.issue(user.id, "verify_email");
+    await mail.sendVerificationEmail(
+      user,
+      token,
+      accountTokens.VERIFICATION_TTL_HOURS,
+    );
+  } catch (err) {
+    console.error("Verification Mail Error:", err);
+  }
+}
+
 // 注册接口 - 默认注册为普通用户
-router.post("/register", async (req, res) => {
+router.post("/register", rateLimit.limit("register"), async (req, res) => {
   try {
     const { email, username, password } = req.body;
 
@@ -39,19 +134,24 @@ router.post("/register", async (req, res) => {
       password: hashedPassword,
       role: "user", // 默认角色为普通用户
     });
+    await sendVerification(user);
 
-    const token = jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, {
-      expiresIn: "8h",
-    });
-    res.status(201).json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    const profile = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: false,
+      role: user.role,
+    };
+    // 需要验证邮箱时，验证完成后再登录
+    if (EMAIL_VERIFICATION_REQUIRED) {
+      return res.status(201).json({
+        user: profile,
+        message: "verification email sent",
+      });
+    }
+    const tokens = await sessions.issue(user, req);
+    res.status(201).json({ ...tokens, user: profile });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
@@ -59,7 +159,7 @@ router.post("/register", async (req, res) => {
 });
 
 // 登录接口
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimit.limit("login"), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -67,30 +167,57 @@ router.post("/login", async (req, res) => {
       return sendErr(res, 400, "email and password required");
     }
 
+    // 邮箱未注册、账号锁定与密码错误返回相同的 401，避免借此探测已注册的邮箱；
+    // 锁定原因只记入登录记录
     const user = await db.getUserByEmail(email);
     if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await logLogin(req, email, null, false, "unknown_email");
+      return sendErr(res, 401, "invalid credentials");
+    }
+
+    // 锁定期间不再校验密码，也不累计失败次数
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await logLogin(req, email, user, false, "locked");
       return sendErr(res, 401, "invalid credentials");
     }
 
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
+      // 连续失败达到上限时锁定账号
+      await db.recordLoginFailure(
+        user.id,
+        LOGIN_MAX_FAILURES,
+        LOGIN_LOCK_MINUTES,
+      );
+      await logLogin(req, email, user, false, "invalid_password");
       return sendErr(res, 401, "invalid credentials");
     }
+    if (EMAIL_VERIFICATION_REQUIRED && !user.email_verified) {
+      await logLogin(req, email, user, false, "email_not_verified");
+      return sendErr(res, 403, "email not verified");
+    }
 
-    // 更新最后登录时间和登录次数
+    // 更新最后登录时间和登录次数，清零连续失败次数
     await db.updateUserLoginInfo(user.id);
+    // 注销宽限期内重新登录即撤销注销申请
+    const deletionCancelled = await db.cancelUserDeletion(user.id);
+    await logLogin(req, email, user, true);
+    // 登录成功后清除该邮箱此前的尝试次数
+    await rateLimit.resetKey("login", "email", email);
 
-    const token = jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, {
-      expiresIn: "8h",
-    });
+    const tokens = await sessions.issue(user, req);
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
+        emailVerified: Boolean(user.email_verified),
         role: user.role,
       },
+      ...(deletionCancelled ? { deletionCancelled: true } : {}),
     });
   } catch (err) {
     console.error(err);
@@ -98,187 +225,168 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// ==================== 用户管理接口 ====================
-
-// 获取所有用户列表（仅管理员）
-router.get("/users", authMiddleware, adminOnly, async (req, res) => {
+// 验证邮箱：使用验证邮件中的令牌
+router.post("/verify-email", async (req, res) => {
   try {
-    const { search, role, page = 1, pageSize = 10 } = req.query;
-
-    const filters = {};
-    if (search) filters.search = search;
-    if (role) filters.role = role;
-
-    const offset = (page - 1) * pageSize;
-    const limit = parseInt(pageSize);
-
-    const users = await db.getUsers({ ...filters, offset, limit });
-    const total = await db.getUsersCount(filters);
+    const { token } = req.body;
+    if (!token) return sendErr(res, 400, "token required");
 
-    // 移除密码字段
-    const sanitizedUsers = users.map((user) => ({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      createdAt: user.created_at,
-      lastLogin: user.last_login,
-      loginCount: user.login_count,
-    }));
+    const userId = await accountTokens.consume("verify_email", token);
+    if (!userId) return sendErr(res, 400, "invalid or expired token");
+    await db.setEmailVerified(userId);
 
-    res.json({
-      users: sanitizedUsers,
-      total,
-      page: parseInt(page),
-      pageSize: limit,
-    });
+    res.json({ message: "email verified successfully" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 获取用户统计信息（仅管理员）
-router.get("/users/stats", authMiddleware, adminOnly, async (req, res) => {
+// 确认修改邮箱：使用发往新邮箱的确认邮件中的令牌
+router.post("/confirm-email", async (req, res) => {
   try {
-    const stats = await db.getUserStats();
-    res.json(stats);
+    const { token } = req.body;
+    if (!token) return sendErr(res, 400, "token required");
+
+    const userId = await accountTokens.consume("change_email", token);
+    if (!userId) return sendErr(res, 400, "invalid or expired token");
+    try {
+      if (!(await db.confirmPendingEmail(userId))) {
+        return sendErr(res, 400, "no pending email change");
+      }
+    } catch (err) {
+      // 确认前新邮箱已被其他账号注册
+      if (err.code === "ER_DUP_ENTRY") {
+        await db.setPendingEmail(userId, null);
+        return sendErr(res, 409, "email already in use");
+      }
+      throw err;
+    }
+
+    res.json({ message: "email changed successfully" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 获取单个用户详情（仅管理员或本人）
-router.get("/users/:id", authMiddleware, async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id);
+// 重新发送验证邮件。无论邮箱是否注册都返回相同结果，避免探测账号
+router.post(
+  "/resend-verification",
+  rateLimit.limit("mail"),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email) return sendErr(res, 400, "email required");
 
-    // 只有管理员或用户本人可以查看
-    if (req.user.role !== "admin" && req.user.id !== userId) {
-      return sendErr(res, 403, "permission denied");
-    }
+      const user = await db.getUserByEmail(email);
+      if (user && !user.email_verified) await sendVerification(user);
 
-    const user = await db.getUserById(userId);
-    if (!user) {
-      return sendErr(res, 404, "user not found");
+      res.json({
+        message: "if the account exists and is unverified, an email was sent",
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
     }
+  },
+);
 
-    // 移除密码字段
-    const sanitizedUser = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      createdAt: user.created_at,
-      lastLogin: user.last_login,
-      loginCount: user.login_count,
-    };
+// 忘记密码：发送重置密码邮件。无论邮箱是否注册都返回相同结果，避免探测账号
+router.post("/forgot-password", rateLimit.limit("mail"), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return sendErr(res, 400, "email required");
 
-    res.json(sanitizedUser);
+    const user = await db.getUserByEmail(email);
+    if (user) {
+      try {
+        const token = await accountTokens.issue(user.id, "reset_password");
+        await mail.sendPasswordResetEmail(
+          user,
+          token,
+          accountTokens.RESET_TTL_MINUTES,
+        );
+      } catch (mailError) {
+        console.error("Password Reset Mail Error:", mailError);
+      }
+    }
+
+    res.json({ message: "if the account exists, a reset email was sent" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 添加用户（仅管理员）
-router.post("/users", authMiddleware, adminOnly, async (req, res) => {
+// 重置密码：使用重置邮件中的令牌设置新密码，令牌只能使用一次；
+// 重置后该用户的所有会话失效、登录锁定解除，邮箱同时视为已验证
+router.post("/reset-password", async (req, res) => {
   try {
-    const { email, username, password, role = "user" } = req.body;
-
-    if (!email || !username || !password) {
-      return sendErr(res, 400, "email, username and password required");
-    }
-
-    // 验证邮箱格式
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return sendErr(res, 400, "invalid email format");
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return sendErr(res, 400, "token and new password required");
     }
-
-    // 验证密码长度
-    if (password.length < 6) {
+    if (newPassword.length < 6) {
       return sendErr(res, 400, "password must be at least 6 characters");
     }
 
-    // 验证角色
-    if (!["user", "admin"].includes(role)) {
-      return sendErr(res, 400, "invalid role");
-    }
-
-    if (await db.getUserByEmail(email)) {
-      return sendErr(res, 409, "email already registered");
-    }
+    const userId = await accountTokens.consume("reset_password", token);
+    if (!userId) return sendErr(res, 400, "invalid or expired token");
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await db.createUser({
-      email,
-      username,
-      password: hashedPassword,
-      role,
-    });
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.updateUser(userId, { password: hashedPassword });
+    await db.setEmailVerified(userId);
+    await db.unlockUser(userId);
+    await db.revokeUserSessions(userId);
 
-    res.status(201).json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      createdAt: user.created_at,
-    });
+    res.json({ message: "password reset successfully" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 更新用户信息（仅管理员）
-router.put("/users/:id", authMiddleware, adminOnly, async (req, res) => {
+// 刷新令牌：用刷新令牌换取新的访问令牌，刷新令牌同时轮换，旧令牌随即失效
+router.post("/refresh", async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    const { username, email, role } = req.body;
-
-    const user = await db.getUserById(userId);
-    if (!user) {
-      return sendErr(res, 404, "user not found");
-    }
-
-    const updates = {};
-    if (username !== undefined) updates.username = username;
-    if (email !== undefined) {
-      // 验证邮箱格式
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return sendErr(res, 400, "invalid email format");
-      }
-
-      // 检查邮箱是否已被其他用户使用
-      const existingUser = await db.getUserByEmail(email);
-      if (existingUser && existingUser.id !== userId) {
-        return sendErr(res, 409, "email already in use");
-      }
-      updates.email = email;
-    }
-    if (role !== undefined) {
-      if (!["user", "admin"].includes(role)) {
-        return sendErr(res, 400, "invalid role");
-      }
-      updates.role = role;
-    }
+    const { refreshToken } = req.body;
+    if (!refreshToken) return sendErr(res, 400, "refreshToken required");
 
-    if (Object.keys(updates).length === 0) {
-      return sendErr(res, 400, "no fields to update");
-    }
+    const result = await sessions.refresh(refreshToken, req);
+    if (result.error) return sendErr(res, 401, result.error);
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
 
-    const updatedUser = await db.updateUser(userId, updates);
+// 退出登录：撤销当前会话，其访问令牌与刷新令牌立即失效
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await db.revokeSession(req.user.sessionId, req.user.id);
+    res.json({ message: "logged out successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
 
+// 当前用户已登录的设备（未撤销、未过期的会话）
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const list = await db.listUserSessions(req.user.id);
     res.json({
-      id: updatedUser.id,
-      username: updatedUser.username,
-      email: updatedUser.email,
-      role: updatedUser.role,
-      createdAt: updatedUser.created_at,
-      lastLogin: updatedUser.last_login,
+      sessions: list.map((s) => ({
+        id: s.id,
+        userAgent: s.user_agent,
+        ip: s.ip,
+        createdAt: s.created_at,
+        lastUsedAt: s.last_used_at,
+        expiresAt: s.expires_at,
+        current: s.id === req.user.sessionId,
+      })),
     });
   } catch (err) {
     console.error(err);
@@ -286,53 +394,72 @@ router.put("/users/:id", authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-// 删除用户（仅管理员）
-router.delete("/users/:id", authMiddleware, adminOnly, async (req, res) => {
+// 退出其他所有设备（保留当前会话）
+router.delete("/sessions", authMiddleware, async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-
-    // 不能删除自己
-    if (req.user.id === userId) {
-      return sendErr(res, 403, "cannot delete yourself");
-    }
-
-    const user = await db.getUserById(userId);
-    if (!user) {
-      return sendErr(res, 404, "user not found");
-    }
-
-    await db.deleteUser(userId);
+    const revoked = await db.revokeUserSessions(
+      req.user.id,
+      req.user.sessionId,
+    );
+    res.json({ message: "other sessions revoked", revoked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
 
-    res.json({ message: "user deleted successfully" });
+// 退出指定设备
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const ok = await db.revokeSession(req.params.id, req.user.id);
+    if (!ok) return sendErr(res, 404, "session not found");
+    res.json({ message: "session revoked" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 批量删除用户（仅管理员）
-router.post(
-  "/users/bulk-delete",
+// ==================== 用户管理接口 ====================
+
+// 获取所有用户列表（需 users:read 权限）
+router.get(
+  "/users",
   authMiddleware,
-  adminOnly,
+  requirePermission("users:read"),
   async (req, res) => {
     try {
-      const { userIds } = req.body;
+      const { search, role, page = 1, pageSize = 10 } = req.query;
 
-      if (!Array.isArray(userIds) || userIds.length === 0) {
-        return sendErr(res, 400, "userIds array required");
-      }
+      const filters = {};
+      if (search) filters.search = search;
+      if (role) filters.role = role;
 
-      // 不能删除自己
-      if (userIds.includes(req.user.id)) {
-        return sendErr(res, 403, "cannot delete yourself");
-      }
+      const offset = (page - 1) * pageSize;
+      const limit = parseInt(pageSize);
 
-      const deletedCount = await db.deleteUsers(userIds);
+      const users = await db.getUsers({ ...filters, offset, limit });
+      const total = await db.getUsersCount(filters);
+
+      // 移除密码字段
+      const sanitizedUsers = users.map((user) => ({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        role: user.role,
+        createdAt: user.created_at,
+        lastLogin: user.last_login,
+        loginCount: user.login_count,
+        lockedUntil: user.locked_until,
+        deletionScheduledAt: user.deletion_scheduled_at,
+      }));
 
       res.json({
-        message: "users deleted successfully",
-        deletedCount,
+        users: sanitizedUsers,
+        total,
+        page: parseInt(page),
+        pageSize: limit,
       });
     } catch (err) {
       console.error(err);
@@ -341,90 +468,462 @@ router.post(
   },
 );
 
-// 修改密码（用户本人或管理员）
-router.put("/users/:id/password", authMiddleware, async (req, res) => {
+// 获取用户统计信息（需 users:read 权限）
+router.get(
+  "/users/stats",
+  authMiddleware,
+  requirePermission("users:read"),
+  async (req, res) => {
+    try {
+      const stats = await db.getUserStats();
+      res.json(stats);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 获取单个用户详情（本人或拥有 users:read 权限）
+router.get("/users/:id", authMiddleware, async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const { currentPassword, newPassword } = req.body;
 
-    // 只有管理员或用户本人可以修改密码
-    if (req.user.role !== "admin" && req.user.id !== userId) {
+    // 只有用户本人或拥有 users:read 权限的用户可以查看
+    if (
+      req.user.id !== userId &&
+      !permissions.hasPermission(req.user, "users:read")
+    ) {
       return sendErr(res, 403, "permission denied");
     }
 
-    if (!newPassword) {
-      return sendErr(res, 400, "new password required");
-    }
-
-    if (newPassword.length < 6) {
-      return sendErr(res, 400, "password must be at least 6 characters");
-    }
-
     const user = await db.getUserById(userId);
     if (!user) {
       return sendErr(res, 404, "user not found");
     }
 
-    // 如果不是管理员，需要验证当前密码
-    if (req.user.role !== "admin") {
-      if (!currentPassword) {
-        return sendErr(res, 400, "current password required");
-      }
-      const match = await bcrypt.compare(currentPassword, user.password);
-      if (!match) {
-        return sendErr(res, 401, "current password incorrect");
-      }
-    }
-
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    await db.updateUser(userId, { password: hashedPassword });
-
-    res.json({ message: "password updated successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "internal error" });
-  }
-});
-
-// 导出用户数据（仅管理员）
-router.post("/users/export", authMiddleware, adminOnly, async (req, res) => {
-  try {
-    const { userIds } = req.body;
-
-    let users;
-    if (userIds && Array.isArray(userIds) && userIds.length > 0) {
-      // 导出指定用户
-      users = await db.getUsersByIds(userIds);
-    } else {
-      // 导出所有用户
-      users = await db.getUsers({ offset: 0, limit: 10000 });
-    }
-
-    // 移除敏感信息
-    const exportData = users.map((user) => ({
+    // 移除密码字段
+    const sanitizedUser = {
       id: user.id,
       username: user.username,
       email: user.email,
+      emailVerified: Boolean(user.email_verified),
       role: user.role,
       createdAt: user.created_at,
       lastLogin: user.last_login,
       loginCount: user.login_count,
-    }));
+      lockedUntil: user.locked_until,
+      deletionScheduledAt: user.deletion_scheduled_at,
+    };
 
-    res.json({
-      data: exportData,
-      count: exportData.length,
-      exportedAt: new Date().toISOString(),
-    });
+    res.json(sanitizedUser);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// 获取当前登录用户信息
-router.get("/me", authMiddleware, async (req, res) => {
-  try {
+// 添加用户（需 users:create 权限）
+router.post(
+  "/users",
+  authMiddleware,
+  requirePermission("users:create"),
+  async (req, res) => {
+    try {
+      const { email, username, password, role = "user" } = req.body;
+
+      if (!email || !username || !password) {
+        return sendErr(res, 400, "email, username and password required");
+      }
+
+      // 验证邮箱格式
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return sendErr(res, 400, "invalid email format");
+      }
+
+      // 验证密码长度
+      if (password.length < 6) {
+        return sendErr(res, 400, "password must be at least 6 characters");
+      }
+
+      // 验证角色
+      const roleError = await checkAssignableRole(req, role);
+      if (roleError) return sendErr(res, roleError.status, roleError.error);
+
+      if (await db.getUserByEmail(email)) {
+        return sendErr(res, 409, "email already registered");
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      // 管理员创建的账号无需再验证邮箱
+      const user = await db.createUser({
+        email,
+        username,
+        password: hashedPassword,
+        role,
+        emailVerified: true,
+      });
+      await audit.record(req, {
+        action: "user.create",
+        targetType: "user",
+        targetIds: [user.id],
+        changes: audit.diff(null, user, AUDITED_USER_FIELDS),
+      });
+
+      res.status(201).json({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        role: user.role,
+        createdAt: user.created_at,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 更新用户信息（需 users:update 权限）
+router.put(
+  "/users/:id",
+  authMiddleware,
+  requirePermission("users:update"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const { username, email, role } = req.body;
+
+      const user = await db.getUserById(userId);
+      if (!user) {
+        return sendErr(res, 404, "user not found");
+      }
+      const manageError = await checkManageableUser(req, user);
+      if (manageError) {
+        return sendErr(res, manageError.status, manageError.error);
+      }
+
+      const updates = {};
+      if (username !== undefined) updates.username = username;
+      if (email !== undefined) {
+        // 验证邮箱格式
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+          return sendErr(res, 400, "invalid email format");
+        }
+
+        // 检查邮箱是否已被其他用户使用
+        const existingUser = await db.getUserByEmail(email);
+        if (existingUser && existingUser.id !== userId) {
+          return sendErr(res, 409, "email already in use");
+        }
+        updates.email = email;
+      }
+      if (role !== undefined && role !== user.role) {
+        // 新旧角色的权限都不能超出操作者自身的权限
+        const roleError =
+          (await checkAssignableRole(req, role)) ||
+          (await checkAssignableRole(req, user.role));
+        if (roleError) return sendErr(res, roleError.status, roleError.error);
+        updates.role = role;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return sendErr(res, 400, "no fields to update");
+      }
+
+      const updatedUser = await db.updateUser(userId, updates);
+      await audit.record(req, {
+        action: "user.update",
+        targetType: "user",
+        targetIds: [userId],
+        changes: audit.diff(user, updates, AUDITED_USER_FIELDS),
+      });
+
+      res.json({
+        id: updatedUser.id,
+        username: updatedUser.username,
+        email: updatedUser.email,
+        role: updatedUser.role,
+        createdAt: updatedUser.created_at,
+        lastLogin: updatedUser.last_login,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 解除账号的登录锁定（需 users:update 权限）
+router.post(
+  "/users/:id/unlock",
+  authMiddleware,
+  requirePermission("users:update"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      if (isNaN(userId) || userId < 1) {
+        return sendErr(res, 404, "user not found");
+      }
+      const user = await db.getUserById(userId);
+      if (!user) {
+        return sendErr(res, 404, "user not found");
+      }
+      const manageError = await checkManageableUser(req, user);
+      if (manageError) {
+        return sendErr(res, manageError.status, manageError.error);
+      }
+      const ok = await db.unlockUser(userId);
+      if (!ok) return sendErr(res, 404, "user not found");
+      await audit.record(req, {
+        action: "user.unlock",
+        targetType: "user",
+        targetIds: [userId],
+      });
+      res.json({ message: "user unlocked successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 查看用户的登录记录（需 users:read 权限），支持 ?success=true|false 与分页
+router.get(
+  "/users/:id/logins",
+  authMiddleware,
+  requirePermission("users:read"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const user = await db.getUserById(userId);
+      if (!user) {
+        return sendErr(res, 404, "user not found");
+      }
+      await sendLoginHistory(req, res, userId);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 删除用户（需 users:delete 权限）
+router.delete(
+  "/users/:id",
+  authMiddleware,
+  requirePermission("users:delete"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+
+      // 不能删除自己
+      if (req.user.id === userId) {
+        return sendErr(res, 403, "cannot delete yourself");
+      }
+
+      const user = await db.getUserById(userId);
+      if (!user) {
+        return sendErr(res, 404, "user not found");
+      }
+      const manageError = await checkManageableUser(req, user);
+      if (manageError) {
+        return sendErr(res, manageError.status, manageError.error);
+      }
+
+      await db.deleteUser(userId);
+      await audit.record(req, {
+        action: "user.delete",
+        targetType: "user",
+        targetIds: [userId],
+        changes: audit.diff(user, null, AUDITED_USER_FIELDS),
+      });
+
+      res.json({ message: "user deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 批量删除用户（需 users:delete 权限）
+router.post(
+  "/users/bulk-delete",
+  authMiddleware,
+  requirePermission("users:delete"),
+  async (req, res) => {
+    try {
+      if (!Array.isArray(req.body.userIds) || req.body.userIds.length === 0) {
+        return sendErr(res, 400, "userIds array required");
+      }
+      const userIds = req.body.userIds.map(Number);
+      if (userIds.some((id) => !Number.isInteger(id))) {
+        return sendErr(res, 400, "userIds must be integers");
+      }
+
+      // 不能删除自己
+      if (userIds.includes(req.user.id)) {
+        return sendErr(res, 403, "cannot delete yourself");
+      }
+
+      // 删除前记下被删用户的信息，供审计日志使用；任一用户的权限超出操作者时整批拒绝
+      const targets = await db.getUsersByIds(userIds);
+      for (const target of targets) {
+        const manageError = await checkManageableUser(req, target);
+        if (manageError) {
+          return sendErr(res, manageError.status, manageError.error);
+        }
+      }
+      const deletedCount = await db.deleteUsers(userIds);
+      await audit.record(req, {
+        action: "user.bulk_delete",
+        targetType: "user",
+        targetIds: targets.map((u) => u.id),
+        details: {
+          requested: userIds,
+          deletedCount,
+          users: targets.map((u) => ({
+            id: u.id,
+            username: u.username,
+            email: u.email,
+            role: u.role,
+          })),
+        },
+      });
+
+      res.json({
+        message: "users deleted successfully",
+        deletedCount,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 修改密码（用户本人或拥有 users:update 权限）
+router.put("/users/:id/password", authMiddleware, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { currentPassword, newPassword } = req.body;
+
+    // 只有用户本人或拥有 users:update 权限的用户可以修改密码
+    const canManage = permissions.hasPermission(req.user, "users:update");
+    if (!canManage && req.user.id !== userId) {
+      return sendErr(res, 403, "permission denied");
+    }
+
+    if (!newPassword) {
+      return sendErr(res, 400, "new password required");
+    }
+
+    if (newPassword.length < 6) {
+      return sendErr(res, 400, "password must be at least 6 characters");
+    }
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      return sendErr(res, 404, "user not found");
+    }
+    const manageError = await checkManageableUser(req, user);
+    if (manageError) {
+      return sendErr(res, manageError.status, manageError.error);
+    }
+
+    // 没有 users:update 权限时需要验证当前密码
+    if (!canManage) {
+      if (!currentPassword) {
+        return sendErr(res, 400, "current password required");
+      }
+      const match = await bcrypt.compare(currentPassword, user.password);
+      if (!match) {
+        return sendErr(res, 401, "current password incorrect");
+      }
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.updateUser(userId, { password: hashedPassword });
+    // 修改密码后其他设备需重新登录；本人修改时保留当前会话
+    await db.revokeUserSessions(
+      userId,
+      req.user.id === userId ? req.user.sessionId : null,
+    );
+    // 修改他人密码时记入审计日志
+    if (req.user.id !== userId) {
+      await audit.record(req, {
+        action: "user.password_change",
+        targetType: "user",
+        targetIds: [userId],
+      });
+    }
+
+    res.json({ message: "password updated successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 导出用户数据（需 users:export 权限）
+router.post(
+  "/users/export",
+  authMiddleware,
+  requirePermission("users:export"),
+  async (req, res) => {
+    try {
+      const { userIds } = req.body;
+
+      let users;
+      if (userIds && Array.isArray(userIds) && userIds.length > 0) {
+        // 导出指定用户
+        users = await db.getUsersByIds(userIds);
+      } else {
+        // 导出所有用户
+        users = await db.getUsers({ offset: 0, limit: 10000 });
+      }
+
+      // 移除敏感信息
+      const exportData = users.map((user) => ({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        role: user.role,
+        createdAt: user.created_at,
+        lastLogin: user.last_login,
+        loginCount: user.login_count,
+      }));
+
+      await audit.record(req, {
+        action: "user.export",
+        targetType: "user",
+        targetIds: exportData.map((u) => u.id),
+        details: {
+          count: exportData.length,
+          all: !(userIds && userIds.length),
+        },
+      });
+
+      res.json({
+        data: exportData,
+        count: exportData.length,
+        exportedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 获取当前登录用户信息
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
     const user = await db.getUserById(req.user.id);
     if (!user) {
       return sendErr(res, 404, "user not found");
@@ -434,7 +933,10 @@ router.get("/me", authMiddleware, async (req, res) => {
       id: user.id,
       username: user.username,
       email: user.email,
+      emailVerified: Boolean(user.email_verified),
+      pendingEmail: user.pending_email,
       role: user.role,
+      permissions: req.user.permissions,
       createdAt: user.created_at,
       lastLogin: user.last_login,
       loginCount: user.login_count,
@@ -445,29 +947,818 @@ router.get("/me", authMiddleware, async (req, res) => {
   }
 });
 
+// 修改邮箱会发送确认邮件，按发送邮件的规则限流
+const mailLimit = rateLimit.limit("mail");
+const limitEmailChange = (req, res, next) =>
+  req.body && req.body.email !== undefined ? mailLimit(req, res, next) : next();
+
+// 修改当前用户的资料：{ username?, email?, currentPassword? }
+// 修改邮箱需要提供当前密码，并在新邮箱收到确认邮件后才生效
+router.patch("/me", authMiddleware, limitEmailChange, async (req, res) => {
+  try {
+    const { username, email, currentPassword } = req.body;
+    if (username === undefined && email === undefined) {
+      return sendErr(res, 400, "no fields to update");
+    }
+
+    const user = await db.getUserById(req.user.id);
+    if (!user) {
+      return sendErr(res, 404, "user not found");
+    }
+
+    const updates = {};
+    if (username !== undefined) {
+      if (typeof username !== "string" || !username.trim()) {
+        return sendErr(res, 400, "username cannot be empty");
+      }
+      if (username.trim().length > 100) {
+        return sendErr(res, 400, "username must be at most 100 characters");
+      }
+      updates.username = username.trim();
+    }
+
+    let newEmail = null;
+    if (email !== undefined && email !== user.email) {
+      // 验证邮箱格式
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (typeof email !== "string" || !emailRegex.test(email)) {
+        return sendErr(res, 400, "invalid email format");
+      }
+      if (!currentPassword) {
+        return sendErr(res, 400, "current password required");
+      }
+      const match = await bcrypt.compare(currentPassword, user.password);
+      if (!match) {
+        return sendErr(res, 401, "current password incorrect");
+      }
+      if (await db.getUserByEmail(email)) {
+        return sendErr(res, 409, "email already in use");
+      }
+      newEmail = email;
+    }
+
+    const updated =
+      Object.keys(updates).length > 0
+        ? await db.updateUser(user.id, updates)
+        : user;
+    if (newEmail) {
+      await db.setPendingEmail(user.id, newEmail);
+      try {
+        const token = await accountTokens.issue(user.id, "change_email");
+        await mail.sendEmailChangeEmail(
+          updated,
+          newEmail,
+          token,
+          accountTokens.VERIFICATION_TTL_HOURS,
+        );
+      } catch (mailError) {
+        console.error("Email Change Mail Error:", mailError);
+      }
+    } else if (email !== undefined && user.pending_email) {
+      // 改回当前邮箱时放弃未确认的修改
+      await db.setPendingEmail(user.id, null);
+    }
+
+    res.json({
+      id: updated.id,
+      username: updated.username,
+      email: updated.email,
+      emailVerified: Boolean(updated.email_verified),
+      pendingEmail:
+        newEmail || (email !== undefined ? null : user.pending_email),
+      role: updated.role,
+      ...(newEmail ? { message: "confirmation email sent" } : {}),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 导出当前用户的个人数据为 zip：账号资料、登录设备与记录、全部对话与消息
+router.get("/me/data-export", authMiddleware, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    if (!user) {
+      return sendErr(res, 404, "user not found");
+    }
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (err) => {
+      console.error("Export archive error:", err);
+      res.destroy(err);
+    });
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(`orangeexpress-data-${user.id}.zip`),
+    );
+    archive.pipe(res);
+
+    await writeAccountArchive(archive, user, { exportedAt: new Date() });
+    await archive.finalize();
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: "internal error" });
+    else res.destroy(err);
+  }
+});
+
+// 注销当前账号：{ password }。账号进入宽限期并退出所有设备，
+// 宽限期内重新登录即撤销注销，期满后账号及全部个人数据被彻底删除
+router.delete("/me", authMiddleware, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) return sendErr(res, 400, "password required");
+
+    const user = await db.getUserById(req.user.id);
+    if (!user) {
+      return sendErr(res, 404, "user not found");
+    }
+    const match = await bcrypt.compare(password, user.password);
+    if (!match) {
+      return sendErr(res, 401, "password incorrect");
+    }
+
+    const deletionScheduledAt = await accountDeletion.schedule(user.id);
+    await db.revokeUserSessions(user.id);
+
+    res.json({
+      message: "account scheduled for deletion",
+      deletionScheduledAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 当前用户的登录记录，支持 ?success=true|false 与分页
+router.get("/me/logins", authMiddleware, async (req, res) => {
+  try {
+    await sendLoginHistory(req, res, req.user.id);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 分页返回登录记录
+async function sendLoginHistory(req, res, userId) {
+  let page = Number(req.query.page);
+  if (isNaN(page) || page < 1) page = 1;
+  let pageSize = Number(req.query.pageSize);
+  if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+  pageSize = Math.min(pageSize, 100);
+  let success;
+  if (req.query.success === "true") success = true;
+  else if (req.query.success === "false") success = false;
+
+  const result = await db.getLoginEvents(userId, {
+    success,
+    offset: (page - 1) * pageSize,
+    limit: pageSize,
+  });
+  res.json({
+    logins: result.items.map(formatLoginEvent),
+    total: result.total,
+    page,
+    pageSize,
+  });
+}
+
+// ==================== 用量与配额接口 ====================
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const QUOTA_SCOPES = ["user", "role"];
+
+// 解析 from / to 查询参数（YYYY-MM-DD），缺省为最近 30 天；格式错误时返回 null
+function parseDateRange(query) {
+  const { from, to } = query;
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) return null;
+  const defaultFrom = new Date(Date.now() - 29 * 24 * 3600 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  return { from: from || defaultFrom, to: to || null };
+}
+
+const formatUsage = (r) => ({
+  promptTokens: r.prompt_tokens,
+  completionTokens: r.completion_tokens,
+  totalTokens: r.total_tokens,
+  requests: r.requests,
+});
+
+const formatQuotaStatus = (q) => ({
+  period: q.period,
+  scope: q.scope,
+  limit: q.limit,
+  used: q.used,
+  remaining: q.remaining,
+  resetAt: q.reset_at,
+});
+
+const formatQuota = (q) => ({
+  id: q.id,
+  scope: q.scope,
+  subject: q.subject,
+  period: q.period,
+  limit: q.token_limit,
+  username: q.username || null,
+  email: q.email || null,
+  updatedAt: q.updated_at,
+});
+
+// 当前用户的 token 用量（按天、按调用类型）与生效中的配额，支持 from / to
+router.get("/me/usage", authMiddleware, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) return sendErr(res, 400, "from and to must be YYYY-MM-DD");
+
+    const [report, quotas] = await Promise.all([
+      db.getTokenUsageReport({ userId: req.user.id, ...range }),
+      usage.getQuotaStatus(req.user),
+    ]);
+    res.json({
+      from: range.from,
+      to: range.to,
+      totals: formatUsage(report.totals),
+      byDay: report.byDay.map((r) => ({ day: r.day, ...formatUsage(r) })),
+      byKind: report.byKind.map((r) => ({ kind: r.kind, ...formatUsage(r) })),
+      quotas: quotas.map(formatQuotaStatus),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 用量报表（需 usage:read 权限）：合计、按天、按调用类型与按用户（按用量降序分页），
+// 支持 from / to 与 userId 过滤
+router.get(
+  "/usage",
+  authMiddleware,
+  requirePermission("usage:read"),
+  async (req, res) => {
+    try {
+      const range = parseDateRange(req.query);
+      if (!range) return sendErr(res, 400, "from and to must be YYYY-MM-DD");
+      let userId = null;
+      if (req.query.userId !== undefined) {
+        userId = parseInt(req.query.userId);
+        if (isNaN(userId)) return sendErr(res, 400, "invalid userId");
+      }
+      let page = Number(req.query.page);
+      if (isNaN(page) || page < 1) page = 1;
+      let pageSize = Number(req.query.pageSize);
+      if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+      pageSize = Math.min(pageSize, 100);
+
+      const report = await db.getTokenUsageReport(
+        { userId, ...range },
+        { userOffset: (page - 1) * pageSize, userLimit: pageSize },
+      );
+      const result = {
+        from: range.from,
+        to: range.to,
+        totals: formatUsage(report.totals),
+        byDay: report.byDay.map((r) => ({ day: r.day, ...formatUsage(r) })),
+        byKind: report.byKind.map((r) => ({ kind: r.kind, ...formatUsage(r) })),
+      };
+      if (report.byUser) {
+        result.byUser = {
+          items: report.byUser.map((r) => ({
+            userId: r.user_id,
+            username: r.username,
+            email: r.email,
+            ...formatUsage(r),
+          })),
+          total: report.userTotal,
+          page,
+          pageSize,
+        };
+      }
+      res.json(result);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 获取 token 配额列表（需 quotas:read 权限），支持 ?scope=user|role
+router.get(
+  "/quotas",
+  authMiddleware,
+  requirePermission("quotas:read"),
+  async (req, res) => {
+    try {
+      const { scope } = req.query;
+      if (scope && !QUOTA_SCOPES.includes(scope)) {
+        return sendErr(res, 400, "scope must be user or role");
+      }
+      const quotas = await db.listTokenQuotas({ scope });
+      res.json({ quotas: quotas.map(formatQuota) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 设置 token 配额（需 quotas:manage 权限）：{ scope: user|role, subject: 用户ID或角色名, period: day|month, limit }
+// 同一对象同一周期已有配额时更新其上限
+router.put(
+  "/quotas",
+  authMiddleware,
+  requirePermission("quotas:manage"),
+  async (req, res) => {
+    try {
+      const { scope, subject, period, limit } = req.body;
+      if (!QUOTA_SCOPES.includes(scope)) {
+        return sendErr(res, 400, "scope must be user or role");
+      }
+      if (!usage.PERIODS.includes(period)) {
+        return sendErr(res, 400, "period must be day or month");
+      }
+      if (!Number.isInteger(limit) || limit < 0) {
+        return sendErr(res, 400, "limit must be a non-negative integer");
+      }
+
+      let normalizedSubject;
+      if (scope === "user") {
+        const user = await db.getUserById(parseInt(subject));
+        if (!user) return sendErr(res, 404, "user not found");
+        normalizedSubject = String(user.id);
+      } else {
+        if (typeof subject !== "string" || !(await db.getRole(subject))) {
+          return sendErr(res, 400, "invalid role");
+        }
+        normalizedSubject = subject;
+      }
+
+      const previous = (await db.listTokenQuotas({ scope })).find(
+        (q) => q.subject === normalizedSubject && q.period === period,
+      );
+      const quota = await db.setTokenQuota({
+        scope,
+        subject: normalizedSubject,
+        period,
+        limit,
+      });
+      await audit.record(req, {
+        action: "quota.set",
+        targetType: "quota",
+        targetIds: [quota.id],
+        changes: audit.diff(previous || null, quota, [
+          "scope",
+          "subject",
+          "period",
+          "token_limit",
+        ]),
+      });
+      res.json(formatQuota(quota));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 删除 token 配额（需 quotas:manage 权限）
+router.delete(
+  "/quotas/:id",
+  authMiddleware,
+  requirePermission("quotas:manage"),
+  async (req, res) => {
+    try {
+      const ok = await db.deleteTokenQuota(parseInt(req.params.id));
+      if (!ok) return sendErr(res, 404, "quota not found");
+      await audit.record(req, {
+        action: "quota.delete",
+        targetType: "quota",
+        targetIds: [parseInt(req.params.id)],
+      });
+      res.json({ message: "quota deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// ==================== 审计日志接口 ====================
+
+// 查询审计日志（需 audit:read 权限），支持 actorId / action（如 user.update 或 user.*）/
+// targetType / targetId / from / to（YYYY-MM-DD）与分页
+router.get(
+  "/audit",
+  authMiddleware,
+  requirePermission("audit:read"),
+  async (req, res) => {
+    try {
+      const { action, targetType, targetId, from, to } = req.query;
+      if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+        return sendErr(res, 400, "from and to must be YYYY-MM-DD");
+      }
+      let actorId;
+      if (req.query.actorId !== undefined) {
+        actorId = parseInt(req.query.actorId);
+        if (isNaN(actorId)) return sendErr(res, 400, "invalid actorId");
+      }
+      let page = Number(req.query.page);
+      if (isNaN(page) || page < 1) page = 1;
+      let pageSize = Number(req.query.pageSize);
+      if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+      pageSize = Math.min(pageSize, 100);
+
+      const result = await db.getAuditLog({
+        actorId,
+        action,
+        targetType,
+        targetId,
+        from,
+        to,
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      });
+      res.json({
+        entries: result.items.map((e) => ({
+          id: e.id,
+          actorId: e.actor_id,
+          actorUsername: e.actor_username || null,
+          actorEmail: e.actor_email || null,
+          action: e.action,
+          targetType: e.target_type,
+          targetIds: e.target_ids,
+          changes: e.changes,
+          details: e.details,
+          ip: e.ip,
+          createdAt: e.created_at,
+        })),
+        total: result.total,
+        page,
+        pageSize,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// ==================== 角色与权限接口 ====================
+
+const ROLE_NAME_RE = /^[a-z][a-z0-9_]{1,49}$/;
+
+const formatRole = (r) => ({
+  name: r.name,
+  description: r.description,
+  system: Boolean(r.is_system),
+  permissions: r.permissions,
+  userCount: Number(r.user_count) || 0,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at,
+});
+
+/**
+ * 校验角色的权限列表：须为已定义的权限，且不超出操作者自身的权限
+ * @returns {{status, error} | null}
+ */
+function checkRolePermissions(req, list) {
+  if (!Array.isArray(list) || list.some((p) => typeof p !== "string")) {
+    return { status: 400, error: "permissions must be an array of strings" };
+  }
+  const unknown = permissions.unknownPermissions(list);
+  if (unknown.length > 0) {
+    return { status: 400, error: `unknown permissions: ${unknown.join(", ")}` };
+  }
+  if (!permissions.canGrant(req.user, list)) {
+    return { status: 403, error: "cannot grant permissions you do not have" };
+  }
+  return null;
+}
+
+// 可分配的权限及说明（需 roles:read 权限）
+router.get(
+  "/permissions",
+  authMiddleware,
+  requirePermission("roles:read"),
+  (req, res) => {
+    res.json({
+      permissions: Object.entries(permissions.PERMISSIONS).map(
+        ([name, description]) => ({ name, description }),
+      ),
+    });
+  },
+);
+
+// 角色列表（需 roles:read 权限）
+router.get(
+  "/roles",
+  authMiddleware,
+  requirePermission("roles:read"),
+  async (req, res) => {
+    try {
+      const roles = await db.listRoles();
+      res.json({ roles: roles.map(formatRole) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 新增角色（需 roles:manage 权限）：{ name, description?, permissions: [] }
+router.post(
+  "/roles",
+  authMiddleware,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const { name, description, permissions: list = [] } = req.body;
+      if (typeof name !== "string" || !ROLE_NAME_RE.test(name)) {
+        return sendErr(
+          res,
+          400,
+          "name must be 2-50 lowercase letters, digits or underscores",
+        );
+      }
+      if (
+        description !== undefined &&
+        description !== null &&
+        typeof description !== "string"
+      ) {
+        return sendErr(res, 400, "description must be a string");
+      }
+      const error = checkRolePermissions(req, list);
+      if (error) return sendErr(res, error.status, error.error);
+      if (await db.getRole(name)) {
+        return sendErr(res, 409, "role already exists");
+      }
+
+      const role = await db.createRole({
+        name,
+        description: description ? description.slice(0, 255) : null,
+        permissions: [...new Set(list)],
+      });
+      permissions.invalidate();
+      await audit.record(req, {
+        action: "role.create",
+        targetType: "role",
+        targetIds: [role.name],
+        changes: audit.diff(null, role, ["description", "permissions"]),
+      });
+      res.status(201).json(formatRole(role));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 修改角色说明与权限（需 roles:manage 权限），permissions 若提供则整体替换；
+// 拥有全部权限的角色（admin）不能修改权限
+router.put(
+  "/roles/:name",
+  authMiddleware,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const role = await db.getRole(req.params.name);
+      if (!role) return sendErr(res, 404, "role not found");
+
+      const { description, permissions: list } = req.body;
+      if (
+        description !== undefined &&
+        description !== null &&
+        typeof description !== "string"
+      ) {
+        return sendErr(res, 400, "description must be a string");
+      }
+      if (list !== undefined) {
+        if (role.permissions.includes(permissions.WILDCARD)) {
+          return sendErr(res, 403, "cannot change permissions of this role");
+        }
+        const error =
+          checkRolePermissions(req, list) ||
+          checkRolePermissions(req, role.permissions);
+        if (error) return sendErr(res, error.status, error.error);
+      }
+      if (description === undefined && list === undefined) {
+        return sendErr(res, 400, "no fields to update");
+      }
+
+      const updated = await db.updateRole(role.name, {
+        description:
+          description === undefined
+            ? undefined
+            : (description || "").slice(0, 255),
+        permissions: list === undefined ? undefined : [...new Set(list)],
+      });
+      permissions.invalidate();
+      await audit.record(req, {
+        action: "role.update",
+        targetType: "role",
+        targetIds: [role.name],
+        changes: audit.diff(role, updated, ["description", "permissions"]),
+      });
+      res.json(formatRole(updated));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 删除角色（需 roles:manage 权限）：内置角色与仍有用户使用的角色不能删除，
+// 该角色的 token 配额一并删除
+router.delete(
+  "/roles/:name",
+  authMiddleware,
+  requirePermission("roles:manage"),
+  async (req, res) => {
+    try {
+      const role = await db.getRole(req.params.name);
+      if (!role) return sendErr(res, 404, "role not found");
+      if (role.is_system) {
+        return sendErr(res, 403, "cannot delete system role");
+      }
+      if (Number(role.user_count) > 0) {
+        return sendErr(res, 409, "role is assigned to users");
+      }
+
+      await db.deleteRole(role.name);
+      permissions.invalidate();
+      await audit.record(req, {
+        action: "role.delete",
+        targetType: "role",
+        targetIds: [role.name],
+        changes: audit.diff(role, null, ["description", "permissions"]),
+      });
+      res.json({ message: "role deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// ==================== 限流管理接口 ====================
+
+const OVERRIDE_TYPES = ["ip", "user"];
+
+const formatOverride = (o) => ({
+  id: o.id,
+  type: o.type,
+  value: o.value,
+  note: o.note,
+  expiresAt: o.expires_at,
+  createdBy: o.created_by,
+  createdByUsername: o.created_by_username || null,
+  createdAt: o.created_at,
+});
+
+// 查看限流规则与放行名单（需 rate_limits:read 权限）
+router.get(
+  "/rate-limits",
+  authMiddleware,
+  requirePermission("rate_limits:read"),
+  async (req, res) => {
+    try {
+      const overrides = await db.listRateLimitOverrides();
+      res.json({
+        ...rateLimit.describe(),
+        overrides: overrides.map(formatOverride),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 添加放行项（需 rate_limits:manage 权限）：{ type: ip|user, value: IP 地址或用户ID, note?, expiresAt? }
+router.post(
+  "/rate-limits/overrides",
+  authMiddleware,
+  requirePermission("rate_limits:manage"),
+  async (req, res) => {
+    try {
+      const { type, value, note, expiresAt } = req.body;
+      if (!OVERRIDE_TYPES.includes(type)) {
+        return sendErr(res, 400, "type must be ip or user");
+      }
+
+      let normalizedValue;
+      if (type === "ip") {
+        if (typeof value !== "string" || !net.isIP(value.trim())) {
+          return sendErr(res, 400, "invalid ip address");
+        }
+        normalizedValue = value.trim();
+      } else {
+        const user = await db.getUserById(parseInt(value));
+        if (!user) return sendErr(res, 404, "user not found");
+        normalizedValue = String(user.id);
+      }
+
+      let expires = null;
+      if (expiresAt !== undefined && expiresAt !== null) {
+        expires = new Date(expiresAt);
+        if (isNaN(expires.getTime()) || expires <= new Date()) {
+          return sendErr(res, 400, "expiresAt must be a future date");
+        }
+      }
+      if (note !== undefined && note !== null && typeof note !== "string") {
+        return sendErr(res, 400, "note must be a string");
+      }
+
+      const override = await db.addRateLimitOverride({
+        type,
+        value: normalizedValue,
+        note: note ? note.slice(0, 255) : null,
+        expiresAt: expires,
+        createdBy: req.user.id,
+      });
+      rateLimit.invalidateOverrides();
+      await audit.record(req, {
+        action: "rate_limit_override.create",
+        targetType: "rate_limit_override",
+        targetIds: [override.id],
+        changes: audit.diff(null, override, [
+          "type",
+          "value",
+          "note",
+          "expires_at",
+        ]),
+      });
+      res.status(201).json(formatOverride(override));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 删除放行项（需 rate_limits:manage 权限）
+router.delete(
+  "/rate-limits/overrides/:id",
+  authMiddleware,
+  requirePermission("rate_limits:manage"),
+  async (req, res) => {
+    try {
+      const ok = await db.deleteRateLimitOverride(parseInt(req.params.id));
+      if (!ok) return sendErr(res, 404, "override not found");
+      rateLimit.invalidateOverrides();
+      await audit.record(req, {
+        action: "rate_limit_override.delete",
+        targetType: "rate_limit_override",
+        targetIds: [parseInt(req.params.id)],
+      });
+      res.json({ message: "override deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
 module.exports = router;
 
-// JWT 验证中间件，解码后将用户信息写入 req.user
-function authMiddleware(req, res, next) {
+// 访问令牌验证中间件：校验签名与所属会话，将用户信息（id / role / permissions / sessionId）写入 req.user
+async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization || "";
   const token = authHeader.replace("Bearer ", "");
   if (!token) return res.status(401).json({ error: "token required" });
+  let user;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = { id: payload.id, role: payload.role };
-    next();
+    user = await sessions.verify(token);
   } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
+    console.error(err);
+    return res.status(500).json({ error: "internal error" });
   }
+  if (!user) return res.status(401).json({ error: "invalid token" });
+  req.user = user;
+  next();
 }
 
-// 管理员权限中间件
-function adminOnly(req, res, next) {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ error: "admin access required" });
-  }
-  next();
+/**
+ * 权限中间件（在 authMiddleware 之后使用），需同时拥有列出的全部权限
+ * @example router.delete("/users/:id", authMiddleware, requirePermission("users:delete"), handler)
+ */
+function requirePermission(...required) {
+  return (req, res, next) => {
+    const missing = required.find(
+      (p) => !permissions.hasPermission(req.user, p),
+    );
+    if (missing) {
+      return res
+        .status(403)
+        .json({ error: "permission denied", permission: missing });
+    }
+    next();
+  };
 }
 
 module.exports.authMiddleware = authMiddleware;
-module.exports.adminOnly = adminOnly;
+module.exports.requirePermission = requirePermission;
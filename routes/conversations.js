@@ -2,165 +2,880 @@ const express = require("express");
 const db = require("../db");
 const auth = require("./auth");
 const openaiService = require("../openai.js");
+const retrieval = require("../services/retrieval");
+const classifier = require("../services/classifier");
+const generations = require("../services/generations");
+const search = require("../services/search");
+const exporter = require("../services/export");
+const importer = require("../services/import");
+const titles = require("../services/titles");
+const context = require("../services/context");
+const usage = require("../services/usage");
+const rateLimit = require("../services/rateLimit");
+const audit = require("../services/audit");
+const archiver = require("archiver");
 const router = express.Router();
 
 const sendErr = (res, status, msg) => res.status(status).json({ error: msg });
 
-// 简单领域判断：基于关键词匹配判断是否属于铜及铜合金相关问题
-function isCopperQuestion(question) {
-  if (!question || typeof question !== "string") return false;
-  const q = question.toLowerCase();
-  const keywords = [
-    "铜",
-    "铜合金",
-    "黄铜",
-    "青铜",
-    "铜锌",
-    "铜锡",
-    "铜镍",
-    "铜材",
-    "铜基",
-    "brass",
-    "bronze",
-    "copper",
-    "cu",
-  ];
-  return keywords.some((k) => q.includes(k));
+const REJECTION_REPLY = "本系统仅支持铜及铜合金领域问题";
+
+// 回答反馈：评价、差评的问题类型（数据有误 / 偏离主题 / 不完整）与审核状态
+const FEEDBACK_RATINGS = ["up", "down"];
+const FEEDBACK_CATEGORIES = ["incorrect_data", "off_topic", "incomplete"];
+const FEEDBACK_STATUSES = ["open", "resolved", "curated"];
+const MAX_CORRECTION_LENGTH = 4000;
+
+// 验证对话存在且属于当前用户，失败时直接返回错误响应并返回 null
+async function findOwnedConversation(req, res, convId) {
+  const conversation = await db.getConversation(convId);
+  if (!conversation) {
+    sendErr(res, 404, "conversation not found");
+    return null;
+  }
+  if (conversation.user_id !== req.user.id) {
+    sendErr(res, 403, "forbidden");
+    return null;
+  }
+  return conversation;
 }
 
-// 开始新对话或在已有对话中继续发送消息
-router.post("/", auth.authMiddleware, async (req, res) => {
+// token 配额已用完时返回 429 及超出的配额信息，并返回 true
+async function rejectIfOverQuota(req, res) {
+  const exceeded = await usage.checkQuota(req.user);
+  if (!exceeded) return false;
+  res.status(429).json({
+    error: "token quota exceeded",
+    quota: {
+      period: exceeded.period,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      reset_at: exceeded.reset_at,
+    },
+  });
+  return true;
+}
+
+// 设置 SSE 响应头并开启心跳，返回发送事件与结束连接的方法
+function openSse(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  // 立即发送 headers，避免被代理或框架缓冲
+  if (res.flushHeaders) res.flushHeaders();
+  // 心跳，防止代理/浏览器超时（每15秒一条注释行）
+  const keepAlive = setInterval(() => {
+    try {
+      res.write(": keep-alive\n\n");
+    } catch (e) {
+      // ignore write errors
+    }
+  }, 15000);
+  res.on("close", () => clearInterval(keepAlive));
+  return {
+    // 连接已断开时不再写入；带事件ID时客户端重连会通过 Last-Event-ID 回传
+    send: (data, id) => {
+      if (res.writableEnded || res.destroyed) return;
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      clearInterval(keepAlive);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+// 以 SSE 跟随一次生成（先补发 lastEventId 之后的事件），直到生成结束或客户端断开
+function followGeneration(res, generation, lastEventId) {
+  const sse = openSse(res);
+  const unsubscribe = generations.subscribe(
+    generation,
+    (event) => (event ? sse.send(event.data, event.id) : sse.end()),
+    lastEventId,
+  );
+  // 注意 req 的 close 事件在请求体读取完毕后就会触发，这里监听 res 的 close
+  res.on("close", unsubscribe);
+}
+
+/**
+ * 对话标题仍为自动截取的问题时，根据这一问一答生成标题并推送 title 事件；
+ * 用户手动修改过的标题不会被覆盖。生成失败只记录日志，不影响回复
+ */
+async function refreshTitle(convId, userId, question, answer, emit) {
   try {
-    const userId = req.user.id;
-    const { conversation_id, title, content } = req.body;
-    if (!content) return sendErr(res, 400, "content required");
-    let convId = conversation_id;
-    if (!convId) {
-      const autoTitle =
-        title || (content.length > 60 ? content.slice(0, 60) : content);
-      const conv = await db.createConversation(userId, autoTitle);
-      convId = conv.conversation_id;
-    } else {
-      const pool = db._pool();
-      const [rows] = await pool.execute(
-        "SELECT user_id FROM conversations WHERE conversation_id = ?",
-        [convId],
-      );
-      if (!rows || rows.length === 0)
-        return sendErr(res, 404, "conversation not found");
-      if (rows[0].user_id !== userId) return sendErr(res, 403, "forbidden");
-    }
-
-    await db.addMessage(convId, "user", content);
-
-    // 领域判断：若非铜及铜合金相关问题，通过 SSE 把提示以助理消息形式返回并保存，前端可像正常回复展示
-    if (!isCopperQuestion(content)) {
-      // 设置 SSE 响应头
-      res.setHeader("Content-Type", "text/event-stream");
-      res.setHeader("Cache-Control", "no-cache");
-      res.setHeader("Connection", "keep-alive");
-      if (res.flushHeaders) res.flushHeaders();
-      // 发送开始事件
-      res.write(
-        `data: ${JSON.stringify({ started: true, conversation_id: convId })}\n\n`,
-      );
-      const keepAlive = setInterval(() => {
-        try {
-          res.write(": keep-alive\n\n");
-        } catch (e) {
-          // ignore
-        }
-      }, 15000);
+    const conversation = await db.getConversation(convId);
+    if (!conversation || conversation.title_source !== "auto") return;
+    const title = await titles.generateTitle(question, answer, {
+      onUsage: (u) =>
+        usage.record(userId, "title", u, { conversationId: convId }),
+    });
+    if (title && (await db.setGeneratedTitle(convId, title))) {
+      emit({ title, conversation_id: convId });
+    }
+  } catch (titleError) {
+    console.error("Title Generation Error:", titleError);
+  }
+}
+
+/**
+ * 为一条用户消息生成助理回复并通过 SSE 推送，回复保存为该用户消息下新的选中版本，
+ * 并成为对话当前激活的分支
+ * - 领域判断不通过时返回固定提示，并记录拒答日志
+ * - 否则检索参考资料并调用大模型流式生成，完成后按需生成对话标题
+ * 事件经 services/generations 推送并缓存，连接中断后可通过 GET /:id/stream 续传；
+ * 所有连接断开超过宽限期仍无人重连时才中止上游生成
+ * @param {Object} params
+ * @param {Object} params.req
+ * @param {Object} params.res
+ * @param {string} params.convId - 对话ID
+ * @param {Array} params.history - 该用户消息之前的完整对话路径（老 -> 新）
+ * @param {Object} params.userMsg - 被回复的用户消息（message_id / content）
+ * @param {Object} params.generation - 路由中经 generations.reserve 登记的生成
+ * @param {Object} params.extra - 附加到开始事件中的字段
+ */
+async function replyToMessage({
+  req,
+  res,
+  convId,
+  history,
+  userMsg,
+  generation,
+  extra = {},
+}) {
+  const content = userMsg.content;
+  // 回复耗时从收到问题开始计算，保存到助理消息中供统计报表使用
+  const startedAt = Date.now();
+
+  const emit = (data) => generations.publish(generation, data);
+  followGeneration(res, generation);
+
+  try {
+    // 发送初始事件以提示前端连接已建立
+    emit({ started: true, conversation_id: convId, ...extra });
+
+    // 领域判断：结合对话上下文为问题打分，若非铜及铜合金相关问题，
+    // 记录拒答日志，并通过 SSE 把提示以助理消息形式返回并保存，前端可像正常回复展示
+    const verdict = await classifier.classify({
+      question: content,
+      history,
+      onUsage: (u) =>
+        usage.record(req.user.id, "classifier", u, { conversationId: convId }),
+    });
+    if (!verdict.allowed) {
+      await db
+        .logDomainRejection({
+          userId: req.user.id,
+          conversationId: convId,
+          messageId: userMsg.message_id,
+          question: content,
+          confidence: verdict.confidence,
+          stage: verdict.stage,
+          reason: verdict.reason,
+          matches: verdict.matches,
+        })
+        .catch((logError) => console.error("Rejection log error:", logError));
 
-      const assistantReply = "本系统仅支持铜及铜合金领域问题";
       // 存储助理消息
       const assistantMsg = await db.addMessage(
         convId,
         "assistant",
-        assistantReply,
+        REJECTION_REPLY,
+        { parentId: userMsg.message_id },
       );
+      await db.activateMessage(assistantMsg);
       // 发送作为一个 chunk
-      res.write(`data: ${JSON.stringify({ chunk: assistantReply })}\n\n`);
+      emit({ chunk: REJECTION_REPLY });
       // 发送完成信号
-      res.write(
-        `data: ${JSON.stringify({ done: true, conversation_id: convId, message_id: assistantMsg.message_id })}\n\n`,
-      );
-      clearInterval(keepAlive);
-      res.end();
+      emit({
+        done: true,
+        conversation_id: convId,
+        message_id: assistantMsg.message_id,
+        parent_id: userMsg.message_id,
+        status: "complete",
+      });
       return;
     }
 
-    // 获取最近的对话历史（最多 10 条），按时间顺序（老 -> 新）作为上下文
-    const history = await db.getConversationMessages(convId, 10);
-    const messages = history.map((msg) => ({
-      role: msg.role,
-      content: msg.content,
-    }));
-    // 将当前用户输入追加到 messages 末尾
-    messages.push({ role: "user", content });
-    // 设置 SSE 响应头
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    // 立即发送 headers，避免被代理或框架缓冲
-    if (res.flushHeaders) res.flushHeaders();
-    // 发送初始事件以提示前端连接已建立
-    res.write(
-      `data: ${JSON.stringify({ started: true, conversation_id: convId })}\n\n`,
-    );
-    // 心跳，防止代理/浏览器超时（每15秒一条注释行）
-    const keepAlive = setInterval(() => {
-      try {
-        res.write(": keep-alive\n\n");
-      } catch (e) {
-        // ignore write errors
-      }
-    }, 15000);
+    // 检索本地合金数据与参考资料，作为回答依据注入 system prompt。
+    // 追问（如“那它的退火温度呢？”）本身可能检索不到内容，此时带上上一条用户问题再检索一次
+    let passages = [];
+    try {
+      passages = await retrieval.retrieve(content);
+      const lastQuestion = [...history]
+        .reverse()
+        .find((m) => m.role === "user");
+      if (passages.length === 0 && lastQuestion) {
+        passages = await retrieval.retrieve(
+          `${lastQuestion.content} ${content}`,
+        );
+      }
+    } catch (retrievalError) {
+      console.error("Retrieval Error:", retrievalError);
+    }
+    // 按 token 预算组装上下文：参考资料、固定信息、较早内容的摘要与最近的对话
+    const messages = await context.buildMessages({
+      convId,
+      history,
+      question: content,
+      systemPrompt: retrieval.buildSystemPrompt(
+        openaiService.SYSTEM_PROMPT,
+        passages,
+      ),
+      onSummaryUsage: (u) =>
+        usage.record(req.user.id, "summary", u, { conversationId: convId }),
+    });
+    const citations = retrieval.toCitations(passages);
+    // 发送本次注入的参考资料，前端可在回答生成过程中展示
+    if (citations.length > 0) emit({ citations });
+
     let fullResponse = "";
+    let status = "complete";
+    let tokenUsage = null;
+    let firstTokenMs = null;
     try {
       await openaiService.getChatCompletionStream(
         messages,
         (chunk) => {
+          if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
           fullResponse += chunk;
           // 发送 SSE 数据
-          res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
+          emit({ chunk });
+        },
+        {
+          temperature: 0.7,
+          max_tokens: 2000,
+          signal: generation.signal,
+          onUsage: (u) => {
+            tokenUsage = u;
+          },
         },
-        { temperature: 0.7, max_tokens: 2000 },
-      );
-      // 存储完整回复
-      const assistantMsg = await db.addMessage(
-        convId,
-        "assistant",
-        fullResponse,
-      );
-      // 发送完成信号
-      res.write(
-        `data: ${JSON.stringify({
-          done: true,
-          conversation_id: convId,
-          message_id: assistantMsg.message_id,
-        })}\n\n`,
       );
-      clearInterval(keepAlive);
-      res.end();
     } catch (aiError) {
-      console.error("AI Stream Error:", aiError);
-      res.write(
-        `data: ${JSON.stringify({
-          error: "AI service error",
-        })}\n\n`,
-      );
-      clearInterval(keepAlive);
-      res.end();
+      status = generation.signal.aborted ? "stopped" : "error";
+      if (status === "error") console.error("AI Stream Error:", aiError);
+    }
+
+    // 存储回复（停止或出错时保存已生成的部分）及实际引用的参考资料
+    const usedCitations = retrieval.filterCited(citations, fullResponse);
+    const assistantMsg = await db.addMessage(
+      convId,
+      "assistant",
+      fullResponse,
+      {
+        citations: usedCitations,
+        parentId: userMsg.message_id,
+        status,
+        usage: tokenUsage,
+        timing: {
+          first_token_ms: firstTokenMs,
+          latency_ms: Date.now() - startedAt,
+        },
+      },
+    );
+    await db.activateMessage(assistantMsg);
+    await usage.record(req.user.id, "chat", tokenUsage, {
+      conversationId: convId,
+      messageId: assistantMsg.message_id,
+    });
+
+    if (status === "error") {
+      emit({
+        error: "AI service error",
+        conversation_id: convId,
+        message_id: assistantMsg.message_id,
+        status,
+      });
+    } else {
+      // 发送完成信号
+      emit({
+        done: true,
+        conversation_id: convId,
+        message_id: assistantMsg.message_id,
+        parent_id: userMsg.message_id,
+        citations: usedCitations,
+        status,
+        usage: tokenUsage && {
+          prompt_tokens: tokenUsage.prompt_tokens,
+          completion_tokens: tokenUsage.completion_tokens,
+          estimated: tokenUsage.estimated,
+        },
+      });
+    }
+
+    // 回复已保存，之后的新消息不必再等待标题生成
+    if (status === "complete") {
+      generations.release(generation);
+      await refreshTitle(convId, req.user.id, content, fullResponse, emit);
     }
+  } catch (err) {
+    emit({ error: "internal error", conversation_id: convId });
+    throw err;
+  } finally {
+    // 结束所有跟随中的 SSE 连接
+    generations.finish(generation);
+  }
+}
+
+// 开始新对话或在已有对话中继续发送消息
+router.post(
+  "/",
+  auth.authMiddleware,
+  rateLimit.limit("chat"),
+  async (req, res) => {
+    // 登记的生成用于通过 POST /:id/stop 停止、通过 GET /:id/stream 续传
+    let generation = null;
+    try {
+      const userId = req.user.id;
+      const { conversation_id, title, content } = req.body;
+      if (!content) return sendErr(res, 400, "content required");
+      let convId = conversation_id;
+      if (convId) {
+        if (!(await findOwnedConversation(req, res, convId))) return;
+        generation = generations.reserve(convId, { userId });
+        if (!generation) {
+          return sendErr(res, 409, "a reply is still being generated");
+        }
+      }
+      // 配额用完时在创建对话、写入消息之前拒绝
+      if (await rejectIfOverQuota(req, res)) return;
+      if (!convId) {
+        const autoTitle =
+          title || (content.length > 60 ? content.slice(0, 60) : content);
+        const conv = await db.createConversation(
+          userId,
+          autoTitle,
+          title ? "user" : "auto",
+        );
+        convId = conv.conversation_id;
+        generation = generations.reserve(convId, { userId });
+      }
+
+      // 获取当前激活分支上的对话历史，按时间顺序（老 -> 新），用于领域判断和模型上下文
+      const history = await db.getConversationMessages(convId);
+      // 新消息接在激活分支的最后一条消息之后
+      const last = history[history.length - 1];
+      const userMsg = await db.addMessage(convId, "user", content, {
+        parentId: last ? last.message_id : null,
+      });
+
+      await replyToMessage({ req, res, convId, history, userMsg, generation });
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "internal error" });
+      }
+    } finally {
+      if (generation) generations.abandon(generation);
+    }
+  },
+);
+
+// 重新生成某条助理回复：基于同样的上下文再次调用模型，结果保存为该回复的兄弟版本并设为选中
+router.post(
+  "/:id/messages/:messageId/regenerate",
+  auth.authMiddleware,
+  rateLimit.limit("chat"),
+  async (req, res) => {
+    let generation = null;
+    try {
+      const convId = req.params.id;
+      if (!(await findOwnedConversation(req, res, convId))) return;
+      generation = generations.reserve(convId, { userId: req.user.id });
+      if (!generation) {
+        return sendErr(res, 409, "a reply is still being generated");
+      }
+      if (await rejectIfOverQuota(req, res)) return;
+
+      const target = await db.getMessageById(Number(req.params.messageId));
+      if (!target || target.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+      if (target.role !== "assistant" || !target.parent_id) {
+        return sendErr(res, 400, "only assistant replies can be regenerated");
+      }
+      const userMsg = await db.getMessageById(target.parent_id);
+      if (!userMsg) return sendErr(res, 404, "message not found");
+
+      // 上下文为被回复的用户消息之前的对话
+      const history = await db.getConversationMessages(convId, null, {
+        leafId: userMsg.parent_id,
+      });
+      await replyToMessage({
+        req,
+        res,
+        convId,
+        history,
+        userMsg,
+        generation,
+        extra: { regenerated_from: target.message_id },
+      });
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "internal error" });
+      }
+    } finally {
+      if (generation) generations.abandon(generation);
+    }
+  },
+);
+
+// 编辑某条用户消息：以新内容创建该消息的兄弟消息（即新分支），并流式生成新的回复
+router.post(
+  "/:id/messages/:messageId/edit",
+  auth.authMiddleware,
+  rateLimit.limit("chat"),
+  async (req, res) => {
+    let generation = null;
+    try {
+      const convId = req.params.id;
+      const { content } = req.body;
+      if (!content) return sendErr(res, 400, "content required");
+      if (!(await findOwnedConversation(req, res, convId))) return;
+      generation = generations.reserve(convId, { userId: req.user.id });
+      if (!generation) {
+        return sendErr(res, 409, "a reply is still being generated");
+      }
+      if (await rejectIfOverQuota(req, res)) return;
+
+      const original = await db.getMessageById(Number(req.params.messageId));
+      if (!original || original.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+      if (original.role !== "user") {
+        return sendErr(res, 400, "only user messages can be edited");
+      }
+
+      // 上下文为原消息之前的对话，新消息与原消息共享同一个父消息
+      const history = await db.getConversationMessages(convId, null, {
+        leafId: original.parent_id,
+      });
+      const userMsg = await db.addMessage(convId, "user", content, {
+        parentId: original.parent_id,
+      });
+      await db.activateMessage(userMsg);
+
+      await replyToMessage({
+        req,
+        res,
+        convId,
+        history,
+        userMsg,
+        generation,
+        extra: {
+          edited_from: original.message_id,
+          user_message_id: userMsg.message_id,
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "internal error" });
+      }
+    } finally {
+      if (generation) generations.abandon(generation);
+    }
+  },
+);
+
+// 续传进行中（或刚结束）的回复：按 Last-Event-ID 补发错过的事件，再继续跟随实时生成。
+// 没有可续传的生成时返回 204，EventSource 收到 204 后不再重连
+router.get("/:id/stream", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const generation = generations.get(convId);
+    if (!generation) return res.status(204).end();
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    followGeneration(res, generation, lastEventId);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 停止对话中正在进行的回复生成，已生成的部分以 stopped 状态保存
+router.post("/:id/stop", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    if (!generations.stop(convId, "stopped by user")) {
+      return sendErr(res, 404, "no reply is being generated");
+    }
+    res.json({ success: true });
   } catch (err) {
     console.error(err);
-    if (!res.headersSent) {
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 切换选中的版本（助理回复的重新生成版本或用户消息的编辑版本），激活其所在的分支
+router.post(
+  "/:id/messages/:messageId/select",
+  auth.authMiddleware,
+  async (req, res) => {
+    try {
+      const convId = req.params.id;
+      if (!(await findOwnedConversation(req, res, convId))) return;
+
+      const target = await db.getMessageById(Number(req.params.messageId));
+      if (!target || target.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+
+      await db.activateMessage(target);
+      res.json({ success: true, message_id: target.message_id });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 对助理回复提交反馈（评价、问题类型与更正），同一回复重复提交时覆盖之前的反馈
+router.post(
+  "/:id/messages/:messageId/feedback",
+  auth.authMiddleware,
+  async (req, res) => {
+    try {
+      const convId = req.params.id;
+      if (!(await findOwnedConversation(req, res, convId))) return;
+
+      const target = await db.getMessageById(Number(req.params.messageId));
+      if (!target || target.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+      if (target.role !== "assistant") {
+        return sendErr(
+          res,
+          400,
+          "feedback is only accepted on assistant messages",
+        );
+      }
+
+      const { rating, categories = [], correction } = req.body;
+      if (!FEEDBACK_RATINGS.includes(rating)) {
+        return sendErr(res, 400, "rating must be up or down");
+      }
+      if (
+        !Array.isArray(categories) ||
+        categories.some((c) => !FEEDBACK_CATEGORIES.includes(c))
+      ) {
+        return sendErr(
+          res,
+          400,
+          `categories must be an array of ${FEEDBACK_CATEGORIES.join(", ")}`,
+        );
+      }
+      if (rating === "up" && categories.length > 0) {
+        return sendErr(
+          res,
+          400,
+          "categories are only allowed when rating is down",
+        );
+      }
+      if (
+        correction !== undefined &&
+        correction !== null &&
+        typeof correction !== "string"
+      ) {
+        return sendErr(res, 400, "correction must be a string");
+      }
+      if (correction && correction.length > MAX_CORRECTION_LENGTH) {
+        return sendErr(
+          res,
+          400,
+          `correction must be at most ${MAX_CORRECTION_LENGTH} characters`,
+        );
+      }
+
+      const feedback = await db.saveMessageFeedback({
+        messageId: target.message_id,
+        conversationId: convId,
+        userId: req.user.id,
+        rating,
+        categories: [...new Set(categories)],
+        correction: correction ? correction.trim() : null,
+      });
+      res.json(feedback);
+    } catch (err) {
+      console.error(err);
       res.status(500).json({ error: "internal error" });
     }
+  },
+);
+
+// 撤回对助理回复的反馈
+router.delete(
+  "/:id/messages/:messageId/feedback",
+  auth.authMiddleware,
+  async (req, res) => {
+    try {
+      const convId = req.params.id;
+      if (!(await findOwnedConversation(req, res, convId))) return;
+
+      const target = await db.getMessageById(Number(req.params.messageId));
+      if (!target || target.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+
+      const ok = await db.deleteMessageFeedback(target.message_id, req.user.id);
+      if (!ok) return sendErr(res, 404, "feedback not found");
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 列出对话的全部分支（每个叶子消息对应一条分支）
+router.get("/:id/branches", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const branches = await db.listBranches(convId);
+    res.json({ conversation_id: convId, branches });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
   }
 });
 
+// 切换激活分支：激活经过该消息的路径，返回新的激活路径
+router.post(
+  "/:id/branches/:messageId/activate",
+  auth.authMiddleware,
+  async (req, res) => {
+    try {
+      const convId = req.params.id;
+      if (!(await findOwnedConversation(req, res, convId))) return;
+
+      const target = await db.getMessageById(Number(req.params.messageId));
+      if (!target || target.conversation_id !== convId) {
+        return sendErr(res, 404, "message not found");
+      }
+
+      await db.activateMessage(target);
+      const messages = await db.getMessages(convId);
+      res.json({ conversation_id: convId, messages });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 查询领域拒答日志（需 rejections:read 权限），用于调整分类规则。支持 search / from / to 与分页
+router.get(
+  "/rejections",
+  auth.authMiddleware,
+  auth.requirePermission("rejections:read"),
+  async (req, res) => {
+    try {
+      const { search, from, to } = req.query;
+      const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from && !dateRe.test(from)) || (to && !dateRe.test(to))) {
+        return sendErr(res, 400, "from and to must be YYYY-MM-DD");
+      }
+      let page = Number(req.query.page);
+      if (isNaN(page) || page < 1) page = 1;
+      let pageSize = Number(req.query.pageSize);
+      if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+      pageSize = Math.min(pageSize, 100);
+
+      const result = await db.getDomainRejections({
+        search,
+        from,
+        to,
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      });
+      res.json({ items: result.items, total: result.total, page, pageSize });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 回答反馈审核队列（需 feedback:read 权限），默认列出待审核的差评，附带对应的问题与回复。
+// 支持 rating（up / down / all）、status（open / resolved / curated / all）、category、from / to 与分页
+router.get(
+  "/feedback",
+  auth.authMiddleware,
+  auth.requirePermission("feedback:read"),
+  async (req, res) => {
+    try {
+      const {
+        rating = "down",
+        status = "open",
+        category,
+        from,
+        to,
+      } = req.query;
+      if (rating !== "all" && !FEEDBACK_RATINGS.includes(rating)) {
+        return sendErr(res, 400, "rating must be up, down or all");
+      }
+      if (status !== "all" && !FEEDBACK_STATUSES.includes(status)) {
+        return sendErr(
+          res,
+          400,
+          "status must be open, resolved, curated or all",
+        );
+      }
+      if (category && !FEEDBACK_CATEGORIES.includes(category)) {
+        return sendErr(
+          res,
+          400,
+          `category must be one of ${FEEDBACK_CATEGORIES.join(", ")}`,
+        );
+      }
+      const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from && !dateRe.test(from)) || (to && !dateRe.test(to))) {
+        return sendErr(res, 400, "from and to must be YYYY-MM-DD");
+      }
+      let page = Number(req.query.page);
+      if (isNaN(page) || page < 1) page = 1;
+      let pageSize = Number(req.query.pageSize);
+      if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+      pageSize = Math.min(pageSize, 100);
+
+      const result = await db.getFeedbackList({
+        rating: rating === "all" ? null : rating,
+        status: status === "all" ? null : status,
+        category,
+        from,
+        to,
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      });
+      res.json({ items: result.items, total: result.total, page, pageSize });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 反馈详情（需 feedback:read 权限），附带对话中截至被评价回复的完整上下文
+router.get(
+  "/feedback/:feedbackId",
+  auth.authMiddleware,
+  auth.requirePermission("feedback:read"),
+  async (req, res) => {
+    try {
+      const feedback = await db.getFeedbackById(Number(req.params.feedbackId));
+      if (!feedback) return sendErr(res, 404, "feedback not found");
+
+      const messages = await db.getConversationMessages(
+        feedback.conversation_id,
+        null,
+        { leafId: feedback.message_id },
+      );
+      res.json({ ...feedback, messages });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// 将反馈标记为已处理（需 feedback:manage 权限），Body: { note }
+router.post(
+  "/feedback/:feedbackId/resolve",
+  auth.authMiddleware,
+  auth.requirePermission("feedback:manage"),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.feedbackId);
+      const feedback = await db.getFeedbackById(id);
+      if (!feedback) return sendErr(res, 404, "feedback not found");
+
+      const note = req.body.note ? String(req.body.note).slice(0, 500) : null;
+      const ok = await db.resolveFeedback(id, {
+        reviewerId: req.user.id,
+        note,
+      });
+      if (!ok) return sendErr(res, 409, "feedback already reviewed");
+      await audit.record(req, {
+        action: "feedback.resolve",
+        targetType: "feedback",
+        targetIds: [id],
+        changes: audit.diff(feedback, { status: "resolved" }, ["status"]),
+        details: { note },
+      });
+      res.json(await db.getFeedbackById(id));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+/**
+ * 将反馈整理为参考资料（需 feedback:manage 与 references:write 权限），之后的回答可检索到该资料
+ * Body: { title, content, source, alloyId, note }，title 默认为原问题，content 默认为用户的更正
+ */
+router.post(
+  "/feedback/:feedbackId/curate",
+  auth.authMiddleware,
+  auth.requirePermission("feedback:manage", "references:write"),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.feedbackId);
+      const feedback = await db.getFeedbackById(id);
+      if (!feedback) return sendErr(res, 404, "feedback not found");
+      if (feedback.status !== "open") {
+        return sendErr(res, 409, "feedback already reviewed");
+      }
+
+      const title =
+        req.body.title || (feedback.question || "").slice(0, 255) || null;
+      const content = req.body.content || feedback.correction;
+      if (!title || !content) {
+        return sendErr(res, 400, "title and content required");
+      }
+      const { alloyId } = req.body;
+      if (alloyId && !(await db.getAlloyById(alloyId))) {
+        return sendErr(res, 400, "alloy not found");
+      }
+
+      const note = req.body.note ? String(req.body.note).slice(0, 500) : null;
+      const passage = await db.curateFeedback(id, {
+        reviewerId: req.user.id,
+        note,
+        passage: {
+          title,
+          content,
+          source: req.body.source || `用户反馈 #${id}`,
+          alloyId,
+        },
+      });
+      if (!passage) return sendErr(res, 409, "feedback already reviewed");
+      retrieval.invalidate();
+      await audit.record(req, {
+        action: "feedback.curate",
+        targetType: "feedback",
+        targetIds: [id],
+        changes: audit.diff(feedback, { status: "curated" }, ["status"]),
+        details: { referenceId: passage.id, note },
+      });
+      res.status(201).json({
+        feedback: await db.getFeedbackById(id),
+        reference: passage,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
 // 获取会话列表（按 updated_at 排序，支持分页）
 router.get("/", auth.authMiddleware, async (req, res) => {
   try {
@@ -171,7 +886,25 @@ router.get("/", auth.authMiddleware, async (req, res) => {
     let pageSize = Number(req.query.pageSize);
     if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
     pageSize = Math.min(pageSize, 100);
-    const result = await db.listConversations(userId, page, pageSize);
+
+    // ?archived=true|false|all（默认 false）、?pinned=true|false、?tag=xxx
+    const filters = {};
+    const { archived, pinned, tag } = req.query;
+    if (archived !== undefined) {
+      if (!["true", "false", "all"].includes(archived)) {
+        return sendErr(res, 400, "archived must be true, false or all");
+      }
+      filters.archived = archived === "all" ? "all" : archived === "true";
+    }
+    if (pinned !== undefined) {
+      if (!["true", "false"].includes(pinned)) {
+        return sendErr(res, 400, "pinned must be true or false");
+      }
+      filters.pinned = pinned === "true";
+    }
+    if (tag) filters.tag = String(tag).trim();
+
+    const result = await db.listConversations(userId, page, pageSize, filters);
     res.json({ items: result.items, total: result.total, page, pageSize });
   } catch (err) {
     console.error(err);
@@ -179,22 +912,137 @@ router.get("/", auth.authMiddleware, async (req, res) => {
   }
 });
 
-// 获取单个对话的消息，按时间顺序排列。可选 ?limit=10 返回最近 N 条（按 time asc）
+// 全文检索当前用户的对话历史：?q=关键词（空格分隔，需全部命中），支持 page / pageSize。
+// 每个结果返回高亮后的标题与命中消息片段（<mark> 标记，其余内容已转义）及全部命中的消息ID
+const SNIPPETS_PER_CONVERSATION = 3;
+
+router.get("/search", auth.authMiddleware, async (req, res) => {
+  try {
+    const { terms, booleanQuery } = search.parseQuery(req.query.q);
+    if (terms.length === 0) {
+      return sendErr(
+        res,
+        400,
+        "q must contain a term of at least 2 characters",
+      );
+    }
+
+    let page = Number(req.query.page);
+    if (isNaN(page) || page < 1) page = 1;
+
+    let pageSize = Number(req.query.pageSize);
+    if (isNaN(pageSize) || pageSize < 1) pageSize = 20;
+    pageSize = Math.min(pageSize, 100);
+
+    const result = await db.searchConversations(
+      req.user.id,
+      booleanQuery,
+      page,
+      pageSize,
+    );
+    const items = result.items.map(({ matches, ...conversation }) => ({
+      ...conversation,
+      title_highlight: search.highlight(conversation.title, terms, {
+        radius: 0,
+      }),
+      message_ids: matches.map((m) => m.message_id),
+      snippets: matches.slice(0, SNIPPETS_PER_CONVERSATION).map((m) => ({
+        message_id: m.message_id,
+        role: m.role,
+        created_at: m.created_at,
+        snippet: search.highlight(m.content, terms),
+      })),
+    }));
+    res.json({ items, total: result.total, page, pageSize });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 当前用户使用过的全部标签及对应的对话数
+router.get("/tags", auth.authMiddleware, async (req, res) => {
+  try {
+    const tags = await db.listConversationTags(req.user.id);
+    res.json({ items: tags });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// 校验 PATCH /:id 的请求体，返回 { error } 或 { data }
+function validateConversationPatch(body = {}) {
+  const data = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "title must be a non-empty string" };
+    }
+    if (body.title.trim().length > 255) {
+      return { error: "title must be at most 255 characters" };
+    }
+    data.title = body.title.trim();
+  }
+  for (const key of ["pinned", "archived"]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== "boolean") {
+      return { error: `${key} must be a boolean` };
+    }
+    data[key] = body[key];
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) return { error: "tags must be an array" };
+    const tags = [];
+    for (const tag of body.tags) {
+      if (typeof tag !== "string" || !tag.trim()) {
+        return { error: "tags must be non-empty strings" };
+      }
+      if (tag.trim().length > MAX_TAG_LENGTH) {
+        return { error: `tags must be at most ${MAX_TAG_LENGTH} characters` };
+      }
+      // 标签列使用不区分大小写的排序规则，"Brass" 与 "brass" 视为同一标签，保留先出现的写法
+      const key = tag.trim().toLowerCase();
+      if (!tags.some((t) => t.toLowerCase() === key)) tags.push(tag.trim());
+    }
+    if (tags.length > MAX_TAGS) {
+      return { error: `at most ${MAX_TAGS} tags are allowed` };
+    }
+    data.tags = tags;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: "nothing to update" };
+  }
+  return { data };
+}
+
+// 重命名、置顶、归档对话或设置标签，Body: { title?, pinned?, archived?, tags? }
+router.patch("/:id", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const { error, data } = validateConversationPatch(req.body);
+    if (error) return sendErr(res, 400, error);
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const conversation = await db.updateConversation(convId, data);
+    res.json(conversation);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 获取单个对话当前激活分支上的消息，按时间顺序排列，每条消息附带其兄弟版本 versions。
+// 可选 ?limit=10 返回最近 N 条（按 time asc）
 router.get("/:id/messages", auth.authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
     const convId = req.params.id;
     const limit = req.query.limit ? Number(req.query.limit) : null;
 
     // 验证所有权
-    const pool = db._pool();
-    const [rows] = await pool.execute(
-      "SELECT user_id FROM conversations WHERE conversation_id = ?",
-      [convId],
-    );
-    if (!rows || rows.length === 0)
-      return sendErr(res, 404, "conversation not found");
-    if (rows[0].user_id !== userId) return sendErr(res, 403, "forbidden");
+    if (!(await findOwnedConversation(req, res, convId))) return;
 
     const messages = await db.getMessages(convId, limit ? limit : null);
     res.json({ conversation_id: convId, messages });
@@ -204,6 +1052,256 @@ router.get("/:id/messages", auth.authMiddleware, async (req, res) => {
   }
 });
 
+// 批量导出当前用户的全部对话为 zip：?format=md|html|pdf|json（默认 md），每个对话一个文件
+router.get("/export", auth.authMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format || "md";
+    if (!Object.hasOwn(exporter.FORMATS, format)) {
+      return sendErr(res, 400, "format must be one of md, html, pdf, json");
+    }
+
+    const conversations = await db.getAllConversations(req.user.id);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (err) => {
+      console.error("Export archive error:", err);
+      res.destroy(err);
+    });
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      exporter.contentDisposition(`conversations-${format}.zip`),
+    );
+    archive.pipe(res);
+
+    const exportedAt = new Date();
+    for (const [i, conversation] of conversations.entries()) {
+      const messages = await db.getMessages(conversation.conversation_id);
+      const file = await exporter.renderConversation(
+        conversation,
+        messages,
+        format,
+        { exportedAt },
+      );
+      // 文件名加序号前缀，避免同名标题互相覆盖
+      const prefix = String(i + 1).padStart(3, "0");
+      archive.append(file.body, { name: `${prefix}-${file.filename}` });
+    }
+    await archive.finalize();
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) res.status(500).json({ error: "internal error" });
+    else res.destroy(err);
+  }
+});
+
+// 导入对话：请求体为本系统的 JSON 导出（单个或数组）或 ChatGPT 风格的 conversations.json。
+// 全部对话在同一事务中创建，返回每个对话的导入/跳过报告
+router.post("/import", auth.authMiddleware, async (req, res) => {
+  try {
+    const parsed = importer.parseImport(req.body);
+    if (parsed.error) return sendErr(res, 400, parsed.error);
+
+    const accepted = parsed.entries.filter((e) => e.conversation);
+    const ids = await db.importConversations(
+      req.user.id,
+      accepted.map((e) => e.conversation),
+    );
+
+    let next = 0;
+    const items = parsed.entries.map((entry, index) => {
+      const base = {
+        index,
+        title: entry.conversation
+          ? entry.conversation.title
+          : entry.sourceTitle,
+        skipped_messages: entry.skippedMessages,
+        truncated_messages: entry.truncatedMessages,
+        invalid_dates: entry.invalidDates,
+      };
+      if (!entry.conversation) {
+        return { ...base, status: "skipped", reason: entry.reason };
+      }
+      return {
+        ...base,
+        status: "imported",
+        conversation_id: ids[next++],
+        messages: entry.conversation.messages.length,
+      };
+    });
+    res.json({
+      format: parsed.format,
+      imported: accepted.length,
+      skipped: items.length - accepted.length,
+      items,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 导出单个对话（当前激活分支）：?format=md|html|pdf|json（默认 md）
+router.get("/:id/export", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const format = req.query.format || "md";
+    if (!Object.hasOwn(exporter.FORMATS, format)) {
+      return sendErr(res, 400, "format must be one of md, html, pdf, json");
+    }
+
+    // 验证所有权
+    const conversation = await findOwnedConversation(req, res, convId);
+    if (!conversation) return;
+
+    const messages = await db.getMessages(convId);
+    const file = await exporter.renderConversation(
+      conversation,
+      messages,
+      format,
+    );
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      exporter.contentDisposition(file.filename),
+    );
+    res.send(file.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+const MAX_SHARE_HOURS = 24 * 365;
+
+// 创建只读分享链接，Body: { expires_in_hours?, include_later? }。
+// include_later 为 false（默认）时，分享只包含创建时激活分支上的消息
+router.post("/:id/share", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const { expires_in_hours, include_later = false } = req.body || {};
+    if (typeof include_later !== "boolean") {
+      return sendErr(res, 400, "include_later must be a boolean");
+    }
+    let expiresAt = null;
+    if (expires_in_hours !== undefined && expires_in_hours !== null) {
+      const hours = Number(expires_in_hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SHARE_HOURS) {
+        return sendErr(
+          res,
+          400,
+          `expires_in_hours must be between 0 and ${MAX_SHARE_HOURS}`,
+        );
+      }
+      expiresAt = new Date(Date.now() + hours * 3600 * 1000);
+    }
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const share = await db.createShare(convId, req.user.id, {
+      includeLater: include_later,
+      expiresAt,
+    });
+    res.status(201).json({ ...share, path: `/shared/${share.token}` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 列出对话的全部分享（包括已撤销与已过期的）
+router.get("/:id/shares", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const shares = await db.listShares(convId);
+    res.json({ items: shares });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 撤销分享，撤销后的链接不可再访问
+router.delete("/:id/shares/:shareId", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const shareId = Number(req.params.shareId);
+    if (!Number.isInteger(shareId) || shareId < 1) {
+      return sendErr(res, 404, "share not found or already revoked");
+    }
+    const ok = await db.revokeShare(shareId, convId);
+    if (!ok) return sendErr(res, 404, "share not found or already revoked");
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+const MAX_FACTS = 20;
+const MAX_FACT_LENGTH = 500;
+
+// 列出对话的固定信息（每轮回答都会提供给模型）
+router.get("/:id/facts", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const facts = await db.getConversationFacts(convId);
+    res.json({ items: facts });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 添加固定信息，Body: { content: "选用 C17200，固溶态，工作温度不超过 200℃" }
+router.post("/:id/facts", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    const content =
+      typeof req.body.content === "string" ? req.body.content.trim() : "";
+    if (!content) return sendErr(res, 400, "content required");
+    if (content.length > MAX_FACT_LENGTH) {
+      return sendErr(
+        res,
+        400,
+        `content must be at most ${MAX_FACT_LENGTH} characters`,
+      );
+    }
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const facts = await db.getConversationFacts(convId);
+    if (facts.length >= MAX_FACTS) {
+      return sendErr(res, 400, `at most ${MAX_FACTS} facts are allowed`);
+    }
+    const fact = await db.addConversationFact(convId, content);
+    res.status(201).json(fact);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+router.delete("/:id/facts/:factId", auth.authMiddleware, async (req, res) => {
+  try {
+    const convId = req.params.id;
+    if (!(await findOwnedConversation(req, res, convId))) return;
+
+    const ok = await db.deleteConversationFact(
+      Number(req.params.factId),
+      convId,
+    );
+    if (!ok) return sendErr(res, 404, "fact not found");
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
 // 删除对话（级联删除消息）
 router.delete("/:id", auth.authMiddleware, async (req, res) => {
   try {
@@ -0,0 +1,60 @@
+const express = require("express");
+const db = require("../db");
+const auth = require("./auth");
+const router = express.Router();
+
+const sendErr = (res, status, msg) => res.status(status).json({ error: msg });
+
+// 按令牌取分享快照，失败时直接返回错误响应并返回 null
+async function findSnapshot(res, token) {
+  const result = await db.getSharedSnapshot(token);
+  if (!result) {
+    sendErr(res, 404, "share not found");
+    return null;
+  }
+  if (!result.snapshot) {
+    sendErr(res, 410, "share revoked or expired");
+    return null;
+  }
+  return result.snapshot;
+}
+
+// 公开查看分享的对话（无需登录），只返回标题、时间、消息角色、内容与引用
+router.get("/:token", async (req, res) => {
+  try {
+    const snapshot = await findSnapshot(res, req.params.token);
+    if (!snapshot) return;
+    res.json(snapshot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// 将分享的对话复制为当前用户的新对话
+router.post("/:token/import", auth.authMiddleware, async (req, res) => {
+  try {
+    const snapshot = await findSnapshot(res, req.params.token);
+    if (!snapshot) return;
+    if (snapshot.messages.length === 0) {
+      return sendErr(res, 400, "shared conversation has no messages");
+    }
+
+    const [conversationId] = await db.importConversations(req.user.id, [
+      {
+        title: snapshot.title,
+        messages: snapshot.messages,
+      },
+    ]);
+    res.status(201).json({
+      conversation_id: conversationId,
+      title: snapshot.title,
+      messages: snapshot.messages.length,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const db = require("../db");
+const audit = require("./audit");
+
+/**
+ * 账号注销：用户申请后进入宽限期，期间重新登录即撤销申请；
+ * 宽限期结束后由定时任务彻底删除账号及其个人数据
+ * 环境变量：
+ * - ACCOUNT_DELETION_GRACE_DAYS 宽限期（天，默认 14）
+ * - ACCOUNT_PURGE_INTERVAL_MINUTES 定时任务的执行间隔（分钟，默认 60）
+ */
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const PURGE_INTERVAL_MINUTES =
+  Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+// 定时任务写审计日志时使用的操作者（无登录用户）
+const SYSTEM_REQUEST = { user: null, ip: null };
+
+/**
+ * 申请注销，返回计划删除时间
+ * @returns {Promise<Date>}
+ */
+async function schedule(userId) {
+  const deleteAt = new Date(Date.now() + GRACE_DAYS * 24 * 3600 * 1000);
+  await db.scheduleUserDeletion(userId, deleteAt);
+  return deleteAt;
+}
+
+/**
+ * 删除宽限期已结束的账号，单个账号失败不影响其他账号
+ * @returns {Promise<number>} 删除的账号数
+ */
+async function purgeDue() {
+  const users = await db.getUsersDueForDeletion();
+  let purged = 0;
+  for (const user of users) {
+    try {
+      if (!(await db.purgeUser(user.id))) continue;
+      purged++;
+      await audit.record(SYSTEM_REQUEST, {
+        action: "user.purge",
+        targetType: "user",
+        targetIds: [user.id],
+        details: { deletionScheduledAt: user.deletion_scheduled_at },
+      });
+    } catch (err) {
+      console.error("Account Purge Error:", err);
+    }
+  }
+  return purged;
+}
+
+let timer = null;
+
+// 启动定时删除任务（启动时先执行一次）
+function startPurgeJob() {
+  if (timer) return;
+  const run = () =>
+    purgeDue().catch((err) => console.error("Account Purge Error:", err));
+  run();
+  timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+module.exports = { GRACE_DAYS, schedule, purgeDue, startPurgeJob };
@@ -0,0 +1,53 @@
+const { createHash, randomBytes } = require("crypto");
+const db = require("../db");
+
+/**
+ * 邮箱验证、修改邮箱与重置密码使用的一次性令牌：随机生成，数据库只保存 SHA-256，
+ * 使用一次或过期后失效；为同一用户签发新令牌时，同用途的旧令牌作废
+ * - EMAIL_VERIFICATION_TTL_HOURS 验证链接（含修改邮箱的确认链接）有效期（小时，默认 24）
+ * - PASSWORD_RESET_TTL_MINUTES 重置链接有效期（分钟，默认 60）
+ */
+const VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const TTL_MS = {
+  verify_email: VERIFICATION_TTL_HOURS * 3600 * 1000,
+  change_email: VERIFICATION_TTL_HOURS * 3600 * 1000,
+  reset_password: RESET_TTL_MINUTES * 60 * 1000,
+};
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+/**
+ * 签发令牌
+ * @param {number} userId
+ * @param {string} purpose - verify_email / change_email / reset_password
+ * @returns {Promise<string>} 发送给用户的原始令牌
+ */
+async function issue(userId, purpose) {
+  const token = randomBytes(32).toString("base64url");
+  await db.createUserToken({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[purpose]),
+  });
+  return token;
+}
+
+/**
+ * 使用令牌
+ * @returns {Promise<number|null>} 令牌所属的用户ID，无效、已使用或已过期时返回 null
+ */
+async function consume(purpose, token) {
+  if (typeof token !== "string" || !token) return null;
+  return db.consumeUserToken(purpose, hashToken(token));
+}
+
+module.exports = {
+  VERIFICATION_TTL_HOURS,
+  RESET_TTL_MINUTES,
+  issue,
+  consume,
+};
@@ -0,0 +1,65 @@
+const db = require("../db");
+
+/**
+ * 管理操作审计：记录操作者、操作、对象、字段变更、来源 IP 与时间，写入只追加的 audit_log 表。
+ * 密码等敏感字段只记录“已修改”，不保存取值
+ */
+const SENSITIVE_FIELDS = ["password"];
+const REDACTED = "[redacted]";
+
+/**
+ * 计算字段变更
+ * @param {Object|null} before - 修改前（新建时为 null）
+ * @param {Object|null} after - 修改后（删除时为 null）
+ * @param {Array<string>} fields - 需要比较的字段
+ * @returns {Object|null} { 字段: { before, after } }，没有变更时返回 null
+ */
+function diff(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (newValue === undefined && after) continue;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+    changes[field] = SENSITIVE_FIELDS.includes(field)
+      ? { before: REDACTED, after: REDACTED }
+      : {
+          before: oldValue === undefined ? null : oldValue,
+          after: newValue === undefined ? null : newValue,
+        };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * 记录一次管理操作，写入失败只记录日志，不影响操作本身
+ * @param {Object} req - 取操作者（req.user）与来源 IP
+ * @param {Object} entry
+ * @param {string} entry.action - 操作，如 user.update
+ * @param {string} [entry.targetType] - 对象类型，如 user
+ * @param {Array} [entry.targetIds] - 对象ID列表
+ * @param {Object} [entry.changes] - diff 的结果
+ * @param {Object} [entry.details] - 其他信息
+ */
+async function record(
+  req,
+  { action, targetType, targetIds, changes, details },
+) {
+  try {
+    await db.appendAuditLog({
+      actorId: req.user ? req.user.id : null,
+      action,
+      targetType,
+      targetIds: (targetIds || []).filter(
+        (id) => id !== null && id !== undefined,
+      ),
+      changes,
+      details,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error("Audit Log Error:", err);
+  }
+}
+
+module.exports = { diff, record };
@@ -0,0 +1,72 @@
+const {
+  keywordStage,
+  createHistoryStage,
+  createLlmJudgeStage,
+} = require("./stages");
+
+/**
+ * 领域分类器：依次执行各阶段，后执行的阶段可在前一阶段结果的基础上修正置信度，
+ * 最终置信度达到阈值即判定为铜及铜合金相关问题
+ * @param {Object} options
+ * @param {Array} options.stages - 分类阶段列表（见 stages.js 中的约定）
+ * @param {number} options.threshold - 判定阈值
+ */
+function createClassifier({ stages, threshold = 0.5 }) {
+  /**
+   * @param {Object} input
+   * @param {string} input.question - 当前问题
+   * @param {Array} input.history - 之前的消息（{ role, content }，老 -> 新）
+   * @param {Function} [input.onUsage] - 调用大模型的阶段回传 token 用量
+   * @returns {Promise<{allowed: boolean, confidence: number, reason: string, stage: string, matches: string[]}>}
+   */
+  async function classify({ question, history = [], onUsage }) {
+    const ctx = { question, history, threshold, onUsage };
+    let current = { confidence: 0, reason: "empty question", matches: [] };
+    let stageName = null;
+
+    for (const stage of stages) {
+      if (stage.shouldRun && !stage.shouldRun(ctx, current)) continue;
+      let out;
+      try {
+        out = await stage.run(ctx, current);
+      } catch (err) {
+        console.error(`Classifier stage ${stage.name} error:`, err);
+        continue;
+      }
+      if (!out) continue;
+      current = { ...current, ...out };
+      stageName = stage.name;
+      if (out.final) break;
+    }
+
+    return {
+      allowed: current.confidence >= threshold,
+      confidence: Number(current.confidence.toFixed(3)),
+      reason: current.reason,
+      stage: stageName,
+      matches: current.matches || [],
+    };
+  }
+
+  return { classify, stages, threshold };
+}
+
+// 默认分类器：关键词 + 上下文，设置 CLASSIFIER_LLM_JUDGE=true 时追加大模型判定阶段
+const defaultStages = [keywordStage, createHistoryStage()];
+if (process.env.CLASSIFIER_LLM_JUDGE === "true") {
+  defaultStages.push(
+    createLlmJudgeStage({ provider: process.env.CLASSIFIER_LLM_PROVIDER }),
+  );
+}
+const defaultClassifier = createClassifier({
+  stages: defaultStages,
+  threshold: Number(process.env.CLASSIFIER_THRESHOLD) || 0.5,
+});
+
+module.exports = {
+  createClassifier,
+  keywordStage,
+  createHistoryStage,
+  createLlmJudgeStage,
+  classify: defaultClassifier.classify,
+};
@@ -0,0 +1,139 @@
+const vocabulary = require("./vocabulary");
+
+// 解析环境变量中追加的词表，格式："词1:权重,词2:权重"，便于管理员根据拒答日志调整
+function parseExtraTerms(raw) {
+  if (!raw) return [];
+  return raw
+    .split(",")
+    .map((item) => {
+      const [term, weight] = item.split(":");
+      return { term: (term || "").trim(), weight: Number(weight) || 1 };
+    })
+    .filter((t) => t.term);
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// 英文词按单词边界匹配，中文词按子串匹配
+function compileTerm({ term, weight }) {
+  const lower = term.toLowerCase();
+  const re = /^[a-z0-9 .+-]+$/.test(lower)
+    ? new RegExp(`(?<![a-z])${escapeRe(lower)}(?![a-z])`)
+    : null;
+  return {
+    name: term,
+    weight,
+    test: (text) => (re ? re.test(text) : text.includes(lower)),
+  };
+}
+
+const matchers = [
+  ...vocabulary.terms,
+  ...parseExtraTerms(process.env.CLASSIFIER_EXTRA_TERMS),
+].map(compileTerm);
+
+/**
+ * 按领域词表为文本打分
+ * @returns {{score: number, confidence: number, matches: string[]}}
+ */
+function scoreText(text) {
+  if (!text || typeof text !== "string") {
+    return { score: 0, confidence: 0, matches: [] };
+  }
+  const lower = text.toLowerCase();
+  const matches = [];
+  let score = 0;
+  for (const m of matchers) {
+    if (m.test(lower)) {
+      score += m.weight;
+      matches.push(m.name);
+    }
+  }
+  // 牌号正则需区分大小写（如 H62 与 h62 含义不同），在原文上匹配
+  const ambiguous = [];
+  for (const p of vocabulary.patterns) {
+    const found = text.match(p.re);
+    if (!found) continue;
+    matches.push(found[0]);
+    if (p.ambiguous) ambiguous.push(p);
+    else score += p.weight;
+  }
+  // 易与其他领域混淆的牌号只有在出现其他领域词时才按原权重计分
+  const corroborated = score > 0;
+  for (const p of ambiguous) {
+    score += corroborated ? p.weight : vocabulary.AMBIGUOUS_WEIGHT;
+  }
+  return { score, confidence: scoreToConfidence(score), matches };
+}
+
+// 将累计权重映射为 0~1 的置信度：权重 2 约为 0.55，权重 3 约为 0.7
+function scoreToConfidence(score) {
+  return 1 - Math.exp(-score / 2.5);
+}
+
+// 英文代词只在不超过该词数的短问题中视为指代上文
+const MAX_ANAPHORA_WORDS = 8;
+
+const isEnglish = (marker) => /^[a-z ]+$/.test(marker);
+
+// 去掉首尾空白与标点，便于判断标记词是否位于句首、句尾
+const trimPunctuation = (text) => text.replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, "");
+
+// 用于判断两句话是否有共同词语：英文取 3 个字母以上的词，中文取二元组
+function contentTokens(text) {
+  const tokens = new Set(text.match(/[a-z0-9][a-z0-9.-]{2,}/g) || []);
+  for (const seq of text.match(/[一-鿿]+/g) || []) {
+    const chars = Array.from(seq);
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.add(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+// 去掉标记词后与上一问是否仍有共同词语
+function sharesVocabulary(text, marker, previous) {
+  if (!previous) return false;
+  const before = contentTokens(previous.toLowerCase());
+  const rest = contentTokens(text.slice(marker.length));
+  for (const token of rest) {
+    if (before.has(token)) return true;
+  }
+  return false;
+}
+
+/**
+ * 判断问题是否像是承接上文的追问
+ * @param {string} text - 当前问题
+ * @param {string} [previous] - 上一个用户问题，用于判断承接词后的内容是否延续上文
+ */
+function isFollowUp(text, previous) {
+  if (!text) return false;
+  const lower = trimPunctuation(text.toLowerCase());
+  const words = lower.match(/[a-z]+/g) || [];
+  const { anaphora, continuations, endings } = vocabulary.followUpMarkers;
+
+  const hasAnaphora = anaphora.some((marker) =>
+    isEnglish(marker)
+      ? words.length <= MAX_ANAPHORA_WORDS &&
+        new RegExp(`(?<![a-z])${marker}(?![a-z])`).test(lower)
+      : lower.includes(marker),
+  );
+  if (hasAnaphora) return true;
+
+  const leading = continuations.find((marker) =>
+    isEnglish(marker)
+      ? new RegExp(`^${marker}(?![a-z])`).test(lower)
+      : lower.startsWith(marker),
+  );
+  if (leading !== undefined) {
+    return sharesVocabulary(lower, leading, previous);
+  }
+  const trailing = endings.find((marker) => lower.endsWith(marker));
+  if (trailing !== undefined) {
+    return sharesVocabulary(lower.slice(0, -trailing.length), "", previous);
+  }
+  return false;
+}
+
+module.exports = { scoreText, scoreToConfidence, isFollowUp };
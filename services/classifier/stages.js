@@ -0,0 +1,119 @@
+const openaiService = require("../../openai.js");
+const { scoreText, isFollowUp } = require("./rules");
+
+/**
+ * 分类阶段（stage）约定：
+ * - name：阶段名称，会记录在结果与拒答日志中
+ * - shouldRun(ctx, current)：可选，根据当前结果决定是否执行
+ * - run(ctx, current)：返回 { confidence, reason, matches?, final? }，返回 null 表示不表态
+ */
+
+// 关键词阶段：仅根据当前问题的领域词与牌号打分
+const keywordStage = {
+  name: "keywords",
+  run(ctx) {
+    const { confidence, matches } = scoreText(ctx.question);
+    return {
+      confidence,
+      matches,
+      reason:
+        matches.length > 0
+          ? `matched domain terms: ${matches.join(", ")}`
+          : "no domain terms in question",
+    };
+  },
+};
+
+/**
+ * 上下文阶段：当前问题置信度不足时，参考最近几轮用户提问。
+ * 上文明确在讨论铜合金、且当前问题是追问时，继承上文的领域置信度
+ */
+function createHistoryStage({ turns = 3, decay = 0.7 } = {}) {
+  return {
+    name: "history",
+    shouldRun: (ctx, current) =>
+      current.confidence < ctx.threshold && ctx.history.length > 0,
+    run(ctx, current) {
+      const questions = ctx.history
+        .filter((m) => m.role === "user")
+        .slice(-turns)
+        .reverse();
+      let historyConfidence = 0;
+      questions.forEach((m, i) => {
+        const c = scoreText(m.content).confidence * Math.pow(decay, i);
+        if (c > historyConfidence) historyConfidence = c;
+      });
+      if (historyConfidence === 0) return null;
+
+      // 追问或带有部分领域词的问题更多地继承上文，其余问题只少量继承
+      const followUp = isFollowUp(
+        ctx.question,
+        questions[0] && questions[0].content,
+      );
+      const factor = followUp || current.confidence > 0 ? 0.85 : 0.3;
+      const confidence =
+        current.confidence +
+        (1 - current.confidence) * historyConfidence * factor;
+      return {
+        confidence,
+        reason: `${followUp ? "follow-up" : "question"} in a conversation on copper alloys (history confidence ${historyConfidence.toFixed(2)})`,
+      };
+    },
+  };
+}
+
+const JUDGE_PROMPT = `你是一个问题分类器，负责判断用户最新的问题是否属于铜及铜合金材料领域，
+包括牌号、化学成分、物理与力学性能、加工与热处理工艺、腐蚀、选材与应用等。
+请结合对话上下文理解追问（例如“那它的退火温度呢？”）。
+只输出 JSON，不要输出其他内容：{"on_topic": true 或 false, "confidence": 0 到 1 之间的小数, "reason": "简短理由"}`;
+
+/**
+ * 大模型判定阶段：对规则难以判断的问题，让模型结合上下文给出结论，结果为最终结论
+ * @param {Object} options
+ * @param {number} options.min - 当前置信度低于该值时不再调用（明显无关）
+ * @param {number} options.max - 当前置信度高于该值时不再调用（明显相关）
+ */
+function createLlmJudgeStage({ min = 0.1, max = 0.85, provider } = {}) {
+  return {
+    name: "llm-judge",
+    shouldRun: (ctx, current) =>
+      current.confidence >= min && current.confidence < max,
+    async run(ctx) {
+      const context = ctx.history
+        .slice(-4)
+        .map(
+          (m) =>
+            `${m.role === "user" ? "用户" : "助理"}：${m.content.slice(0, 200)}`,
+        )
+        .join("\n");
+      const reply = await openaiService.getChatCompletion(
+        [
+          { role: "system", content: JUDGE_PROMPT },
+          {
+            role: "user",
+            content: `对话上下文：\n${context || "（无）"}\n\n最新问题：${ctx.question}`,
+          },
+        ],
+        {
+          provider,
+          temperature: 0.01,
+          max_tokens: 100,
+          onUsage: ctx.onUsage,
+        },
+      );
+      const json = reply.match(/\{[\s\S]*\}/);
+      if (!json) return null;
+      const verdict = JSON.parse(json[0]);
+      if (typeof verdict.on_topic !== "boolean") return null;
+      const c = Math.min(Math.max(Number(verdict.confidence) || 0.5, 0), 1);
+      return {
+        // 统一换算为“属于本领域”的置信度
+        confidence: verdict.on_topic ? Math.max(c, 0.5) : Math.min(1 - c, 0.49),
+        reason: `llm judge: ${verdict.reason || (verdict.on_topic ? "on topic" : "off topic")}`,
+        final: true,
+      };
+    },
+  };
+}
+
+module.exports = { keywordStage, createHistoryStage, createLlmJudgeStage };
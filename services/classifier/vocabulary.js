@@ -0,0 +1,140 @@
+/**
+ * 铜及铜合金领域词表
+ * - terms：中文词按子串匹配；英文词按单词边界匹配，避免 "cu" 命中 "cucumber"、"accuracy"
+ * - patterns：常见牌号的正则（H62、C17200、QSn6.5-0.1、BFe10-1-1、T2 等）；
+ *   ambiguous 的牌号（B12、T2 等）也常见于其他领域（维生素 B12、T2 加权像），问题中没有其他领域词时
+ *   只按 AMBIGUOUS_WEIGHT 计分，单独出现不足以判定，需结合领域词或上文
+ * - weight 越大表示越能说明问题属于本领域；通用的材料学术语权重较低，单独出现不足以判定
+ */
+const terms = [
+  // 领域核心词
+  { term: "铜合金", weight: 3 },
+  { term: "黄铜", weight: 3 },
+  { term: "青铜", weight: 3 },
+  { term: "白铜", weight: 3 },
+  { term: "紫铜", weight: 3 },
+  { term: "铍铜", weight: 3 },
+  { term: "磷铜", weight: 3 },
+  { term: "铜镍", weight: 3 },
+  { term: "铜锌", weight: 3 },
+  { term: "铜锡", weight: 3 },
+  { term: "铜材", weight: 3 },
+  { term: "铜基", weight: 3 },
+  { term: "无氧铜", weight: 3 },
+  { term: "铜", weight: 2 },
+  { term: "copper", weight: 3 },
+  { term: "brass", weight: 3 },
+  { term: "bronze", weight: 3 },
+  { term: "cupronickel", weight: 3 },
+  { term: "beryllium copper", weight: 3 },
+  { term: "cu", weight: 1.5 },
+  // 合金元素与材料学术语
+  { term: "锌", weight: 0.8 },
+  { term: "锡", weight: 0.8 },
+  { term: "铍", weight: 1 },
+  { term: "合金", weight: 1 },
+  { term: "牌号", weight: 1 },
+  { term: "退火", weight: 0.8 },
+  { term: "时效", weight: 0.8 },
+  { term: "固溶", weight: 0.8 },
+  { term: "热处理", weight: 0.8 },
+  { term: "冷加工", weight: 0.8 },
+  { term: "再结晶", weight: 0.8 },
+  { term: "抗拉强度", weight: 0.8 },
+  { term: "屈服强度", weight: 0.8 },
+  { term: "伸长率", weight: 0.8 },
+  { term: "硬度", weight: 0.5 },
+  { term: "电导率", weight: 0.8 },
+  { term: "导电率", weight: 0.8 },
+  { term: "热导率", weight: 0.8 },
+  { term: "应力松弛", weight: 0.8 },
+  { term: "脱锌", weight: 2 },
+  { term: "金相", weight: 0.8 },
+  { term: "iacs", weight: 1.5 },
+  { term: "alloy", weight: 1 },
+  { term: "annealing", weight: 0.8 },
+  { term: "tensile strength", weight: 0.8 },
+  { term: "yield strength", weight: 0.8 },
+  { term: "temper", weight: 0.8 },
+];
+
+const patterns = [
+  // 普通黄铜 / 特殊黄铜，如 H62、HPb59-1、HSn70-1
+  {
+    name: "brass grade",
+    re: /\bH(?:Pb|Sn|Al|Mn|Ni|Si|Fe)?\d{2}(?:-\d+(?:\.\d+)?)*\b/,
+    weight: 3,
+  },
+  // UNS 编号，如 C26000、C17200
+  { name: "UNS grade", re: /\bC[1-9]\d{4}\b/i, weight: 3 },
+  // 青铜，如 QSn6.5-0.1、QAl9-4、QBe2
+  { name: "bronze grade", re: /\bQ(?:Sn|Al|Be|Si|Mn|Cr|Zr|Cd)\d/i, weight: 3 },
+  // 白铜，如 BFe10-1-1、BZn15-20；不带元素的 B30 另见下方
+  {
+    name: "cupronickel grade",
+    re: /\bB(?:Fe|Zn|Mn|Al)\d{1,2}(?:-\d+)*\b/,
+    weight: 2.5,
+  },
+  // 普通白铜，如 B10、B30（易与维生素 B12 等混淆）
+  {
+    name: "plain cupronickel grade",
+    re: /\bB\d{1,2}(?:-\d+)*\b/,
+    weight: 2.5,
+    ambiguous: true,
+  },
+  // 无氧铜 / 磷脱氧铜，如 TU1、TP2
+  { name: "oxygen-free copper grade", re: /\bT[UP][1-4]\b/, weight: 2 },
+  // 纯铜，如 T2（易与 T2 加权像等混淆）
+  {
+    name: "pure copper grade",
+    re: /\bT[1-4]\b/,
+    weight: 2,
+    ambiguous: true,
+  },
+  // 欧标牌号，如 CuZn37、CuSn6、CuBe2
+  { name: "EN grade", re: /\bCu[A-Z][a-z]?\d/, weight: 3 },
+];
+
+// ambiguous 牌号单独出现时的权重（置信度约 0.33，低于默认阈值）
+const AMBIGUOUS_WEIGHT = 1;
+
+// 追问的特征，常见于“那它的退火温度呢？”这类问题
+// - anaphora：指代上文对象的代词，英文代词只在短问题中计入（长句中的 it / this 多为泛指）
+// - continuations：承接上文的连接词，只在位于句首（“呢”在句尾）且问题与上一问有共同词语时计入，
+//   避免 "what about pizza" 这类换话题的问题继承上文
+const followUpMarkers = {
+  anaphora: [
+    "它",
+    "它们",
+    "这个",
+    "这种",
+    "那个",
+    "那种",
+    "该合金",
+    "该牌号",
+    "上述",
+    "前面",
+    "刚才",
+    "it",
+    "its",
+    "this",
+    "that",
+    "those",
+    "them",
+  ],
+  continuations: [
+    "那么",
+    "那",
+    "还有",
+    "如果",
+    "换成",
+    "对比",
+    "what about",
+    "how about",
+    "and",
+  ],
+  // 句尾的语气词
+  endings: ["呢"],
+};
+
+module.exports = { terms, patterns, AMBIGUOUS_WEIGHT, followUpMarkers };
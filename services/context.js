@@ -0,0 +1,166 @@
+const db = require("../db");
+const openaiService = require("../openai");
+const {
+  estimateTokens,
+  estimateMessageTokens,
+  truncateToTokens,
+} = require("./tokens");
+
+/**
+ * 按 token 预算构建模型上下文
+ * - system 消息：基础提示（含检索到的参考资料）+ 对话固定信息 + 较早内容的滚动摘要
+ * - 历史消息：从最近一条向前尽量放入，超出预算的较早消息由摘要覆盖
+ * - 放不下且未被摘要覆盖的消息会在后台交给模型更新摘要，下一轮起生效
+ * 环境变量：
+ * - CONTEXT_MAX_TOKENS 输入上下文的总预算（默认 8000，需为回答预留模型上限的余量）
+ * - CONTEXT_MAX_MESSAGE_TOKENS 单条历史消息的上限（默认 2000，超出时截去中间部分）
+ * - SUMMARY_LLM_PROVIDER 为摘要单独指定 provider（默认与对话相同）
+ */
+const MAX_INPUT_TOKENS = Number(process.env.CONTEXT_MAX_TOKENS) || 8000;
+const MAX_MESSAGE_TOKENS =
+  Number(process.env.CONTEXT_MAX_MESSAGE_TOKENS) || 2000;
+const SUMMARY_PROVIDER = process.env.SUMMARY_LLM_PROVIDER || undefined;
+const SUMMARY_MAX_TOKENS = 600;
+
+const SUMMARY_PROMPT = `你负责维护一段铜及铜合金技术对话的滚动摘要。
+根据已有摘要和新增的对话内容，输出更新后的完整摘要：
+- 保留讨论涉及的牌号、成分、性能指标、热处理与加工工艺参数、使用环境与设计约束
+- 保留已经得出的结论、推荐与被否定的方案
+- 使用简洁的中文要点，不超过 400 字，只输出摘要本身`;
+
+const ROLE_LABELS = { user: "用户", assistant: "助理" };
+
+// 正在更新摘要的对话，避免同一对话重复发起
+const refreshing = new Set();
+
+/**
+ * 在后台更新对话摘要，使其覆盖到 messages 的最后一条
+ * @param {string} convId
+ * @param {string|null} previous - 仍然有效的已有摘要
+ * @param {Array} messages - 已有摘要之后、需要并入摘要的消息（老 -> 新）
+ * @param {Function} [onUsage] - 回传本次调用的 token 用量
+ */
+async function refreshSummary(convId, previous, messages, onUsage) {
+  if (refreshing.has(convId) || messages.length === 0) return;
+  refreshing.add(convId);
+  try {
+    const transcript = messages
+      .map(
+        (m) =>
+          `${ROLE_LABELS[m.role] || m.role}：${truncateToTokens(m.content, 800)}`,
+      )
+      .join("\n\n");
+    const summary = await openaiService.getChatCompletion(
+      [
+        { role: "system", content: SUMMARY_PROMPT },
+        {
+          role: "user",
+          content: `已有摘要：\n${previous || "（无）"}\n\n新增对话：\n${transcript}`,
+        },
+      ],
+      {
+        provider: SUMMARY_PROVIDER,
+        temperature: 0.2,
+        max_tokens: SUMMARY_MAX_TOKENS,
+        onUsage,
+      },
+    );
+    if (summary.trim()) {
+      await db.setConversationSummary(
+        convId,
+        summary.trim(),
+        messages[messages.length - 1].message_id,
+      );
+    }
+  } catch (err) {
+    console.error("Summary Refresh Error:", err);
+  } finally {
+    refreshing.delete(convId);
+  }
+}
+
+// 拼接 system 消息：基础提示、固定信息与摘要
+function buildSystemContent(systemPrompt, facts, summary) {
+  const parts = [systemPrompt];
+  if (facts.length > 0) {
+    parts.push(
+      `本对话的固定信息（回答时必须遵守）：\n${facts
+        .map((f) => `- ${f.content}`)
+        .join("\n")}`,
+    );
+  }
+  if (summary) parts.push(`此前对话内容摘要：\n${summary}`);
+  return parts.join("\n\n");
+}
+
+/**
+ * 构建发送给模型的消息列表
+ * @param {Object} params
+ * @param {string} params.convId - 对话ID
+ * @param {Array} params.history - 当前问题之前的完整路径（{ message_id, role, content }，老 -> 新）
+ * @param {string} params.question - 当前问题
+ * @param {string} params.systemPrompt - 基础 system 提示（已包含参考资料）
+ * @param {Function} [params.onSummaryUsage] - 触发摘要更新时回传其 token 用量
+ * @returns {Promise<Array<{role, content}>>}
+ */
+async function buildMessages({
+  convId,
+  history,
+  question,
+  systemPrompt,
+  onSummaryUsage,
+}) {
+  const [conversation, facts] = await Promise.all([
+    db.getConversation(convId),
+    db.getConversationFacts(convId),
+  ]);
+
+  // 摘要只在其覆盖的消息仍位于当前分支上时有效（切换分支后需重新概括）
+  let summary = null;
+  let start = 0;
+  if (conversation && conversation.context_summary) {
+    const index = history.findIndex(
+      (m) => m.message_id === conversation.summary_message_id,
+    );
+    if (index >= 0) {
+      summary = conversation.context_summary;
+      start = index + 1;
+    }
+  }
+
+  // 生成出错且没有内容的回复不放入上下文
+  const candidates = history.slice(start).filter((m) => m.content);
+
+  const system = buildSystemContent(systemPrompt, facts, summary);
+  const current = {
+    role: "user",
+    content: truncateToTokens(question, MAX_MESSAGE_TOKENS),
+  };
+  let remaining =
+    MAX_INPUT_TOKENS - estimateTokens(system) - estimateMessageTokens(current);
+
+  // 从最近的消息向前放入，直到预算用完
+  const recent = [];
+  let i = candidates.length - 1;
+  for (; i >= 0; i--) {
+    const m = candidates[i];
+    const message = {
+      role: m.role,
+      content: truncateToTokens(m.content, MAX_MESSAGE_TOKENS),
+    };
+    const cost = estimateMessageTokens(message);
+    if (cost > remaining) break;
+    remaining -= cost;
+    recent.unshift(message);
+  }
+
+  // 未能放入的较早消息并入摘要（后台进行，不阻塞本次回答）
+  const dropped = candidates.slice(0, i + 1);
+  if (dropped.length > 0) {
+    refreshSummary(convId, summary, dropped, onSummaryUsage);
+  }
+
+  return [{ role: "system", content: system }, ...recent, current];
+}
+
+module.exports = { buildMessages, refreshSummary };
@@ -0,0 +1,104 @@
+const db = require("../../db");
+const { renderConversation } = require("./index");
+const { safeFilename } = require("./format");
+
+/**
+ * 个人数据导出：将用户的账号资料、全部对话与消息写入 zip
+ * - profile.json：账号资料
+ * - sessions.json / logins.json：登录中的设备与登录记录
+ * - conversations/NNN-标题.json：对话信息、固定信息与全部消息（含所有分支与版本）
+ * - conversations/NNN-标题.md：当前激活分支的可读版本
+ */
+const MAX_LOGIN_EVENTS = 1000;
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+function profileOf(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified),
+    pendingEmail: user.pending_email || null,
+    role: user.role,
+    createdAt: user.created_at,
+    lastLogin: user.last_login,
+    loginCount: user.login_count,
+    deletionScheduledAt: user.deletion_scheduled_at || null,
+  };
+}
+
+/**
+ * 向 archive 追加用户的全部个人数据（调用方负责 finalize）
+ * @param {import("archiver").Archiver} archive
+ * @param {Object} user - users 表中的用户
+ * @param {Object} [options]
+ * @param {Date} [options.exportedAt]
+ * @returns {Promise<{conversations: number, messages: number}>} 导出数量
+ */
+async function writeAccountArchive(
+  archive,
+  user,
+  { exportedAt = new Date() } = {},
+) {
+  const [sessions, logins, conversations] = await Promise.all([
+    db.listUserSessions(user.id),
+    db.getLoginEvents(user.id, { limit: MAX_LOGIN_EVENTS }),
+    db.getAllConversations(user.id),
+  ]);
+
+  archive.append(toJson({ exportedAt, profile: profileOf(user) }), {
+    name: "profile.json",
+  });
+  archive.append(toJson(sessions), { name: "sessions.json" });
+  archive.append(toJson(logins.items), { name: "logins.json" });
+
+  let messageCount = 0;
+  for (const [i, conversation] of conversations.entries()) {
+    const [messages, facts, active] = await Promise.all([
+      db.getAllMessages(conversation.conversation_id),
+      db.getConversationFacts(conversation.conversation_id),
+      db.getMessages(conversation.conversation_id),
+    ]);
+    messageCount += messages.length;
+
+    // 文件名加序号前缀，避免同名标题互相覆盖
+    const base = `conversations/${String(i + 1).padStart(3, "0")}-${safeFilename(
+      conversation.title,
+    )}`;
+    archive.append(
+      toJson({
+        exported_at: exportedAt,
+        conversation: {
+          conversation_id: conversation.conversation_id,
+          title: conversation.title,
+          created_at: conversation.created_at,
+          updated_at: conversation.updated_at,
+        },
+        facts: facts.map((f) => ({
+          content: f.content,
+          created_at: f.created_at,
+        })),
+        messages: messages.map((m) => ({
+          message_id: m.message_id,
+          parent_id: m.parent_id,
+          role: m.role,
+          content: m.content,
+          citations: m.citations || [],
+          status: m.status,
+          is_selected: Boolean(m.is_selected),
+          created_at: m.created_at,
+        })),
+      }),
+      { name: `${base}.json` },
+    );
+    const readable = await renderConversation(conversation, active, "md", {
+      exportedAt,
+    });
+    archive.append(readable.body, { name: `${base}.md` });
+  }
+
+  return { conversations: conversations.length, messages: messageCount };
+}
+
+module.exports = { writeAccountArchive };
@@ -0,0 +1,44 @@
+/**
+ * 导出各格式共用的文本工具
+ */
+const ROLE_LABELS = { user: "用户", assistant: "助理" };
+const STATUS_LABELS = { stopped: "已停止生成", error: "生成出错" };
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 格式化为本地时间 YYYY-MM-DD HH:mm:ss
+function formatTime(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(
+    d.getHours(),
+  )}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+const escapeHtml = (text) =>
+  String(text === null || text === undefined ? "" : text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+// 生成可用作文件名的标题（去掉路径与控制字符，限制长度）
+function safeFilename(title, fallback = "conversation") {
+  const name = String(title || "")
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 60);
+  return name || fallback;
+}
+
+module.exports = {
+  ROLE_LABELS,
+  STATUS_LABELS,
+  formatTime,
+  escapeHtml,
+  safeFilename,
+};
@@ -0,0 +1,171 @@
+const {
+  ROLE_LABELS,
+  STATUS_LABELS,
+  formatTime,
+  escapeHtml,
+  safeFilename,
+} = require("./format");
+const { renderPdf } = require("./pdf");
+
+/**
+ * 对话导出：将对话（当前激活分支上的消息）渲染为 Markdown / HTML / PDF / JSON。
+ * 每种格式都包含标题、时间、消息角色与保存的引用资料
+ */
+const JSON_FORMAT = "cuproexpress.conversation";
+const JSON_VERSION = 1;
+
+const FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+const roleLabel = (m) => {
+  const status = STATUS_LABELS[m.status];
+  return `${ROLE_LABELS[m.role] || m.role}${status ? `（${status}）` : ""}`;
+};
+
+const citationLine = (c) =>
+  `[${c.index}] ${c.title}${c.source ? ` — ${c.source}` : ""}`;
+
+function toMarkdown(conversation, messages, { exportedAt }) {
+  const lines = [
+    `# ${conversation.title || "对话"}`,
+    "",
+    `- 创建时间：${formatTime(conversation.created_at)}`,
+    `- 更新时间：${formatTime(conversation.updated_at)}`,
+    `- 导出时间：${formatTime(exportedAt)}`,
+  ];
+  for (const m of messages) {
+    lines.push(
+      "",
+      "---",
+      "",
+      `### ${roleLabel(m)} · ${formatTime(m.created_at)}`,
+    );
+    lines.push("", m.content || "");
+    if (m.citations && m.citations.length > 0) {
+      lines.push("", "**参考资料**", "");
+      for (const c of m.citations) lines.push(`- ${citationLine(c)}`);
+    }
+  }
+  lines.push("");
+  return lines.join("\n");
+}
+
+function toHtml(conversation, messages, { exportedAt }) {
+  const title = escapeHtml(conversation.title || "对话");
+  const items = messages.map((m) => {
+    const citations =
+      m.citations && m.citations.length > 0
+        ? `<div class="citations"><strong>参考资料</strong><ul>${m.citations
+            .map((c) => `<li>${escapeHtml(citationLine(c))}</li>`)
+            .join("")}</ul></div>`
+        : "";
+    return `<section class="message ${escapeHtml(m.role)}">
+  <h3>${escapeHtml(roleLabel(m))} <time>${formatTime(m.created_at)}</time></h3>
+  <div class="content">${escapeHtml(m.content)}</div>
+  ${citations}
+</section>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; max-width: 860px; margin: 2em auto; color: #222; }
+  .meta { color: #666; font-size: 0.9em; }
+  .message { border-top: 1px solid #ddd; padding: 0.5em 0; }
+  .message h3 { font-size: 1em; margin: 0.5em 0; }
+  .message.user h3 { color: #1f5fbf; }
+  .message.assistant h3 { color: #b8621b; }
+  .message time { color: #999; font-weight: normal; font-size: 0.85em; }
+  .content { white-space: pre-wrap; line-height: 1.6; }
+  .citations { font-size: 0.85em; color: #555; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">创建时间：${formatTime(conversation.created_at)}　更新时间：${formatTime(
+    conversation.updated_at,
+  )}　导出时间：${formatTime(exportedAt)}</p>
+${items.join("\n")}
+</body>
+</html>
+`;
+}
+
+function toJson(conversation, messages, { exportedAt }) {
+  return {
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exported_at: exportedAt,
+    conversation: {
+      conversation_id: conversation.conversation_id,
+      title: conversation.title,
+      created_at: conversation.created_at,
+      updated_at: conversation.updated_at,
+    },
+    messages: messages.map((m) => ({
+      message_id: m.message_id,
+      parent_id: m.parent_id,
+      role: m.role,
+      content: m.content,
+      citations: m.citations || [],
+      status: m.status,
+      created_at: m.created_at,
+    })),
+  };
+}
+
+/**
+ * 渲染一条对话
+ * @param {Object} conversation - 对话记录（title / created_at / updated_at）
+ * @param {Array} messages - db.getMessages 返回的消息
+ * @param {string} format - md / html / pdf / json
+ * @returns {Promise<{body: Buffer|string, contentType: string, filename: string}>}
+ */
+async function renderConversation(
+  conversation,
+  messages,
+  format,
+  { exportedAt = new Date() } = {},
+) {
+  const spec = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!spec) throw new Error(`unsupported export format: ${format}`);
+  const options = { exportedAt };
+
+  let body;
+  if (format === "md") body = toMarkdown(conversation, messages, options);
+  else if (format === "html") body = toHtml(conversation, messages, options);
+  else if (format === "pdf") {
+    body = await renderPdf(conversation, messages, options);
+  } else {
+    body = JSON.stringify(toJson(conversation, messages, options), null, 2);
+  }
+
+  return {
+    body,
+    contentType: spec.contentType,
+    filename: `${safeFilename(conversation.title)}.${spec.extension}`,
+  };
+}
+
+// 生成 Content-Disposition 头，中文文件名通过 filename* 传递
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, "_").replace(/"/g, "'");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(
+    filename,
+  )}`;
+}
+
+module.exports = {
+  FORMATS,
+  JSON_FORMAT,
+  JSON_VERSION,
+  renderConversation,
+  contentDisposition,
+  safeFilename,
+};
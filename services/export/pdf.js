@@ -0,0 +1,129 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { ROLE_LABELS, STATUS_LABELS, formatTime } = require("./format");
+
+/**
+ * 本地生成 PDF（pdfkit），不依赖外部服务。
+ * pdfkit 内置字体不含中文字形，需通过 PDF_FONT_PATH 指定 TTF/OTF/TTC 中文字体
+ * （TTC 字体集合需同时以 PDF_FONT_FAMILY 指定其中一款的 PostScript 名称）；
+ * 未配置时依次尝试常见系统字体，均不存在时退回 Helvetica（中文将无法正常显示）
+ */
+const FONT_CANDIDATES = [
+  {
+    path: "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+    family: "NotoSansCJKsc-Regular",
+  },
+  {
+    path: "/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc",
+    family: "NotoSansCJKsc-Regular",
+  },
+  {
+    path: "/usr/share/fonts/truetype/wqy/wqy-microhei.ttc",
+    family: "WenQuanYiMicroHei",
+  },
+  {
+    path: "/usr/share/fonts/truetype/wqy/wqy-zenhei.ttc",
+    family: "WenQuanYiZenHei",
+  },
+  { path: "/System/Library/Fonts/PingFang.ttc", family: "PingFangSC-Regular" },
+  { path: "C:\\Windows\\Fonts\\msyh.ttc", family: "MicrosoftYaHei" },
+];
+
+let warned = false;
+
+function resolveFont() {
+  const candidates = process.env.PDF_FONT_PATH
+    ? [
+        {
+          path: process.env.PDF_FONT_PATH,
+          family: process.env.PDF_FONT_FAMILY,
+        },
+      ]
+    : FONT_CANDIDATES;
+  const found = candidates.find((c) => fs.existsSync(c.path));
+  if (!found && !warned) {
+    warned = true;
+    console.warn(
+      "⚠️ 未找到中文字体，PDF 中的中文可能无法显示，请设置 PDF_FONT_PATH",
+    );
+  }
+  return found || null;
+}
+
+// 注册中文字体，返回可用于 doc.font() 的字体名
+function registerFont(doc) {
+  const font = resolveFont();
+  if (!font) return "Helvetica";
+  doc.registerFont("cjk", font.path, font.family || undefined);
+  return "cjk";
+}
+
+/**
+ * 渲染对话为 PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(conversation, messages, { exportedAt = new Date() } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: conversation.title || "对话" },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      const font = registerFont(doc);
+      doc.font(font);
+
+      doc
+        .fontSize(18)
+        .fillColor("#000")
+        .text(conversation.title || "对话");
+      doc.moveDown(0.5);
+      doc
+        .fontSize(9)
+        .fillColor("#666")
+        .text(`创建时间：${formatTime(conversation.created_at)}`)
+        .text(`更新时间：${formatTime(conversation.updated_at)}`)
+        .text(`导出时间：${formatTime(exportedAt)}`);
+      doc.moveDown();
+
+      for (const m of messages) {
+        const status = STATUS_LABELS[m.status];
+        doc
+          .fontSize(11)
+          .fillColor(m.role === "user" ? "#1f5fbf" : "#b8621b")
+          .text(
+            `${ROLE_LABELS[m.role] || m.role} · ${formatTime(m.created_at)}${
+              status ? `（${status}）` : ""
+            }`,
+          );
+        doc.moveDown(0.2);
+        doc
+          .fontSize(10)
+          .fillColor("#000")
+          .text(m.content || "");
+
+        if (m.citations && m.citations.length > 0) {
+          doc.moveDown(0.3);
+          doc.fontSize(9).fillColor("#444").text("参考资料：");
+          for (const c of m.citations) {
+            doc.text(
+              `[${c.index}] ${c.title}${c.source ? ` — ${c.source}` : ""}`,
+              { indent: 10 },
+            );
+          }
+        }
+        doc.moveDown();
+      }
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,163 @@
+/**
+ * 进行中的回复生成（按对话ID登记），用于停止生成和断线续传。
+ * 每次生成推送的 SSE 事件都带有递增的事件ID并缓存在内存中，
+ * 客户端重连时可凭 Last-Event-ID 补发错过的事件后继续跟随实时生成。
+ * 仅保存在当前进程内存中，多实例部署时需保证同一对话的请求落在同一实例
+ */
+// 所有连接都断开后等待客户端重连的时间，超时仍无人跟随则中止上游生成
+const RESUME_GRACE_MS = Number(process.env.SSE_RESUME_GRACE_MS || 30000);
+// 生成结束后事件缓存的保留时间，便于刚好在结束时断线的客户端取回完成事件
+const BUFFER_TTL_MS = Number(process.env.SSE_BUFFER_TTL_MS || 60000);
+
+const active = new Map();
+let nextGenerationId = 1;
+
+// 登记一次生成，返回包含 AbortController 与事件缓存的记录
+function start(conversationId, info = {}) {
+  const previous = active.get(conversationId);
+  if (previous) clearTimeout(previous.expireTimer);
+
+  const controller = new AbortController();
+  const entry = {
+    id: nextGenerationId++,
+    conversationId,
+    controller,
+    signal: controller.signal,
+    startedAt: Date.now(),
+    events: [],
+    listeners: new Set(),
+    released: false,
+    finished: false,
+    graceTimer: null,
+    expireTimer: null,
+    ...info,
+  };
+  active.set(conversationId, entry);
+  return entry;
+}
+
+/**
+ * 检查对话没有进行中的生成并立即登记，检查与登记之间没有 await，
+ * 并发请求中只有一个能拿到记录；其余返回 null。
+ * 登记后未能开始生成（校验不通过、出错）时须调用 abandon 释放
+ */
+function reserve(conversationId, info = {}) {
+  if (isRunning(conversationId)) return null;
+  return start(conversationId, info);
+}
+
+// 获取对话最近一次生成（包括刚结束、事件仍在缓存中的），不存在时返回 null
+function get(conversationId) {
+  return active.get(conversationId) || null;
+}
+
+function isRunning(conversationId) {
+  const entry = active.get(conversationId);
+  return Boolean(entry && !entry.released);
+}
+
+// 中止对话中进行中的生成，不存在时返回 false
+function stop(conversationId, reason = "stopped") {
+  const entry = active.get(conversationId);
+  if (!entry || entry.released) return false;
+  entry.controller.abort(reason);
+  return true;
+}
+
+/**
+ * 推送一条事件：分配事件ID、写入缓存并通知所有跟随者
+ * 事件ID形如 "<生成ID>-<序号>"，以便区分重连前后是否为同一次生成
+ * @returns {{id: string, seq: number, data: Object}}
+ */
+function publish(entry, data) {
+  const seq = entry.events.length + 1;
+  const event = { id: `${entry.id}-${seq}`, seq, data };
+  entry.events.push(event);
+  for (const listener of entry.listeners) listener(event);
+  return event;
+}
+
+// 解析 Last-Event-ID，返回该生成中已收到的最后序号；属于其他生成或无法解析时返回 0
+function lastSeqOf(entry, lastEventId) {
+  const match = /^(\d+)-(\d+)$/.exec(String(lastEventId || "").trim());
+  if (!match || Number(match[1]) !== entry.id) return 0;
+  return Number(match[2]);
+}
+
+/**
+ * 跟随一次生成：先补发 Last-Event-ID 之后的缓存事件，再实时接收新事件。
+ * 生成结束时以 null 调用 listener 表示事件流结束
+ * @param {Object} entry - start 返回的记录
+ * @param {Function} listener - (event | null) => void
+ * @param {string} [lastEventId] - 客户端已收到的最后事件ID
+ * @returns {Function} 取消跟随；所有跟随者都离开后，宽限期内无人重连则中止生成
+ */
+function subscribe(entry, listener, lastEventId) {
+  clearTimeout(entry.graceTimer);
+  const lastSeq = lastSeqOf(entry, lastEventId);
+  for (const event of entry.events) {
+    if (event.seq > lastSeq) listener(event);
+  }
+  if (entry.finished) {
+    listener(null);
+    return () => {};
+  }
+
+  entry.listeners.add(listener);
+  return () => {
+    if (!entry.listeners.delete(listener)) return;
+    if (entry.released || entry.listeners.size > 0) return;
+    entry.graceTimer = setTimeout(
+      () => entry.controller.abort("client disconnected"),
+      RESUME_GRACE_MS,
+    );
+  };
+}
+
+// 回复已保存、只剩收尾事件（如标题）要推送时释放对话：允许开始新的生成，
+// 跟随者仍可继续接收事件直到 finish
+function release(entry) {
+  entry.released = true;
+  clearTimeout(entry.graceTimer);
+}
+
+// 生成结束（完成、停止或出错）后通知跟随者，事件缓存保留一段时间后注销
+function finish(entry) {
+  entry.released = true;
+  entry.finished = true;
+  clearTimeout(entry.graceTimer);
+  for (const listener of entry.listeners) listener(null);
+  entry.listeners.clear();
+  entry.expireTimer = setTimeout(() => {
+    if (active.get(entry.conversationId) === entry) {
+      active.delete(entry.conversationId);
+    }
+  }, BUFFER_TTL_MS);
+  entry.expireTimer.unref();
+}
+
+// 释放未走到 finish 的登记（已 finish 的不受影响）：结束跟随者并立即注销，允许重新发送
+function abandon(entry) {
+  if (entry.finished) return;
+  entry.released = true;
+  entry.finished = true;
+  clearTimeout(entry.graceTimer);
+  for (const listener of entry.listeners) listener(null);
+  entry.listeners.clear();
+  if (active.get(entry.conversationId) === entry) {
+    active.delete(entry.conversationId);
+  }
+}
+
+module.exports = {
+  start,
+  reserve,
+  get,
+  isRunning,
+  stop,
+  release,
+  publish,
+  subscribe,
+  finish,
+  abandon,
+};
@@ -0,0 +1,78 @@
+/**
+ * ChatGPT 风格的 conversations.json 解析
+ * 每个对话的消息保存在 mapping（节点ID -> { message, parent, children }）中构成一棵树，
+ * current_node 为用户最后停留的节点；这里取从根到 current_node 的路径作为导入内容
+ */
+
+// 判断对象是否为 ChatGPT 风格的单个对话
+const isChatGptConversation = (item) =>
+  !!item &&
+  typeof item === "object" &&
+  !!item.mapping &&
+  typeof item.mapping === "object";
+
+// epoch 秒（可带小数）转 Date
+const fromEpochSeconds = (value) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? new Date(value * 1000)
+    : null;
+
+// 取消息正文：text / multimodal_text 中的字符串片段，其余内容（图片、代码执行结果等）忽略
+function messageText(message) {
+  const content = message.content || {};
+  if (Array.isArray(content.parts)) {
+    return content.parts.filter((p) => typeof p === "string").join("\n");
+  }
+  if (typeof content.text === "string") return content.text;
+  return "";
+}
+
+// 从 current_node（缺失时取最后一个叶子节点）沿 parent 回溯到根，返回根 -> 叶的节点列表
+function pathNodes(mapping, currentNode) {
+  let nodeId = currentNode;
+  if (!nodeId || !mapping[nodeId]) {
+    const leaves = Object.keys(mapping).filter(
+      (id) => !mapping[id].children || mapping[id].children.length === 0,
+    );
+    nodeId = leaves[leaves.length - 1];
+  }
+
+  const nodes = [];
+  const seen = new Set();
+  while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+    seen.add(nodeId);
+    nodes.unshift(mapping[nodeId]);
+    nodeId = mapping[nodeId].parent;
+  }
+  return nodes;
+}
+
+/**
+ * 解析为统一的导入结构（角色与内容的校验由调用方完成）
+ * @returns {{title, created_at, updated_at, messages: Array<{role, content, created_at}>}}
+ */
+function parseChatGptConversation(item) {
+  const messages = [];
+  for (const node of pathNodes(item.mapping, item.current_node)) {
+    const message = node && node.message;
+    // 根节点等没有消息的占位节点
+    if (!message) continue;
+    const role = message.author && message.author.role;
+    const content = messageText(message);
+    // 隐藏的系统提示等空消息不计入
+    if (role === "system" && !content.trim()) continue;
+    messages.push({
+      role,
+      content,
+      created_at: fromEpochSeconds(message.create_time),
+    });
+  }
+  return {
+    title: item.title,
+    created_at: fromEpochSeconds(item.create_time),
+    updated_at: fromEpochSeconds(item.update_time),
+    messages,
+  };
+}
+
+module.exports = { isChatGptConversation, parseChatGptConversation };
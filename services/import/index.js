@@ -0,0 +1,208 @@
+const { JSON_FORMAT } = require("../export");
+const {
+  isChatGptConversation,
+  parseChatGptConversation,
+} = require("./chatgpt");
+
+/**
+ * 对话导入：识别导入文件格式，解析并清洗为可直接写入数据库的对话列表
+ * 支持的格式：
+ * - 本系统的 JSON 导出（单个对象或其数组）
+ * - ChatGPT 风格的 conversations.json（对话数组，或单个对话对象）
+ */
+const MAX_CONVERSATIONS = Number(process.env.IMPORT_MAX_CONVERSATIONS) || 500;
+const MAX_MESSAGES = 1000;
+const MAX_TITLE_LENGTH = 255;
+// messages.content 为 TEXT 类型，最多 65535 字节
+const MAX_CONTENT_BYTES = 65535;
+
+// 外部角色到 messages.role 枚举的映射，未列出的角色（system、tool 等）跳过
+const ROLE_MAP = {
+  user: "user",
+  human: "user",
+  assistant: "assistant",
+  ai: "assistant",
+  bot: "assistant",
+  model: "assistant",
+};
+const STATUSES = ["complete", "stopped", "error"];
+const CITATION_FIELDS = ["index", "type", "id", "title", "source", "snippet"];
+
+const isNativeExport = (item) =>
+  !!item && typeof item === "object" && item.format === JSON_FORMAT;
+
+// 去掉除换行与制表符外的控制字符
+const stripControl = (text) =>
+  String(text).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, "");
+
+// 按 UTF-8 字节数截断，避免截断在多字节字符中间
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return { text, truncated: false };
+  let result = "";
+  let bytes = 0;
+  for (const ch of text) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > maxBytes) break;
+    result += ch;
+    bytes += size;
+  }
+  return { text: result, truncated: true };
+}
+
+// TIMESTAMP 列可存储 1970-01-01 ~ 2038-01-19（UTC），两端各留一天，避免时区换算后越界
+const MIN_DATE = Date.UTC(1970, 0, 2);
+const MAX_DATE = Date.UTC(2038, 0, 18);
+
+/**
+ * 解析时间
+ * @returns {{date: Date|null, invalid: boolean}} 无法解析或超出 TIMESTAMP 范围（如毫秒时间戳、0）时
+ *   date 为 null 且 invalid 为 true，由调用方改用默认时间
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === "") {
+    return { date: null, invalid: false };
+  }
+  const d = value instanceof Date ? value : new Date(value);
+  const time = d.getTime();
+  if (Number.isNaN(time) || time < MIN_DATE || time > MAX_DATE) {
+    return { date: null, invalid: true };
+  }
+  return { date: d, invalid: false };
+}
+
+function sanitizeCitations(citations) {
+  if (!Array.isArray(citations)) return [];
+  return citations
+    .filter((c) => c && typeof c === "object")
+    .slice(0, 20)
+    .map((c) => {
+      const result = {};
+      for (const key of CITATION_FIELDS) {
+        if (typeof c[key] === "string") {
+          result[key] = stripControl(c[key]).slice(0, 500);
+        } else if (typeof c[key] === "number" && Number.isFinite(c[key])) {
+          result[key] = c[key];
+        }
+      }
+      return result;
+    });
+}
+
+function parseNativeExport(item) {
+  const conversation = item.conversation || {};
+  return {
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    messages: Array.isArray(item.messages) ? item.messages : [],
+  };
+}
+
+/**
+ * 清洗单个解析后的对话
+ * @returns {{conversation?: Object, skippedMessages: number, truncatedMessages: number,
+ *   invalidDates: number, reason?: string}}
+ */
+function sanitizeConversation(parsed) {
+  const messages = [];
+  let skippedMessages = 0;
+  let truncatedMessages = 0;
+  // 无法使用的时间改为默认值（消息为导入时间，对话取消息时间），并计入 invalidDates
+  let invalidDates = 0;
+  const dateOf = (value) => {
+    const { date, invalid } = toDate(value);
+    if (invalid) invalidDates++;
+    return date;
+  };
+
+  for (const m of parsed.messages) {
+    const role = m && typeof m.role === "string" && ROLE_MAP[m.role];
+    const raw = m && typeof m.content === "string" ? m.content : "";
+    const cleaned = stripControl(raw).trim();
+    if (!role || !cleaned) {
+      skippedMessages++;
+      continue;
+    }
+    if (messages.length >= MAX_MESSAGES) {
+      skippedMessages++;
+      continue;
+    }
+    const { text, truncated } = truncateBytes(cleaned, MAX_CONTENT_BYTES);
+    if (truncated) truncatedMessages++;
+    messages.push({
+      role,
+      content: text,
+      citations: role === "assistant" ? sanitizeCitations(m.citations) : [],
+      status: STATUSES.includes(m.status) ? m.status : "complete",
+      created_at: dateOf(m.created_at),
+    });
+  }
+
+  if (messages.length === 0) {
+    return {
+      skippedMessages,
+      truncatedMessages,
+      invalidDates,
+      reason: "no importable messages",
+    };
+  }
+
+  // 标题缺失时与新建对话一致，取第一条用户消息的前 60 个字符
+  const firstUser = messages.find((m) => m.role === "user") || messages[0];
+  const sourceTitle =
+    typeof parsed.title === "string" ? stripControl(parsed.title).trim() : "";
+  const title = sourceTitle || firstUser.content.slice(0, 60);
+
+  const times = messages.map((m) => m.created_at).filter(Boolean);
+  const createdAt = dateOf(parsed.created_at) || times[0] || null;
+  const updatedAt =
+    dateOf(parsed.updated_at) || times[times.length - 1] || createdAt;
+
+  return {
+    conversation: {
+      title: Array.from(title).slice(0, MAX_TITLE_LENGTH).join(""),
+      // 文件中带有标题时沿用，否则之后可由模型生成标题
+      title_source: sourceTitle ? "user" : "auto",
+      created_at: createdAt,
+      updated_at: updatedAt,
+      messages,
+    },
+    skippedMessages,
+    truncatedMessages,
+    invalidDates,
+  };
+}
+
+/**
+ * 识别并解析导入文件
+ * @param {*} payload - 请求体（已解析的 JSON）
+ * @returns {{error: string} | {format: string, entries: Array}} entries 与文件中的对话一一对应，
+ *   每项为 sanitizeConversation 的结果并附带原标题 sourceTitle
+ */
+function parseImport(payload) {
+  const items = Array.isArray(payload) ? payload : [payload];
+  let format = null;
+  if (items.length > 0 && items.every(isNativeExport)) format = "native";
+  else if (items.length > 0 && items.every(isChatGptConversation)) {
+    format = "chatgpt";
+  }
+  if (!format) return { error: "unrecognized import format" };
+  if (items.length > MAX_CONVERSATIONS) {
+    return {
+      error: `at most ${MAX_CONVERSATIONS} conversations can be imported at once`,
+    };
+  }
+
+  const parse =
+    format === "native" ? parseNativeExport : parseChatGptConversation;
+  const entries = items.map((item) => {
+    const parsed = parse(item);
+    return {
+      sourceTitle: typeof parsed.title === "string" ? parsed.title : null,
+      ...sanitizeConversation(parsed),
+    };
+  });
+  return { format, entries };
+}
+
+module.exports = { parseImport };
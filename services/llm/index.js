@@ -0,0 +1,131 @@
+const { createOpenAICompatibleProvider } = require("./openaiCompatible");
+const { createOllamaProvider } = require("./ollama");
+const { createMockProvider } = require("./mock");
+
+/**
+ * LLM provider 注册表
+ * - 每个 provider 由工厂函数按需创建，首次使用时实例化并缓存
+ * - 通过环境变量 LLM_PROVIDER 选择默认 provider（默认 dashscope）
+ * - provider 需实现 streamChat({ messages, model, temperature, max_tokens, signal })，
+ *   返回逐段产出文本的异步迭代器，signal 中止时应尽快结束并释放上游连接；
+ *   能获取 token 用量时另外产出一次 { usage: { prompt_tokens, completion_tokens } }
+ * - 注册时可声明必需的环境变量，启动时由 checkConfig 检查，缺失时拒绝启动而不是在请求时才出错
+ */
+const factories = new Map();
+const instances = new Map();
+const requiredEnv = new Map();
+
+// 对话、标题、摘要与领域判断分别选择 provider 的环境变量
+const PROVIDER_ENV_VARS = [
+  "LLM_PROVIDER",
+  "TITLE_LLM_PROVIDER",
+  "SUMMARY_LLM_PROVIDER",
+  "CLASSIFIER_LLM_PROVIDER",
+];
+
+const defaultProviderName = () => process.env.LLM_PROVIDER || "dashscope";
+
+/**
+ * 注册 provider
+ * @param {string} name
+ * @param {Function} factory - 创建 provider 的工厂函数
+ * @param {Object} [options]
+ * @param {Array<string>} [options.requires] - 必需的环境变量
+ */
+function registerProvider(name, factory, { requires = [] } = {}) {
+  factories.set(name, factory);
+  requiredEnv.set(name, requires);
+  instances.delete(name);
+}
+
+function getProvider(name) {
+  const key = name || defaultProviderName();
+  if (instances.has(key)) return instances.get(key);
+  const factory = factories.get(key);
+  if (!factory) {
+    throw new Error(`unknown LLM provider: ${key}`);
+  }
+  const provider = factory();
+  instances.set(key, provider);
+  return provider;
+}
+
+function listProviders() {
+  return Array.from(factories.keys());
+}
+
+/**
+ * 检查默认 provider 及各环境变量单独指定的 provider：须已注册且必需的环境变量均已设置
+ * @throws {Error} 配置无效时抛出，message 列出全部问题
+ */
+function checkConfig() {
+  const names = new Set([defaultProviderName()]);
+  for (const key of PROVIDER_ENV_VARS) {
+    if (process.env[key]) names.add(process.env[key]);
+  }
+  const problems = [];
+  for (const name of names) {
+    if (!factories.has(name)) {
+      problems.push(`unknown LLM provider: ${name}`);
+      continue;
+    }
+    const missing = requiredEnv.get(name).filter((key) => !process.env[key]);
+    if (missing.length > 0) {
+      problems.push(`LLM provider ${name} requires ${missing.join(", ")}`);
+    }
+  }
+  if (problems.length > 0) throw new Error(problems.join("; "));
+}
+
+// 阿里云百炼（OpenAI 兼容模式）
+registerProvider(
+  "dashscope",
+  () =>
+    createOpenAICompatibleProvider({
+      name: "dashscope",
+      apiKey: process.env.DASHSCOPE_API_KEY,
+      baseURL:
+        process.env.DASHSCOPE_BASE_URL ||
+        "https://dashscope.aliyuncs.com/compatible-mode/v1",
+      defaultModel: process.env.DASHSCOPE_MODEL || "qwen-plus",
+    }),
+  { requires: ["DASHSCOPE_API_KEY"] },
+);
+
+// OpenAI 官方或任意 OpenAI 兼容服务
+registerProvider(
+  "openai",
+  () =>
+    createOpenAICompatibleProvider({
+      name: "openai",
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      defaultModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    }),
+  { requires: ["OPENAI_API_KEY"] },
+);
+
+// 本地 Ollama 风格接口
+registerProvider("ollama", () =>
+  createOllamaProvider({
+    baseURL: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+    defaultModel: process.env.OLLAMA_MODEL || "qwen2.5:7b",
+  }),
+);
+
+// 离线 mock，不访问网络
+registerProvider("mock", () =>
+  createMockProvider({
+    mode: process.env.MOCK_LLM_MODE || "canned",
+    reply: process.env.MOCK_LLM_REPLY || undefined,
+    chunkSize: Number(process.env.MOCK_LLM_CHUNK_SIZE) || 8,
+    delayMs: Number(process.env.MOCK_LLM_DELAY_MS) || 0,
+  }),
+);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  checkConfig,
+};
@@ -0,0 +1,67 @@
+/**
+ * 离线 mock provider：不访问网络，输出确定性的内容，便于本地与 CI 调试
+ * - echo 模式：复述最后一条用户消息
+ * - canned 模式：返回固定回复（可通过配置覆盖）
+ */
+const DEFAULT_CANNED_REPLY =
+  "【模拟回复】H62 黄铜含铜 60.5%~63.5%，其余为锌，具有良好的冷热加工性能，常用于散热器、垫片等零件。";
+
+// 将文本按固定长度切分为若干 chunk，模拟流式输出
+function splitChunks(text, size) {
+  const chars = Array.from(text);
+  const chunks = [];
+  for (let i = 0; i < chars.length; i += size) {
+    chunks.push(chars.slice(i, i + size).join(""));
+  }
+  return chunks;
+}
+
+// 可被 signal 中断的延迟
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true },
+      );
+    }
+  });
+
+/**
+ * @param {Object} config
+ * @param {string} config.mode - echo | canned
+ * @param {string} config.reply - canned 模式下的回复内容
+ * @param {number} config.chunkSize - 每个 chunk 的字符数
+ * @param {number} config.delayMs - chunk 之间的延迟（毫秒）
+ */
+function createMockProvider({
+  mode = "canned",
+  reply = DEFAULT_CANNED_REPLY,
+  chunkSize = 8,
+  delayMs = 0,
+} = {}) {
+  function buildReply(messages) {
+    if (mode === "echo") {
+      const lastUser = [...messages].reverse().find((m) => m.role === "user");
+      return `【模拟回复】${lastUser ? lastUser.content : ""}`;
+    }
+    return reply;
+  }
+
+  async function* streamChat({ messages, signal }) {
+    for (const chunk of splitChunks(buildReply(messages), chunkSize)) {
+      if (delayMs > 0) await sleep(delayMs, signal);
+      if (signal && signal.aborted) return;
+      yield chunk;
+    }
+  }
+
+  return { name: "mock", defaultModel: "mock", streamChat };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,63 @@
+/**
+ * 本地 Ollama 风格 HTTP 接口 provider（POST /api/chat，按行返回 JSON）
+ * @param {Object} config
+ * @param {string} config.baseURL - 服务地址，如 http://localhost:11434
+ * @param {string} config.defaultModel - 默认模型
+ */
+function createOllamaProvider({ baseURL, defaultModel }) {
+  const endpoint = `${baseURL.replace(/\/+$/, "")}/api/chat`;
+
+  async function* streamChat({
+    messages,
+    model,
+    temperature,
+    max_tokens,
+    signal,
+  }) {
+    const resp = await fetch(endpoint, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: model || defaultModel,
+        messages,
+        stream: true,
+        options: { temperature, num_predict: max_tokens },
+      }),
+    });
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => "");
+      throw new Error(`Ollama request failed: ${resp.status} ${text}`);
+    }
+
+    // 响应体为 NDJSON，每行一个对象，需要自行按换行切分
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const part of resp.body) {
+      buffer += decoder.decode(part, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 1);
+        if (!line) continue;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama error: ${data.error}`);
+        const content = data.message?.content || "";
+        if (content) yield content;
+        // 最后一行（done 为 true）带有输入与输出的 token 数
+        if (data.done && data.eval_count !== undefined) {
+          yield {
+            usage: {
+              prompt_tokens: data.prompt_eval_count || 0,
+              completion_tokens: data.eval_count,
+            },
+          };
+        }
+      }
+    }
+  }
+
+  return { name: "ollama", defaultModel, streamChat };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,59 @@
+const OpenAI = require("openai");
+
+/**
+ * 创建 OpenAI 兼容协议的 provider（OpenAI 官方、阿里云百炼兼容模式等）
+ * @param {Object} config
+ * @param {string} config.name - provider 名称
+ * @param {string} config.baseURL - 接口地址
+ * @param {string} config.apiKey - API Key
+ * @param {string} config.defaultModel - 未指定模型时使用的默认模型
+ */
+function createOpenAICompatibleProvider({
+  name,
+  baseURL,
+  apiKey,
+  defaultModel,
+}) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  /**
+   * 流式对话，逐段产出文本内容，最后产出一次 { usage }；signal 中止时 SDK 会关闭上游连接
+   */
+  async function* streamChat({
+    messages,
+    model,
+    temperature,
+    max_tokens,
+    signal,
+  }) {
+    const stream = await client.chat.completions.create(
+      {
+        model: model || defaultModel,
+        messages,
+        temperature,
+        max_tokens,
+        stream: true,
+        // 在最后一个 chunk 中返回本次调用的 token 用量
+        stream_options: { include_usage: true },
+      },
+      { signal },
+    );
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content || "";
+      if (content) yield content;
+      if (chunk.usage) {
+        yield {
+          usage: {
+            prompt_tokens: chunk.usage.prompt_tokens,
+            completion_tokens: chunk.usage.completion_tokens,
+          },
+        };
+      }
+    }
+  }
+
+  return { name, defaultModel, streamChat };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,116 @@
+const os = require("os");
+const path = require("path");
+const {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+} = require("./transports");
+const templates = require("./templates");
+
+/**
+ * 邮件发送：通过 MAIL_TRANSPORT 选择发送方式（非生产环境默认 console；
+ * NODE_ENV=production 时必须显式配置，避免验证与重置密码链接只出现在服务器日志中）
+ * - smtp：SMTP_URL，或 SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ * - file：MAIL_FILE_DIR（默认系统临时目录下的 orangeexpress-mail）
+ * - console：打印到控制台
+ * MAIL_FROM 为发件人，APP_BASE_URL 为邮件中链接指向的前端地址
+ */
+const FROM = process.env.MAIL_FROM || "OrangeExpress <no-reply@localhost>";
+const BASE_URL = (process.env.APP_BASE_URL || "http://localhost:3000").replace(
+  /\/+$/,
+  "",
+);
+
+const factories = {
+  smtp: () =>
+    createSmtpTransport({
+      url: process.env.SMTP_URL,
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: FROM,
+    }),
+  file: () =>
+    createFileTransport({
+      dir:
+        process.env.MAIL_FILE_DIR ||
+        path.join(os.tmpdir(), "orangeexpress-mail"),
+      from: FROM,
+    }),
+  console: () => createConsoleTransport({ from: FROM }),
+};
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  if (!name) {
+    throw new Error(
+      "MAIL_TRANSPORT must be set in production (smtp, file or console)",
+    );
+  }
+  const factory = factories[name];
+  if (!factory) throw new Error(`unknown mail transport: ${name}`);
+  transport = factory();
+  return transport;
+}
+
+// 启动时检查邮件配置，配置无效时抛出错误
+function checkConfig() {
+  getTransport();
+}
+
+// 替换发送方式（如测试中收集邮件），需实现 send(message)
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function send(message) {
+  await getTransport().send(message);
+}
+
+// 发送邮箱验证邮件
+async function sendVerificationEmail(user, token, ttlHours) {
+  const link = `${BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await send({
+    to: user.email,
+    ...templates.verification({ username: user.username, link, ttlHours }),
+  });
+}
+
+// 发送修改邮箱的确认邮件（发往新邮箱）
+async function sendEmailChangeEmail(user, newEmail, token, ttlHours) {
+  const link = `${BASE_URL}/confirm-email?token=${encodeURIComponent(token)}`;
+  await send({
+    to: newEmail,
+    ...templates.emailChange({
+      username: user.username,
+      email: newEmail,
+      link,
+      ttlHours,
+    }),
+  });
+}
+
+// 发送重置密码邮件
+async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = `${BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await send({
+    to: user.email,
+    ...templates.passwordReset({ username: user.username, link, ttlMinutes }),
+  });
+}
+
+module.exports = {
+  send,
+  checkConfig,
+  setTransport,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,54 @@
+const { escapeHtml } = require("../export/format");
+
+/**
+ * 邮件模板，返回 { subject, text, html }
+ */
+function render({ subject, greeting, lines, link, action }) {
+  const text = [greeting, "", ...lines, "", link].join("\n");
+  const html = `<p>${escapeHtml(greeting)}</p>
+${lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("\n")}
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p style="color:#888">如果按钮无法点击，请复制以下链接到浏览器打开：<br>${escapeHtml(link)}</p>`;
+  return { subject, text, html };
+}
+
+function verification({ username, link, ttlHours }) {
+  return render({
+    subject: "请验证你的邮箱",
+    greeting: `${username}，你好：`,
+    lines: [
+      "感谢注册 OrangeExpress。请点击下方链接验证邮箱地址，完成后即可登录。",
+      `链接 ${ttlHours} 小时内有效。如果这不是你本人的操作，请忽略本邮件。`,
+    ],
+    link,
+    action: "验证邮箱",
+  });
+}
+
+function emailChange({ username, email, link, ttlHours }) {
+  return render({
+    subject: "确认新的邮箱地址",
+    greeting: `${username}，你好：`,
+    lines: [
+      `你申请将 OrangeExpress 账号的邮箱修改为 ${email}。请点击下方链接确认，确认后需使用新邮箱登录。`,
+      `链接 ${ttlHours} 小时内有效。如果这不是你本人的操作，请忽略本邮件，账号邮箱不会改变。`,
+    ],
+    link,
+    action: "确认新邮箱",
+  });
+}
+
+function passwordReset({ username, link, ttlMinutes }) {
+  return render({
+    subject: "重置密码",
+    greeting: `${username}，你好：`,
+    lines: [
+      "我们收到了重置你账号密码的请求。请点击下方链接设置新密码。",
+      `链接 ${ttlMinutes} 分钟内有效且只能使用一次。如果这不是你本人的操作，请忽略本邮件，你的密码不会改变。`,
+    ],
+    link,
+    action: "重置密码",
+  });
+}
+
+module.exports = { verification, emailChange, passwordReset };
@@ -0,0 +1,62 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * 邮件发送方式，均实现 send({ to, subject, text, html })
+ * - smtp：通过 nodemailer 发送
+ * - file：写入目录中的 JSON 文件，便于本地开发与测试时取出邮件中的链接
+ * - console：打印到控制台
+ */
+function createSmtpTransport({ url, host, port, secure, user, pass, from }) {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport(
+    url || {
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    },
+  );
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail({ from, ...message });
+    },
+  };
+}
+
+function createFileTransport({ dir, from }) {
+  let seq = 0;
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${process.pid}-${seq++}.json`);
+      await fs.writeFile(
+        file,
+        JSON.stringify(
+          { from, ...message, sent_at: new Date().toISOString() },
+          null,
+          2,
+        ),
+      );
+    },
+  };
+}
+
+function createConsoleTransport({ from }) {
+  return {
+    name: "console",
+    async send({ to, subject, text }) {
+      console.log(
+        `📧 [mail] from: ${from}\nto: ${to}\nsubject: ${subject}\n\n${text}\n`,
+      );
+    },
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
@@ -0,0 +1,95 @@
+const db = require("../db");
+
+/**
+ * 角色与权限
+ * - 权限形如 "资源:操作"（如 users:delete），每个角色拥有一组权限，"*" 表示全部权限
+ * - 用户的权限在验证访问令牌时按其当前角色解析，角色权限变更后立即生效
+ * - 角色权限在进程内缓存，通过接口修改后立即失效；多实例部署时最长延迟 ROLE_CACHE_MS
+ */
+const WILDCARD = "*";
+const ROLE_CACHE_MS = 30 * 1000;
+
+// 可分配的权限及说明
+const PERMISSIONS = {
+  "users:read": "查看用户列表、详情、统计与登录记录",
+  "users:create": "添加用户",
+  "users:update": "修改用户信息与角色、重置密码、解除登录锁定",
+  "users:delete": "删除用户",
+  "users:export": "导出用户数据",
+  "roles:read": "查看角色与权限",
+  "roles:manage": "新增、修改、删除角色",
+  "usage:read": "查看 token 用量报表",
+  "quotas:read": "查看 token 配额",
+  "quotas:manage": "设置、删除 token 配额",
+  "rate_limits:read": "查看限流规则与放行名单",
+  "rate_limits:manage": "维护限流放行名单",
+  "audit:read": "查询审计日志",
+  "alloys:write": "新增、修改、删除合金牌号",
+  "references:write": "新增、修改、删除参考资料",
+  "rejections:read": "查看领域拒答日志",
+  "analytics:read": "查看对话、消息与拒答的统计报表",
+  "feedback:read": "查看用户对回答的反馈与审核队列",
+  "feedback:manage": "审核回答反馈，标记为已处理或整理为参考资料",
+};
+
+let rolePermissions = null;
+let loadedAt = 0;
+
+async function getRolePermissions() {
+  if (!rolePermissions || Date.now() - loadedAt > ROLE_CACHE_MS) {
+    const rows = await db.getRolePermissionRows();
+    const map = new Map();
+    for (const row of rows) {
+      if (!map.has(row.role)) map.set(row.role, []);
+      map.get(row.role).push(row.permission);
+    }
+    rolePermissions = map;
+    loadedAt = Date.now();
+  }
+  return rolePermissions;
+}
+
+// 角色或其权限变更后调用，下次验证令牌时重新加载
+function invalidate() {
+  rolePermissions = null;
+}
+
+/**
+ * 角色拥有的权限
+ * @param {string} role
+ * @returns {Promise<Array<string>>} 角色不存在时为空数组
+ */
+async function forRole(role) {
+  const map = await getRolePermissions();
+  return map.get(role) || [];
+}
+
+/**
+ * 用户是否拥有某项权限
+ * @param {{permissions: Array<string>}} user - authMiddleware 写入的 req.user
+ * @param {string} permission
+ */
+function hasPermission(user, permission) {
+  const granted = (user && user.permissions) || [];
+  return granted.includes(WILDCARD) || granted.includes(permission);
+}
+
+// 用户能否授予这些权限（只能授予自己拥有的权限，避免借分配角色提升权限）
+function canGrant(user, permissions) {
+  return permissions.every((p) => hasPermission(user, p));
+}
+
+// 不在权限列表中的取值，全部有效时返回空数组
+function unknownPermissions(permissions) {
+  return permissions.filter((p) => !Object.hasOwn(PERMISSIONS, p));
+}
+
+module.exports = {
+  WILDCARD,
+  PERMISSIONS,
+  forRole,
+  invalidate,
+  hasPermission,
+  canGrant,
+  unknownPermissions,
+};
@@ -0,0 +1,186 @@
+const db = require("../../db");
+const { createMemoryStore } = require("./memoryStore");
+const { createRedisStore } = require("./redisStore");
+
+/**
+ * 接口限流：按路由名称配置若干滑动窗口规则，每条规则按请求来源计数
+ * - by 为 ip（客户端 IP）、user（登录用户ID，需在 authMiddleware 之后使用）
+ *   或 email（请求体中的邮箱，用于防止针对单个账号的暴力破解）
+ * - 超出任一规则时返回 429，并带有 Retry-After 与 RateLimit-* 响应头
+ * - 管理员维护的放行名单（IP 或用户ID）中的请求不受限制
+ * 环境变量：
+ * - RATE_LIMIT_ENABLED=false 关闭限流
+ * - RATE_LIMIT_RULES 以 JSON 覆盖某些路由的规则，如 {"login":[{"by":"ip","max":10,"windowMs":60000}]}
+ * - RATE_LIMIT_REDIS_URL 使用 Redis 兼容存储（多实例共享计数），默认使用进程内存
+ * 存储不可用时放行请求并记录日志，避免限流故障导致接口整体不可用
+ */
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const MINUTE = 60 * 1000;
+
+const DEFAULT_RULES = {
+  login: [
+    { by: "ip", max: 30, windowMs: 15 * MINUTE },
+    { by: "email", max: 10, windowMs: 15 * MINUTE },
+  ],
+  register: [{ by: "ip", max: 5, windowMs: 60 * MINUTE }],
+  // 发送验证邮件、找回密码等会发出邮件的接口
+  mail: [
+    { by: "ip", max: 10, windowMs: 60 * MINUTE },
+    { by: "email", max: 3, windowMs: 60 * MINUTE },
+  ],
+  chat: [
+    { by: "ip", max: 60, windowMs: MINUTE },
+    { by: "user", max: 20, windowMs: MINUTE },
+  ],
+};
+const KEY_TYPES = ["ip", "user", "email"];
+// 放行名单缓存时间，管理员修改后立即失效
+const OVERRIDE_CACHE_MS = 30 * 1000;
+
+function loadRules() {
+  const rules = { ...DEFAULT_RULES };
+  if (!process.env.RATE_LIMIT_RULES) return rules;
+  let custom;
+  try {
+    custom = JSON.parse(process.env.RATE_LIMIT_RULES);
+  } catch (err) {
+    throw new Error(`RATE_LIMIT_RULES is not valid JSON: ${err.message}`);
+  }
+  for (const [name, list] of Object.entries(custom)) {
+    if (!Array.isArray(list)) {
+      throw new Error(`RATE_LIMIT_RULES.${name} must be an array`);
+    }
+    for (const rule of list) {
+      if (
+        !KEY_TYPES.includes(rule.by) ||
+        !(rule.max > 0) ||
+        !(rule.windowMs > 0)
+      ) {
+        throw new Error(
+          `invalid rule in RATE_LIMIT_RULES.${name}: ${JSON.stringify(rule)}`,
+        );
+      }
+    }
+    rules[name] = list;
+  }
+  return rules;
+}
+
+const rules = loadRules();
+const store = process.env.RATE_LIMIT_REDIS_URL
+  ? createRedisStore({ url: process.env.RATE_LIMIT_REDIS_URL })
+  : createMemoryStore();
+
+let overrides = null;
+let overridesLoadedAt = 0;
+
+async function getOverrides() {
+  if (!overrides || Date.now() - overridesLoadedAt > OVERRIDE_CACHE_MS) {
+    const rows = await db.getActiveRateLimitOverrides();
+    overrides = {
+      ip: new Set(rows.filter((r) => r.type === "ip").map((r) => r.value)),
+      user: new Set(rows.filter((r) => r.type === "user").map((r) => r.value)),
+    };
+    overridesLoadedAt = Date.now();
+  }
+  return overrides;
+}
+
+// 放行名单变更后调用，下次请求时重新加载
+function invalidateOverrides() {
+  overrides = null;
+}
+
+async function isExempt(req) {
+  const list = await getOverrides();
+  if (list.ip.has(req.ip)) return true;
+  return Boolean(req.user && list.user.has(String(req.user.id)));
+}
+
+function keyFor(by, req) {
+  if (by === "ip") return req.ip || null;
+  if (by === "user") return req.user ? String(req.user.id) : null;
+  if (by === "email") {
+    const email = req.body && req.body.email;
+    return typeof email === "string" && email.trim()
+      ? email.trim().toLowerCase()
+      : null;
+  }
+  return null;
+}
+
+/**
+ * 生成某个路由的限流中间件
+ * @param {string} name - 规则名称（login / register / mail / chat 或 RATE_LIMIT_RULES 中的自定义名称）
+ */
+function limit(name) {
+  return async (req, res, next) => {
+    const list = rules[name];
+    if (!ENABLED || !list || list.length === 0) return next();
+
+    let tightest = null;
+    let blocked = false;
+    let retryMs = 0;
+    try {
+      if (await isExempt(req)) return next();
+      for (const rule of list) {
+        const key = keyFor(rule.by, req);
+        if (!key) continue;
+        const result = await store.hit(
+          `${name}:${rule.by}:${key}`,
+          rule.windowMs,
+          rule.max,
+        );
+        const remaining = result.allowed ? rule.max - result.count : 0;
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { rule, remaining, resetMs: result.resetMs };
+        }
+        if (!result.allowed) {
+          blocked = true;
+          retryMs = Math.max(retryMs, result.resetMs);
+        }
+      }
+    } catch (err) {
+      console.error("Rate Limit Error:", err);
+      return next();
+    }
+    if (!tightest) return next();
+
+    // IETF RateLimit 头（draft-ietf-httpapi-ratelimit-headers），Reset 为秒数
+    res.set({
+      "RateLimit-Policy": list
+        .map((r) => `${r.max};w=${r.windowMs / 1000}`)
+        .join(", "),
+      "RateLimit-Limit": String(tightest.rule.max),
+      "RateLimit-Remaining": String(tightest.remaining),
+      "RateLimit-Reset": String(Math.ceil(tightest.resetMs / 1000)),
+    });
+    if (blocked) {
+      res.set("Retry-After", String(Math.max(Math.ceil(retryMs / 1000), 1)));
+      return res.status(429).json({ error: "too many requests" });
+    }
+    next();
+  };
+}
+
+/**
+ * 清除某个来源的计数，如登录成功后清除该邮箱的失败尝试
+ * @param {string} name - 规则名称
+ * @param {string} by - ip / user / email
+ * @param {string} value - 来源取值
+ */
+async function resetKey(name, by, value) {
+  if (!ENABLED || !value) return;
+  try {
+    await store.reset(`${name}:${by}:${String(value).trim().toLowerCase()}`);
+  } catch (err) {
+    console.error("Rate Limit Error:", err);
+  }
+}
+
+// 当前生效的规则与存储类型，供管理接口展示
+function describe() {
+  return { enabled: ENABLED, store: store.name, rules };
+}
+
+module.exports = { limit, resetKey, invalidateOverrides, describe };
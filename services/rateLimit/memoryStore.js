@@ -0,0 +1,47 @@
+/**
+ * 进程内存中的滑动窗口存储：每个 key 保存窗口内被放行请求的时间戳。
+ * 仅在当前进程内生效，多实例部署时请使用 Redis 存储
+ */
+function createMemoryStore() {
+  const hits = new Map();
+
+  // 定期清理窗口已过的 key，避免长期运行后占用内存
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.expiresAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  /**
+   * 记录一次请求并返回窗口内的请求数；已达上限时不记录
+   * @returns {Promise<{count: number, allowed: boolean, resetMs: number}>}
+   *   count 为包括本次在内的已放行请求数，resetMs 为窗口内最早一次请求过期的剩余毫秒数
+   */
+  async function hit(key, windowMs, max) {
+    const now = Date.now();
+    const entry = hits.get(key) || { stamps: [], expiresAt: 0 };
+    entry.stamps = entry.stamps.filter((t) => t > now - windowMs);
+
+    const allowed = entry.stamps.length < max;
+    if (allowed) entry.stamps.push(now);
+    entry.expiresAt = now + windowMs;
+    hits.set(key, entry);
+
+    const oldest = entry.stamps[0] || now;
+    return {
+      count: entry.stamps.length,
+      allowed,
+      resetMs: Math.max(oldest + windowMs - now, 0),
+    };
+  }
+
+  async function reset(key) {
+    hits.delete(key);
+  }
+
+  return { name: "memory", hit, reset };
+}
+
+module.exports = { createMemoryStore };
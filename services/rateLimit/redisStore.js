@@ -0,0 +1,56 @@
+const Redis = require("ioredis");
+
+/**
+ * Redis（或兼容协议的服务，如 Valkey、KeyDB）中的滑动窗口存储，多实例共享计数。
+ * 每个 key 为一个有序集合，成员为被放行请求的时间戳，判断与写入在 Lua 脚本中原子完成
+ */
+const HIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < max then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')[2]
+return { count, allowed, tonumber(oldest or now) }
+`;
+
+function createRedisStore({ url, prefix = "ratelimit:" }) {
+  const client = new Redis(url, { maxRetriesPerRequest: 1 });
+  client.on("error", (err) => console.error("Rate Limit Redis Error:", err));
+  let seq = 0;
+
+  async function hit(key, windowMs, max) {
+    const now = Date.now();
+    // 同一毫秒内的多次请求需要不同的成员
+    const member = `${now}-${process.pid}-${seq++}`;
+    const [count, allowed, oldest] = await client.eval(
+      HIT_SCRIPT,
+      1,
+      prefix + key,
+      now,
+      windowMs,
+      max,
+      member,
+    );
+    return {
+      count,
+      allowed: allowed === 1,
+      resetMs: Math.max(Number(oldest) + windowMs - now, 0),
+    };
+  }
+
+  async function reset(key) {
+    await client.del(prefix + key);
+  }
+
+  return { name: "redis", hit, reset };
+}
+
+module.exports = { createRedisStore };
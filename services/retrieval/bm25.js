@@ -0,0 +1,84 @@
+/**
+ * 轻量 BM25 实现，支持中英文混合文本
+ * - 英文 / 数字：按牌号友好的规则切词（保留 qsn6.5-0.1、co+ni 等整体），并补充字母数字片段
+ * - 中文：按连续汉字切分为二元组（bigram），单字片段保留为单字
+ */
+const CJK_RE = /[一-鿿]+/g;
+const WORD_RE = /[a-z0-9]+(?:[.+\-/][a-z0-9]+)*/g;
+
+function tokenize(text) {
+  if (!text) return [];
+  const lower = String(text).toLowerCase();
+  const tokens = [];
+
+  for (const word of lower.match(WORD_RE) || []) {
+    tokens.push(word);
+    // 牌号中的字母数字片段，如 qsn6.5-0.1 -> qsn6，便于部分匹配
+    const parts = word.split(/[.+\-/]/).filter((p) => p.length >= 2);
+    if (parts.length > 0 && parts[0] !== word) tokens.push(...parts);
+  }
+
+  for (const seq of lower.match(CJK_RE) || []) {
+    const chars = Array.from(seq);
+    if (chars.length === 1) {
+      tokens.push(chars[0]);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 构建 BM25 索引
+ * @param {Array<{tokens: string[]}>} docs - 已切词的文档
+ * @param {Object} params - k1 / b 参数
+ */
+function createIndex(docs, { k1 = 1.2, b = 0.75 } = {}) {
+  const df = new Map();
+  const termFreqs = docs.map((doc) => {
+    const tf = new Map();
+    for (const t of doc.tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    return tf;
+  });
+  const totalLength = docs.reduce((acc, d) => acc + d.tokens.length, 0);
+  const avgLength = docs.length > 0 ? totalLength / docs.length : 0;
+
+  const idf = (term) => {
+    const n = df.get(term) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  };
+
+  /**
+   * 检索与查询最相关的文档
+   * @returns {Array<{doc: Object, score: number}>} 按得分降序
+   */
+  function search(query, { limit = 5, minScore = 0 } = {}) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0 || docs.length === 0) return [];
+
+    const results = [];
+    docs.forEach((doc, i) => {
+      const tf = termFreqs[i];
+      const len = doc.tokens.length;
+      let score = 0;
+      for (const term of terms) {
+        const f = tf.get(term);
+        if (!f) continue;
+        score +=
+          (idf(term) * f * (k1 + 1)) /
+          (f + k1 * (1 - b + (b * len) / (avgLength || 1)));
+      }
+      if (score > minScore) results.push({ doc, score });
+    });
+    results.sort((x, y) => y.score - x.score);
+    return results.slice(0, limit);
+  }
+
+  return { search, size: docs.length };
+}
+
+module.exports = { tokenize, createIndex };
@@ -0,0 +1,201 @@
+const db = require("../../db");
+const { tokenize, createIndex } = require("./bm25");
+
+/**
+ * 检索增强：从本地合金数据库与参考资料中检索与问题相关的段落，
+ * 注入到 system prompt 中，并生成可供前端展示的引用信息
+ */
+const FAMILY_LABELS = {
+  copper: "纯铜",
+  brass: "黄铜",
+  bronze: "青铜",
+  cupronickel: "白铜（铜镍合金）",
+  beryllium_copper: "铍铜",
+  other: "其他铜合金",
+};
+
+const TOP_K = Number(process.env.RAG_TOP_K) || 4;
+const MIN_SCORE = Number(process.env.RAG_MIN_SCORE) || 0.5;
+const INDEX_TTL_MS = Number(process.env.RAG_INDEX_TTL_MS) || 5 * 60 * 1000;
+const SNIPPET_LENGTH = 120;
+
+const fmt = (v, unit) => (v === null || v === undefined ? null : `${v}${unit}`);
+
+// 将合金记录展开为一段可读文本，既用于建索引，也直接作为参考资料注入 prompt
+function alloyToText(alloy) {
+  const lines = [];
+  lines.push(
+    `牌号 ${alloy.grade}${alloy.name ? `（${alloy.name}）` : ""}，系列：${
+      FAMILY_LABELS[alloy.family] || alloy.family
+    }${alloy.standard ? `，标准：${alloy.standard}` : ""}。`,
+  );
+  if (alloy.description) lines.push(alloy.description);
+
+  if (alloy.composition.length > 0) {
+    const parts = alloy.composition.map((c) => {
+      if (c.balance) return `${c.element} 余量（约 ${c.min}~${c.max}%）`;
+      if (c.min !== null && c.max !== null) {
+        return `${c.element} ${c.min}~${c.max}%`;
+      }
+      if (c.max !== null) return `${c.element} ≤${c.max}%`;
+      return `${c.element} ≥${c.min}%`;
+    });
+    lines.push(`化学成分（质量分数）：${parts.join("，")}。`);
+  }
+
+  const physical = [
+    fmt(alloy.density, " g/cm³") && `密度 ${fmt(alloy.density, " g/cm³")}`,
+    alloy.solidus !== null &&
+      alloy.liquidus !== null &&
+      `熔化温度范围 ${alloy.solidus}~${alloy.liquidus} ℃`,
+    fmt(alloy.thermal_conductivity, " W/(m·K)") &&
+      `热导率 ${fmt(alloy.thermal_conductivity, " W/(m·K)")}`,
+    fmt(alloy.electrical_conductivity, "% IACS") &&
+      `电导率 ${fmt(alloy.electrical_conductivity, "% IACS")}`,
+    fmt(alloy.thermal_expansion, "×10⁻⁶/K") &&
+      `线膨胀系数 ${fmt(alloy.thermal_expansion, "×10⁻⁶/K")}`,
+    fmt(alloy.elastic_modulus, " GPa") &&
+      `弹性模量 ${fmt(alloy.elastic_modulus, " GPa")}`,
+  ].filter(Boolean);
+  if (physical.length > 0) lines.push(`物理性能：${physical.join("，")}。`);
+
+  for (const t of alloy.tempers) {
+    const props = [
+      fmt(t.tensile_strength, " MPa") &&
+        `抗拉强度 ${fmt(t.tensile_strength, " MPa")}`,
+      fmt(t.yield_strength, " MPa") &&
+        `屈服强度 ${fmt(t.yield_strength, " MPa")}`,
+      fmt(t.elongation, "%") && `伸长率 ${fmt(t.elongation, "%")}`,
+      fmt(t.hardness_hv, "") && `硬度 HV${t.hardness_hv}`,
+      fmt(t.electrical_conductivity, "% IACS") &&
+        `电导率 ${fmt(t.electrical_conductivity, "% IACS")}`,
+    ].filter(Boolean);
+    lines.push(
+      `${t.temper} 状态${t.notes ? `（${t.notes}）` : ""}：${props.join("，")}。`,
+    );
+  }
+
+  if (alloy.applications.length > 0) {
+    lines.push(`典型应用：${alloy.applications.join("、")}。`);
+  }
+  return lines.join("\n");
+}
+
+async function buildIndex() {
+  const [alloys, passages] = await Promise.all([
+    db.getAllAlloys(),
+    db.getAllReferencePassages(),
+  ]);
+
+  const docs = [];
+  for (const alloy of alloys) {
+    const title = `${alloy.grade}${alloy.name ? ` ${alloy.name}` : ""}`;
+    const content = alloyToText(alloy);
+    docs.push({
+      type: "alloy",
+      id: alloy.id,
+      title,
+      source: alloy.standard || "合金数据库",
+      content,
+      // 牌号重复一次以提高其权重
+      tokens: tokenize(`${alloy.grade} ${title} ${content}`),
+    });
+  }
+  for (const p of passages) {
+    docs.push({
+      type: "passage",
+      id: p.id,
+      title: p.title,
+      source: p.source || (p.alloy_grade ? `牌号 ${p.alloy_grade}` : null),
+      content: p.content,
+      tokens: tokenize(`${p.title} ${p.alloy_grade || ""} ${p.content}`),
+    });
+  }
+  return createIndex(docs);
+}
+
+let cached = null;
+
+// 获取索引（带缓存），合金或参考资料变更后调用 invalidate() 触发重建
+function getIndex() {
+  const now = Date.now();
+  if (!cached || now - cached.builtAt > INDEX_TTL_MS) {
+    const entry = { builtAt: now, promise: buildIndex() };
+    entry.promise.catch(() => {
+      if (cached === entry) cached = null;
+    });
+    cached = entry;
+  }
+  return cached.promise;
+}
+
+function invalidate() {
+  cached = null;
+}
+
+/**
+ * 检索与问题相关的参考资料
+ * @param {string} query - 检索文本
+ * @param {Object} options - limit / minScore
+ * @returns {Promise<Array>} 带编号的参考资料列表
+ */
+async function retrieve(query, { limit = TOP_K, minScore = MIN_SCORE } = {}) {
+  const index = await getIndex();
+  return index.search(query, { limit, minScore }).map(({ doc, score }, i) => ({
+    index: i + 1,
+    type: doc.type,
+    id: doc.id,
+    title: doc.title,
+    source: doc.source,
+    content: doc.content,
+    score: Number(score.toFixed(4)),
+  }));
+}
+
+// 在基础 system prompt 后追加参考资料及引用要求
+function buildSystemPrompt(basePrompt, passages = []) {
+  if (passages.length === 0) return basePrompt;
+  const refs = passages
+    .map((p) => `[${p.index}] ${p.title}\n${p.content}`)
+    .join("\n\n");
+  return `${basePrompt}
+以下是从本地铜合金数据库检索到的参考资料。回答时请优先使用其中的数据，
+并在引用数据的句子末尾用 [编号] 标注来源（如 [1]）；资料未覆盖的内容请注明为一般经验值。
+
+${refs}
+`;
+}
+
+// 转换为前端展示用的引用信息（不含完整正文）
+function toCitations(passages = []) {
+  return passages.map((p) => ({
+    index: p.index,
+    type: p.type,
+    id: p.id,
+    title: p.title,
+    source: p.source,
+    snippet:
+      p.content.length > SNIPPET_LENGTH
+        ? `${p.content.slice(0, SNIPPET_LENGTH)}…`
+        : p.content,
+  }));
+}
+
+// 回答中出现 [n] 标注时，只保留被实际引用的资料；未标注则保留全部注入的资料
+function filterCited(citations = [], answer = "") {
+  const used = new Set(
+    Array.from(String(answer).matchAll(/\[(\d+)\]/g), (m) => Number(m[1])),
+  );
+  if (used.size === 0) return citations;
+  const cited = citations.filter((c) => used.has(c.index));
+  return cited.length > 0 ? cited : citations;
+}
+
+module.exports = {
+  retrieve,
+  invalidate,
+  buildSystemPrompt,
+  toCitations,
+  filterCited,
+  alloyToText,
+};
@@ -0,0 +1,80 @@
+/**
+ * 对话历史全文检索的查询解析与结果高亮
+ * 数据库侧使用 InnoDB FULLTEXT 索引（ngram 解析器，默认 ngram_token_size=2），
+ * 少于 2 个字符的词无法命中，解析时直接忽略
+ */
+const MIN_TERM_LENGTH = 2;
+const MAX_TERMS = 10;
+// 布尔模式下有特殊含义的字符；“-”只在词首有含义，保留牌号中的连字符（如 QSn6.5-0.1）
+const OPERATOR_RE = /[+<>()~*"@]+/g;
+
+/**
+ * 解析搜索词：去掉布尔运算符后按空白切分，每个词作为短语且必须出现
+ * @returns {{terms: string[], booleanQuery: string}} 没有有效词时 terms 为空
+ */
+function parseQuery(q) {
+  const terms = [];
+  for (const raw of String(q || "")
+    .replace(OPERATOR_RE, " ")
+    .split(/\s+/)) {
+    const term = raw.replace(/^-+|-+$/g, "");
+    if (Array.from(term).length < MIN_TERM_LENGTH) continue;
+    if (!terms.some((t) => t.toLowerCase() === term.toLowerCase())) {
+      terms.push(term);
+    }
+    if (terms.length >= MAX_TERMS) break;
+  }
+  return {
+    terms,
+    booleanQuery: terms.map((t) => `+"${t}"`).join(" "),
+  };
+}
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * 截取包含首个命中词的片段，并用 <mark> 标出全部命中词（其余内容已做 HTML 转义）
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {Object} options
+ * @param {number} [options.radius=40] - 命中词前后保留的字符数，为 0 时返回全文
+ */
+function highlight(text, terms, { radius = 40 } = {}) {
+  const source = String(text || "");
+  if (terms.length === 0) return escapeHtml(source);
+  const re = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+
+  let snippet = source;
+  let prefix = "";
+  let suffix = "";
+  if (radius > 0) {
+    const first = source.search(re);
+    const center = first < 0 ? 0 : first;
+    const start = Math.max(0, center - radius);
+    const end = Math.min(source.length, center + radius * 2);
+    snippet = source.slice(start, end);
+    if (start > 0) prefix = "…";
+    if (end < source.length) suffix = "…";
+  }
+
+  let result = "";
+  let last = 0;
+  for (const match of snippet.matchAll(re)) {
+    result += escapeHtml(snippet.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  result += escapeHtml(snippet.slice(last));
+  return prefix + result.replace(/\s+/g, " ") + suffix;
+}
+
+module.exports = { parseQuery, highlight };
@@ -0,0 +1,126 @@
+const jwt = require("jsonwebtoken");
+const { createHash, randomBytes } = require("crypto");
+const db = require("../db");
+const permissions = require("./permissions");
+
+/**
+ * 登录会话与令牌签发
+ * - 访问令牌：短期 JWT（{ id, role, sid }），sid 为会话ID，验证时同时检查会话是否仍有效
+ * - 刷新令牌：形如 "<会话ID>.<随机串>"，数据库只保存随机串的 SHA-256；每次刷新都会轮换，
+ *   已轮换掉的旧令牌再次出现时视为泄露，撤销整个会话
+ * 环境变量：
+ * - JWT_SECRET 访问令牌签名密钥
+ * - ACCESS_TOKEN_TTL 访问令牌有效期（秒，默认 900）
+ * - REFRESH_TOKEN_TTL_DAYS 刷新令牌有效期（天，默认 30，每次刷新后重新计算）
+ */
+const JWT_SECRET = process.env.JWT_SECRET || "dev_secret";
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => createHash("sha256").update(secret).digest("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000);
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL,
+    },
+  );
+}
+
+function tokenPair(user, sessionId, secret) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * 为登录（或注册）创建会话并签发令牌
+ * @param {Object} user - users 表中的用户
+ * @param {Object} req - 用于记录登录设备与 IP
+ * @returns {Promise<{token, refreshToken, expiresIn}>}
+ */
+async function issue(user, req) {
+  const secret = randomBytes(32).toString("base64url");
+  const session = await db.createSession({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  return tokenPair(user, session.id, secret);
+}
+
+/**
+ * 用刷新令牌换取新的令牌对
+ * @returns {Promise<{error: string} | {token, refreshToken, expiresIn}>}
+ */
+async function refresh(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret) return { error: "invalid refresh token" };
+
+  const session = await db.getSessionById(sessionId);
+  if (!session || session.revoked_at) return { error: "session revoked" };
+  if (new Date(session.expires_at) <= new Date()) {
+    return { error: "session expired" };
+  }
+
+  const hash = hashToken(secret);
+  if (hash !== session.refresh_token_hash) {
+    // 已轮换掉的令牌被再次使用，说明令牌可能已泄露，撤销该会话
+    if (hash === session.previous_token_hash) {
+      await db.revokeSession(sessionId);
+      return { error: "refresh token reused" };
+    }
+    return { error: "invalid refresh token" };
+  }
+
+  const user = await db.getUserById(session.user_id);
+  if (!user) return { error: "session revoked" };
+
+  const nextSecret = randomBytes(32).toString("base64url");
+  const rotated = await db.rotateSession(
+    sessionId,
+    hash,
+    hashToken(nextSecret),
+    {
+      ip: req.ip,
+      expiresAt: refreshExpiry(),
+    },
+  );
+  // 并发刷新中另一个请求已完成轮换
+  if (!rotated) return { error: "invalid refresh token" };
+  return tokenPair(user, sessionId, nextSecret);
+}
+
+/**
+ * 验证访问令牌：签名有效且所属会话未撤销、未过期
+ * @returns {Promise<{id, role, permissions, sessionId} | null>} role 取用户当前角色，
+ *   permissions 为该角色当前拥有的权限
+ */
+async function verify(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (!payload.sid) return null;
+  const session = await db.getActiveSession(payload.sid);
+  if (!session || session.user_id !== payload.id) return null;
+  return {
+    id: session.user_id,
+    role: session.role,
+    permissions: await permissions.forRole(session.role),
+    sessionId: session.id,
+  };
+}
+
+module.exports = { issue, refresh, verify };
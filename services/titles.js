@@ -0,0 +1,61 @@
+const openaiService = require("../openai");
+
+/**
+ * 对话标题生成：在首个回答完成后，用一次简短的非流式调用为对话概括标题，
+ * 如“H62 与 H65 黄铜力学性能对比”
+ * - TITLE_GENERATION=false 关闭（保留截取问题前 60 个字符的标题）
+ * - TITLE_LLM_PROVIDER 可为标题生成单独指定 provider（默认与对话相同）
+ * - TITLE_TIMEOUT_MS 标题生成的超时时间（默认 10000）
+ */
+const ENABLED = process.env.TITLE_GENERATION !== "false";
+const PROVIDER = process.env.TITLE_LLM_PROVIDER || undefined;
+const TIMEOUT_MS = Number(process.env.TITLE_TIMEOUT_MS) || 10000;
+const MAX_LENGTH = 30;
+
+const TITLE_PROMPT = `你负责为铜及铜合金领域的问答对话拟定标题。
+根据用户的问题和助理的回答，用一句不超过 20 个汉字的中文短语概括对话主题，
+保留关键牌号与性能指标，例如“H62 与 H65 黄铜力学性能对比”。
+只输出标题本身，不要加引号、标点结尾或任何解释。`;
+
+// 清理模型输出：去掉“标题：”前缀、引号书名号与结尾标点，只取第一行
+function cleanTitle(text) {
+  const line =
+    String(text || "")
+      .split("\n")
+      .map((l) => l.trim())
+      .find(Boolean) || "";
+  const title = line
+    .replace(/^(标题|title)\s*[:：]\s*/i, "")
+    .replace(/^["'“”‘’《「『]+/, "")
+    .replace(/["'“”‘’》」』。.!！?？,，;；:：]+$/, "")
+    .trim();
+  return Array.from(title).slice(0, MAX_LENGTH).join("");
+}
+
+/**
+ * 为一问一答生成标题
+ * @param {Object} [options] - onUsage：回传本次调用的 token 用量
+ * @returns {Promise<string|null>} 未启用或生成结果为空时返回 null
+ */
+async function generateTitle(question, answer, options = {}) {
+  if (!ENABLED) return null;
+  const reply = await openaiService.getChatCompletion(
+    [
+      { role: "system", content: TITLE_PROMPT },
+      {
+        role: "user",
+        content: `问题：${question.slice(0, 500)}\n\n回答：${answer.slice(0, 1000)}`,
+      },
+    ],
+    {
+      provider: PROVIDER,
+      temperature: 0.3,
+      max_tokens: 40,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      onUsage: options.onUsage,
+    },
+  );
+  return cleanTitle(reply) || null;
+}
+
+module.exports = { generateTitle, cleanTitle };
@@ -0,0 +1,49 @@
+/**
+ * 本地 token 数估算（不依赖具体模型的分词器），用于按预算裁剪上下文
+ * - 汉字及其他 CJK 字符按 1 个 token 计
+ * - 其余字符（英文、数字、标点、空白）约每 4 个字符 1 个 token
+ * - 每条消息另加固定的格式开销
+ * 估算值偏保守，实际用量通常略低
+ */
+const CJK_RE =
+  /[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+const MESSAGE_OVERHEAD = 4;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  const str = String(text);
+  const cjk = (str.match(CJK_RE) || []).length;
+  const rest = str.length - cjk;
+  return cjk + Math.ceil(rest / 4);
+}
+
+// 一条对话消息（{ role, content }）的估算 token 数
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * 将文本截断到不超过 maxTokens，保留开头与结尾，中间以省略标记代替
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens) {
+  const str = String(text || "");
+  if (estimateTokens(str) <= maxTokens) return str;
+  const marker = "\n…（中间内容已省略）…\n";
+  const budget = Math.max(maxTokens - estimateTokens(marker), 0);
+  const chars = Array.from(str);
+
+  // 二分查找首尾各保留多少个字符
+  let lo = 0;
+  let hi = Math.floor(chars.length / 2);
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    const kept = chars.slice(0, mid).join("") + chars.slice(-mid).join("");
+    if (estimateTokens(kept) <= budget) lo = mid;
+    else hi = mid - 1;
+  }
+  if (lo === 0) return "";
+  return chars.slice(0, lo).join("") + marker + chars.slice(-lo).join("");
+}
+
+module.exports = { estimateTokens, estimateMessageTokens, truncateToTokens };
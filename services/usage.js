@@ -0,0 +1,94 @@
+const db = require("../db");
+
+/**
+ * token 用量记录与配额检查
+ * - 每次模型调用（对话回复、标题生成、摘要更新）按用户记入 token_usage，
+ *   上游未返回用量时使用本地估算值并标记 estimated
+ * - 配额按自然日或自然月（服务器时区）统计输入与输出 token 之和；
+ *   同一周期同时存在用户配额和角色配额时以用户配额为准
+ */
+const PERIODS = ["day", "month"];
+
+// 周期的起止时间
+function periodRange(period, now = new Date()) {
+  if (period === "day") {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return { start, end };
+  }
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return { start, end };
+}
+
+/**
+ * 记录一次模型调用的用量，失败只记录日志
+ * @param {number} userId
+ * @param {string} kind - chat / title / summary / classifier
+ * @param {Object} usage - openai.js onUsage 回传的用量
+ * @param {Object} refs - conversationId / messageId
+ */
+async function record(userId, kind, usage, refs = {}) {
+  if (!userId || !usage) return;
+  try {
+    await db.recordTokenUsage({
+      userId,
+      conversationId: refs.conversationId,
+      messageId: refs.messageId,
+      kind,
+      provider: usage.provider,
+      model: usage.model,
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      estimated: usage.estimated,
+    });
+  } catch (err) {
+    console.error("Token Usage Record Error:", err);
+  }
+}
+
+/**
+ * 用户当前生效的配额及本周期用量
+ * @param {{id: number, role: string}} user
+ * @returns {Promise<Array<{period, limit, used, remaining, scope, reset_at}>>}
+ */
+async function getQuotaStatus(user) {
+  const quotas = await db.getTokenQuotasFor(user.id, user.role);
+  const effective = PERIODS.map(
+    (period) =>
+      quotas.find((q) => q.period === period && q.scope === "user") ||
+      quotas.find((q) => q.period === period && q.scope === "role"),
+  ).filter(Boolean);
+
+  return Promise.all(
+    effective.map(async (q) => {
+      const { start, end } = periodRange(q.period);
+      const used = await db.getUserTokensSince(user.id, start);
+      return {
+        period: q.period,
+        scope: q.scope,
+        limit: q.token_limit,
+        used,
+        remaining: Math.max(q.token_limit - used, 0),
+        reset_at: end,
+      };
+    }),
+  );
+}
+
+/**
+ * 检查用户是否已用完配额
+ * @returns {Promise<Object|null>} 已超出的配额（见 getQuotaStatus），未超出时返回 null
+ */
+async function checkQuota(user) {
+  const status = await getQuotaStatus(user);
+  return status.find((q) => q.used >= q.limit) || null;
+}
+
+module.exports = {
+  PERIODS,
+  periodRange,
+  record,
+  getQuotaStatus,
+  checkQuota,
+};
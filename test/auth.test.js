@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+const { mockDb } = require("./helpers/mockDb");
+const roles = require("../data/roles");
+
+// 连续失败 3 次锁定 15 分钟；限流与邮箱验证不在这里测试
+process.env.LOGIN_MAX_FAILURES = "3";
+process.env.LOGIN_LOCK_MINUTES = "15";
+process.env.RATE_LIMIT_ENABLED = "false";
+process.env.EMAIL_VERIFICATION_REQUIRED = "false";
+
+const PASSWORD = "correct-horse";
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+const users = [
+  { id: 1, email: "user@example.com", role: "user" },
+  { id: 2, email: "admin@example.com", role: "admin" },
+  { id: 3, email: "helper@example.com", role: "helper" },
+].map((u) => ({
+  ...u,
+  username: u.email.split("@")[0],
+  password: passwordHash,
+  email_verified: 1,
+  failed_login_count: 0,
+  locked_until: null,
+}));
+// helper 角色只能解锁账号，权限低于 admin
+const rolePermissions = [
+  ...roles.flatMap((r) => r.permissions.map((p) => [r.name, p])),
+  ["helper", "users:update"],
+].map(([role, permission]) => ({ role, permission }));
+const loginEvents = [];
+const sessionRows = new Map();
+
+// 内存中的 users / sessions 表，按 db.js 中 SQL 的语义实现
+mockDb({
+  async getUserByEmail(email) {
+    return users.find((u) => u.email === email);
+  },
+  async getUserById(id) {
+    return users.find((u) => u.id === id);
+  },
+  async recordLoginFailure(userId, maxFailures, lockMinutes) {
+    const user = users.find((u) => u.id === userId);
+    if (user.failed_login_count + 1 >= maxFailures) {
+      user.failed_login_count = 0;
+      user.locked_until = new Date(Date.now() + lockMinutes * 60 * 1000);
+      return user.locked_until;
+    }
+    user.failed_login_count += 1;
+    return null;
+  },
+  async updateUserLoginInfo(userId) {
+    const user = users.find((u) => u.id === userId);
+    user.failed_login_count = 0;
+    user.locked_until = null;
+  },
+  async unlockUser(userId) {
+    const user = users.find((u) => u.id === userId);
+    if (!user) return false;
+    user.failed_login_count = 0;
+    user.locked_until = null;
+    return true;
+  },
+  async recordLoginEvent(event) {
+    loginEvents.push(event);
+  },
+  async cancelUserDeletion() {
+    return false;
+  },
+  async createSession({ userId, expiresAt }) {
+    const id = `session-${sessionRows.size + 1}`;
+    sessionRows.set(id, { id, user_id: userId });
+    return { id, user_id: userId, expires_at: expiresAt };
+  },
+  async getActiveSession(id) {
+    const row = sessionRows.get(id);
+    if (!row) return null;
+    const user = users.find((u) => u.id === row.user_id);
+    return { ...row, role: user.role };
+  },
+  async getRolePermissionRows() {
+    return rolePermissions;
+  },
+  async appendAuditLog() {},
+});
+
+const authRouter = require("../routes/auth");
+
+let baseUrl;
+let server;
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/auth", authRouter);
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+async function post(path, body, token) {
+  const res = await fetch(baseUrl + path, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body || {}),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const login = (email, password) => post("/auth/login", { email, password });
+
+test("连续密码错误达到上限后锁定，锁定期间正确密码也被拒绝", async () => {
+  const email = "user@example.com";
+  for (let i = 0; i < 3; i++) {
+    const res = await login(email, "wrong");
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: "invalid credentials" });
+  }
+  assert.ok(users[0].locked_until > new Date());
+
+  const locked = await login(email, PASSWORD);
+  // 与密码错误、邮箱未注册的响应一致，锁定原因只记入登录记录
+  assert.equal(locked.status, 401);
+  assert.deepEqual(locked.body, { error: "invalid credentials" });
+  assert.equal(loginEvents[loginEvents.length - 1].reason, "locked");
+  // 锁定期间不累计失败次数
+  await login(email, "wrong");
+  assert.equal(users[0].failed_login_count, 0);
+
+  const unknown = await login("nobody@example.com", "wrong");
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown.body, locked.body);
+});
+
+test("锁定到期后可以登录，登录成功清零失败次数", async () => {
+  users[0].locked_until = new Date(Date.now() - 1000);
+  await login("user@example.com", "wrong");
+  assert.equal(users[0].failed_login_count, 1);
+
+  const res = await login("user@example.com", PASSWORD);
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token && res.body.refreshToken);
+  assert.equal(users[0].failed_login_count, 0);
+});
+
+test("解锁接口：校验用户ID，且不能解锁权限高于自己的账号", async () => {
+  const { body } = await login("helper@example.com", PASSWORD);
+  const token = body.token;
+
+  users[0].locked_until = new Date(Date.now() + 60000);
+  const ok = await post("/auth/users/1/unlock", {}, token);
+  assert.equal(ok.status, 200);
+  assert.equal(users[0].locked_until, null);
+
+  users[1].locked_until = new Date(Date.now() + 60000);
+  const beyond = await post("/auth/users/2/unlock", {}, token);
+  assert.equal(beyond.status, 403);
+  assert.ok(users[1].locked_until);
+  users[1].locked_until = null;
+
+  for (const id of ["abc", "0", "99"]) {
+    const res = await post(`/auth/users/${id}/unlock`, {}, token);
+    assert.equal(res.status, 404);
+  }
+
+  const { body: plain } = await login("user@example.com", PASSWORD);
+  const denied = await post("/auth/users/3/unlock", {}, plain.token);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.permission, "users:update");
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const generations = require("../services/generations");
+
+// 收集跟随者收到的事件，null 记为 "end"
+function collector() {
+  const received = [];
+  const listener = (event) => received.push(event ? event.id : "end");
+  return { received, listener };
+}
+
+test("按 Last-Event-ID 补发错过的事件后继续接收实时事件", () => {
+  const entry = generations.start("conv-replay");
+  generations.publish(entry, { started: true });
+  const second = generations.publish(entry, { chunk: "a" });
+  generations.publish(entry, { chunk: "b" });
+
+  const { received, listener } = collector();
+  generations.subscribe(entry, listener, second.id);
+  assert.deepEqual(received, [`${entry.id}-3`]);
+
+  generations.publish(entry, { done: true });
+  generations.finish(entry);
+  assert.deepEqual(received, [`${entry.id}-3`, `${entry.id}-4`, "end"]);
+});
+
+test("其他生成的 Last-Event-ID 或无法解析时从头补发", () => {
+  const entry = generations.start("conv-foreign");
+  generations.publish(entry, { chunk: "a" });
+  generations.publish(entry, { chunk: "b" });
+
+  for (const lastEventId of [`${entry.id + 1000}-1`, "garbage", undefined]) {
+    const { received, listener } = collector();
+    generations.subscribe(entry, listener, lastEventId);
+    assert.deepEqual(received, [`${entry.id}-1`, `${entry.id}-2`]);
+  }
+  generations.finish(entry);
+});
+
+test("生成结束后重连仍能取回剩余事件并立即收到结束", () => {
+  const entry = generations.start("conv-finished");
+  const first = generations.publish(entry, { chunk: "a" });
+  generations.publish(entry, { done: true });
+  generations.finish(entry);
+
+  assert.equal(generations.get("conv-finished"), entry);
+  const { received, listener } = collector();
+  generations.subscribe(entry, listener, first.id);
+  assert.deepEqual(received, [`${entry.id}-2`, "end"]);
+});
+
+test("reserve 在生成进行中返回 null，abandon 后可再次登记", () => {
+  const entry = generations.reserve("conv-reserve");
+  assert.ok(entry);
+  assert.equal(generations.isRunning("conv-reserve"), true);
+  assert.equal(generations.reserve("conv-reserve"), null);
+
+  const { received, listener } = collector();
+  generations.subscribe(entry, listener);
+  generations.abandon(entry);
+  assert.deepEqual(received, ["end"]);
+  assert.equal(generations.get("conv-reserve"), null);
+
+  const next = generations.reserve("conv-reserve");
+  assert.ok(next);
+  assert.notEqual(next.id, entry.id);
+  generations.finish(next);
+});
+
+test("abandon 不影响已结束的生成，其事件仍可续传", () => {
+  const entry = generations.reserve("conv-abandon-finished");
+  generations.publish(entry, { done: true });
+  generations.finish(entry);
+  generations.abandon(entry);
+  assert.equal(generations.get("conv-abandon-finished"), entry);
+});
+
+test("release 后允许开始新的生成，跟随者仍接收收尾事件", () => {
+  const entry = generations.reserve("conv-release");
+  const { received, listener } = collector();
+  generations.subscribe(entry, listener);
+  generations.release(entry);
+  assert.equal(generations.isRunning("conv-release"), false);
+
+  generations.publish(entry, { title: "标题" });
+  generations.finish(entry);
+  assert.deepEqual(received, [`${entry.id}-1`, "end"]);
+});
+
+test("stop 中止进行中的生成", () => {
+  const entry = generations.reserve("conv-stop");
+  assert.equal(generations.stop("conv-stop", "stopped by user"), true);
+  assert.equal(entry.signal.aborted, true);
+  generations.finish(entry);
+  assert.equal(generations.stop("conv-stop"), false);
+});
@@ -0,0 +1,21 @@
+/**
+ * 测试用的 db 模块替身：在加载被测模块之前写入 require 缓存，
+ * 被测模块中的 require("../db") 拿到的就是这里传入的内存实现，测试无需连接 MySQL
+ */
+const DB_PATH = require.resolve("../../db");
+
+/**
+ * @param {Object} impl - 被测代码用到的 db 函数
+ * @returns {Object} impl 本身，测试中可继续替换其中的函数
+ */
+function mockDb(impl) {
+  require.cache[DB_PATH] = {
+    id: DB_PATH,
+    filename: DB_PATH,
+    loaded: true,
+    exports: impl,
+  };
+  return impl;
+}
+
+module.exports = { mockDb };
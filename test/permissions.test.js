@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mockDb } = require("./helpers/mockDb");
+
+let rows = [
+  { role: "admin", permission: "*" },
+  { role: "auditor", permission: "audit:read" },
+  { role: "auditor", permission: "users:read" },
+];
+let loads = 0;
+mockDb({
+  async getRolePermissionRows() {
+    loads += 1;
+    return rows;
+  },
+});
+
+const permissions = require("../services/permissions");
+
+test("通配符拥有全部权限，其他角色只拥有列出的权限", () => {
+  const admin = { permissions: ["*"] };
+  const auditor = { permissions: ["audit:read", "users:read"] };
+  assert.equal(permissions.hasPermission(admin, "users:delete"), true);
+  assert.equal(permissions.hasPermission(auditor, "users:read"), true);
+  assert.equal(permissions.hasPermission(auditor, "users:delete"), false);
+  assert.equal(permissions.hasPermission(null, "users:read"), false);
+});
+
+test("只能授予自己拥有的权限", () => {
+  const auditor = { permissions: ["audit:read", "users:read"] };
+  assert.equal(permissions.canGrant(auditor, ["users:read"]), true);
+  assert.equal(permissions.canGrant(auditor, []), true);
+  assert.equal(permissions.canGrant(auditor, ["users:read", "*"]), false);
+  assert.equal(permissions.canGrant({ permissions: ["*"] }, ["*"]), true);
+});
+
+test("未知权限包括继承自 Object.prototype 的名称", () => {
+  assert.deepEqual(
+    permissions.unknownPermissions(["users:read", "nope", "toString"]),
+    ["nope", "toString"],
+  );
+});
+
+test("角色权限缓存在 invalidate 后重新加载", async () => {
+  assert.deepEqual(await permissions.forRole("auditor"), [
+    "audit:read",
+    "users:read",
+  ]);
+  assert.deepEqual(await permissions.forRole("ghost"), []);
+  assert.equal(loads, 1);
+
+  rows = [...rows, { role: "auditor", permission: "usage:read" }];
+  assert.equal((await permissions.forRole("auditor")).length, 2);
+  permissions.invalidate();
+  assert.equal((await permissions.forRole("auditor")).length, 3);
+  assert.equal(loads, 2);
+});
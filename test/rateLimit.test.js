@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mockDb } = require("./helpers/mockDb");
+
+const overrides = [];
+mockDb({
+  async getActiveRateLimitOverrides() {
+    return overrides;
+  },
+});
+// 规则在模块加载时读取，需先设置环境变量
+delete process.env.RATE_LIMIT_REDIS_URL;
+process.env.RATE_LIMIT_RULES = JSON.stringify({
+  login: [
+    { by: "ip", max: 3, windowMs: 60000 },
+    { by: "email", max: 2, windowMs: 60000 },
+  ],
+});
+
+const { createMemoryStore } = require("../services/rateLimit/memoryStore");
+const rateLimit = require("../services/rateLimit");
+
+// 以可控的时钟替换 Date.now，返回推进时间的方法
+function fakeClock(t, start = 1_000_000) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return (ms) => {
+    now += ms;
+  };
+}
+
+// 调用限流中间件，返回响应状态、响应头以及是否放行
+async function call(middleware, { ip = "10.0.0.1", email } = {}) {
+  const result = { status: 200, headers: {}, passed: false };
+  const req = { ip, body: email ? { email } : {} };
+  const res = {
+    set(name, value) {
+      if (typeof name === "object") Object.assign(result.headers, name);
+      else result.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+  await middleware(req, res, () => {
+    result.passed = true;
+  });
+  return result;
+}
+
+test("内存存储：窗口内达到上限后拒绝，且被拒绝的请求不计数", async (t) => {
+  const advance = fakeClock(t);
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.hit("k", 1000, 2), {
+    count: 1,
+    allowed: true,
+    resetMs: 1000,
+  });
+  advance(400);
+  assert.equal((await store.hit("k", 1000, 2)).allowed, true);
+  advance(100);
+  const blocked = await store.hit("k", 1000, 2);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.count, 2);
+  // 最早一次请求在 500ms 后滑出窗口
+  assert.equal(blocked.resetMs, 500);
+
+  advance(500);
+  const afterSlide = await store.hit("k", 1000, 2);
+  assert.equal(afterSlide.allowed, true);
+  assert.equal(afterSlide.count, 2);
+});
+
+test("内存存储：不同 key 分别计数，reset 清除计数", async (t) => {
+  fakeClock(t);
+  const store = createMemoryStore();
+  await store.hit("a", 1000, 1);
+  assert.equal((await store.hit("a", 1000, 1)).allowed, false);
+  assert.equal((await store.hit("b", 1000, 1)).allowed, true);
+
+  await store.reset("a");
+  assert.equal((await store.hit("a", 1000, 1)).allowed, true);
+});
+
+test("中间件：超出任一规则返回 429 与 Retry-After，窗口过后恢复", async (t) => {
+  const advance = fakeClock(t, 2_000_000);
+  const login = rateLimit.limit("login");
+  const email = "Someone@Example.com";
+
+  const first = await call(login, { email });
+  assert.equal(first.passed, true);
+  assert.equal(first.headers["RateLimit-Limit"], "2");
+  assert.equal(first.headers["RateLimit-Remaining"], "1");
+  assert.equal(first.headers["RateLimit-Policy"], "3;w=60, 2;w=60");
+
+  advance(10000);
+  // 邮箱不区分大小写与首尾空白
+  assert.equal(
+    (await call(login, { email: " someone@example.com" })).passed,
+    true,
+  );
+  const blocked = await call(login, { email, ip: "10.0.0.2" });
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.status, 429);
+  assert.deepEqual(blocked.body, { error: "too many requests" });
+  assert.equal(blocked.headers["Retry-After"], "50");
+
+  advance(50000);
+  assert.equal((await call(login, { email, ip: "10.0.0.3" })).passed, true);
+});
+
+test("中间件：resetKey 清除邮箱计数，放行名单中的 IP 不受限制", async (t) => {
+  fakeClock(t, 3_000_000);
+  const login = rateLimit.limit("login");
+  const email = "reset@example.com";
+
+  await call(login, { email, ip: "10.1.0.1" });
+  await call(login, { email, ip: "10.1.0.1" });
+  assert.equal((await call(login, { email, ip: "10.1.0.1" })).status, 429);
+  await rateLimit.resetKey("login", "email", email);
+  assert.equal((await call(login, { email, ip: "10.1.0.2" })).passed, true);
+
+  overrides.push({ type: "ip", value: "10.9.9.9" });
+  rateLimit.invalidateOverrides();
+  for (let i = 0; i < 5; i++) {
+    const result = await call(login, { ip: "10.9.9.9" });
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.headers, {});
+  }
+});
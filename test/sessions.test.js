@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mockDb } = require("./helpers/mockDb");
+
+// 内存中的 sessions 表，按 db.js 中 SQL 的语义实现
+const sessionRows = new Map();
+let nextSessionId = 1;
+mockDb({
+  async createSession({ userId, refreshTokenHash, expiresAt }) {
+    const id = `session-${nextSessionId++}`;
+    sessionRows.set(id, {
+      id,
+      user_id: userId,
+      refresh_token_hash: refreshTokenHash,
+      previous_token_hash: null,
+      revoked_at: null,
+      expires_at: expiresAt,
+    });
+    return { id, user_id: userId, expires_at: expiresAt };
+  },
+  async getSessionById(id) {
+    return sessionRows.has(id) ? { ...sessionRows.get(id) } : null;
+  },
+  async rotateSession(id, currentHash, nextHash, { expiresAt }) {
+    const row = sessionRows.get(id);
+    if (!row || row.revoked_at || row.refresh_token_hash !== currentHash) {
+      return false;
+    }
+    row.previous_token_hash = currentHash;
+    row.refresh_token_hash = nextHash;
+    row.expires_at = expiresAt;
+    return true;
+  },
+  async revokeSession(id) {
+    const row = sessionRows.get(id);
+    if (!row || row.revoked_at) return false;
+    row.revoked_at = new Date();
+    return true;
+  },
+  async getUserById(id) {
+    return { id, role: "user" };
+  },
+});
+
+const sessions = require("../services/sessions");
+
+const req = { ip: "127.0.0.1", get: () => "node-test" };
+const user = { id: 7, role: "user" };
+
+test("刷新令牌每次刷新都会轮换，新令牌可继续刷新", async () => {
+  const first = await sessions.issue(user, req);
+  const second = await sessions.refresh(first.refreshToken, req);
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  // 会话ID不变，只轮换随机串
+  assert.equal(
+    second.refreshToken.split(".")[0],
+    first.refreshToken.split(".")[0],
+  );
+
+  const third = await sessions.refresh(second.refreshToken, req);
+  assert.ok(third.token);
+  assert.notEqual(third.refreshToken, second.refreshToken);
+});
+
+test("已轮换掉的刷新令牌再次使用时撤销整个会话", async () => {
+  const first = await sessions.issue(user, req);
+  const second = await sessions.refresh(first.refreshToken, req);
+
+  const reused = await sessions.refresh(first.refreshToken, req);
+  assert.deepEqual(reused, { error: "refresh token reused" });
+
+  const sessionId = first.refreshToken.split(".")[0];
+  assert.ok(sessionRows.get(sessionId).revoked_at);
+  // 会话撤销后，合法持有者手中的新令牌也随之失效
+  assert.deepEqual(await sessions.refresh(second.refreshToken, req), {
+    error: "session revoked",
+  });
+});
+
+test("伪造或格式错误的刷新令牌被拒绝且不撤销会话", async () => {
+  const issued = await sessions.issue(user, req);
+  const sessionId = issued.refreshToken.split(".")[0];
+
+  assert.deepEqual(await sessions.refresh(`${sessionId}.forged`, req), {
+    error: "invalid refresh token",
+  });
+  assert.deepEqual(await sessions.refresh("no-dot", req), {
+    error: "invalid refresh token",
+  });
+  assert.equal(sessionRows.get(sessionId).revoked_at, null);
+});
+
+test("并发刷新同一令牌时只有一个成功", async () => {
+  const issued = await sessions.issue(user, req);
+  const results = await Promise.all([
+    sessions.refresh(issued.refreshToken, req),
+    sessions.refresh(issued.refreshToken, req),
+  ]);
+  assert.equal(results.filter((r) => r.token).length, 1);
+  assert.equal(results.filter((r) => r.error).length, 1);
+});
+
+test("过期的会话不能刷新", async () => {
+  const issued = await sessions.issue(user, req);
+  const sessionId = issued.refreshToken.split(".")[0];
+  sessionRows.get(sessionId).expires_at = new Date(Date.now() - 1000);
+  assert.deepEqual(await sessions.refresh(issued.refreshToken, req), {
+    error: "session expired",
+  });
+});